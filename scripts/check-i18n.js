@@ -0,0 +1,98 @@
+// --- 语言包检查 ---
+// 用法：npm run i18n:check
+// 1. 比较各语言包的键，列出每个语言缺失的键；
+// 2. 检查同一个键在不同语言中的插值占位符是否一致；
+// 3. 扫描 src 中以字面量调用的 t('...')，列出默认语言包里不存在的键。
+// 发现缺失的键时以非零状态码退出，方便在 CI 中使用。
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import zhCN from '../src/locales/zh-CN.js';
+import en from '../src/locales/en.js';
+
+const LOCALES = { 'zh-CN': zhCN, en };
+const DEFAULT_LOCALE = 'zh-CN';
+const SRC_DIR = fileURLToPath(new URL('../src', import.meta.url));
+const PLURAL_FORMS = new Set(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+const isPlural = (value) => value && typeof value === 'object' && Object.keys(value).every(form => PLURAL_FORMS.has(form));
+
+/** 把嵌套的语言包展开为 { 'a.b.c': message }，单复数对象视为一个叶子 */
+const flatten = (messages, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(messages)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' || isPlural(value)) {
+      out[path] = value;
+    } else {
+      flatten(value, path, out);
+    }
+  }
+  return out;
+};
+
+const placeholders = (message) => {
+  const texts = typeof message === 'string' ? [message] : Object.values(message);
+  const names = new Set();
+  texts.forEach(text => {
+    for (const match of text.matchAll(/\{(\w+)\}/g)) names.add(match[1]);
+  });
+  return [...names].sort().join(',');
+};
+
+const listSourceFiles = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'locales' ? [] : listSourceFiles(path);
+    return ['.js', '.jsx'].includes(extname(entry.name)) ? [path] : [];
+  }));
+  return files.flat();
+};
+
+const flat = Object.fromEntries(Object.entries(LOCALES).map(([locale, messages]) => [locale, flatten(messages)]));
+const allKeys = new Set(Object.values(flat).flatMap(Object.keys));
+let problems = 0;
+
+for (const [locale, messages] of Object.entries(flat)) {
+  const missing = [...allKeys].filter(key => !(key in messages)).sort();
+  if (missing.length > 0) {
+    problems += missing.length;
+    console.log(`\n[${locale}] 缺少 ${missing.length} 个键：`);
+    missing.forEach(key => console.log(`  - ${key}`));
+  }
+}
+
+const mismatched = [...allKeys].filter(key => {
+  const variants = Object.values(flat).filter(messages => key in messages).map(messages => placeholders(messages[key]));
+  return new Set(variants).size > 1;
+});
+if (mismatched.length > 0) {
+  problems += mismatched.length;
+  console.log(`\n${mismatched.length} 个键的插值占位符在各语言中不一致：`);
+  mismatched.forEach(key => {
+    const detail = Object.entries(flat).map(([locale, messages]) => `${locale}={${placeholders(messages[key] ?? '')}}`).join(' ');
+    console.log(`  - ${key}  ${detail}`);
+  });
+}
+
+// 只检查字面量键；模板字符串拼出的键 (如 `issueTypes.${type}`) 由上面的对比覆盖
+const used = new Map();
+for (const file of await listSourceFiles(SRC_DIR)) {
+  const source = await readFile(file, 'utf8');
+  for (const match of source.matchAll(/\bt\(\s*'([\w.-]+)'/g)) {
+    if (!used.has(match[1])) used.set(match[1], file);
+  }
+}
+const undefinedKeys = [...used].filter(([key]) => !(key in flat[DEFAULT_LOCALE]));
+if (undefinedKeys.length > 0) {
+  problems += undefinedKeys.length;
+  console.log(`\n代码中使用了 ${undefinedKeys.length} 个未定义的键：`);
+  undefinedKeys.forEach(([key, file]) => console.log(`  - ${key}  (${file.slice(SRC_DIR.length + 1)})`));
+}
+
+if (problems > 0) {
+  process.exitCode = 1;
+} else {
+  console.log(`语言包检查通过：${Object.keys(LOCALES).length} 种语言，${allKeys.size} 个键。`);
+}
@@ -0,0 +1,100 @@
+// --- 代理服务器检查 ---
+// 用法：npm run proxy:check
+// 启动一个 OpenAI 兼容的桩上游，再把代理服务器监听在随机端口上并指向它，检查：
+// 1. 上游返回 429 时代理返回 429 并转发 Retry-After；
+// 2. 超过按用户的限流次数时返回 429；
+// 3. 请求体不是 JSON 时返回 400。
+// 任一检查失败时以非零状态码退出，方便在 CI 中使用。
+
+import http from 'node:http';
+import { createProxyServer } from '../server/app.js';
+import { loadConfig } from '../server/config.js';
+
+const RATE_LIMIT = 3;
+const UPSTREAM_RETRY_AFTER = '7';
+const QUOTA_MARKER = 'trigger-upstream-quota';
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// 桩上游：提示词中带有 QUOTA_MARKER 时返回 429，否则返回一个固定的 JSON 结果
+const upstream = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    if (Buffer.concat(chunks).toString('utf8').includes(QUOTA_MARKER)) {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': UPSTREAM_RETRY_AFTER });
+      res.end(JSON.stringify({ error: { message: 'quota exceeded' } }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: '{"ok": true}' } }] }));
+  });
+});
+
+const upstreamUrl = await listen(upstream);
+const proxy = createProxyServer(loadConfig({
+  PROXY_PROVIDER: 'openai',
+  PROXY_BASE_URL: upstreamUrl,
+  PROXY_API_KEY: 'stub-key',
+  PROXY_RATE_LIMIT: String(RATE_LIMIT),
+}));
+const proxyUrl = await listen(proxy);
+
+const post = (body) => fetch(`${proxyUrl}/api/revise`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body,
+});
+
+const revision = (prompt) => JSON.stringify({ systemPrompt: 'Reply with JSON.', prompt });
+
+// 按顺序执行：每个请求都计入同一个 IP 的限流次数，最后一个请求恰好超出
+const checks = [
+  ['invalid JSON returns 400', async () => {
+    const response = await post('{not json');
+    return response.status === 400 || `expected 400, got ${response.status}`;
+  }],
+  ['upstream 429 returns 429 with Retry-After', async () => {
+    const response = await post(revision(QUOTA_MARKER));
+    if (response.status !== 429) return `expected 429, got ${response.status}`;
+    const retryAfter = response.headers.get('retry-after');
+    return retryAfter === UPSTREAM_RETRY_AFTER || `expected Retry-After ${UPSTREAM_RETRY_AFTER}, got ${retryAfter}`;
+  }],
+  ['a normal request is forwarded', async () => {
+    const response = await post(revision('Hello world.'));
+    return response.status === 200 || `expected 200, got ${response.status}`;
+  }],
+  ['requests over the rate limit return 429', async () => {
+    const response = await post(revision('Hello again.'));
+    if (response.status !== 429) return `expected 429, got ${response.status}`;
+    const body = await response.json();
+    if (!/too many requests/i.test(body.error)) return `expected the rate-limit error, got "${body.error}"`;
+    return response.headers.get('retry-after') ? true : 'missing Retry-After';
+  }],
+];
+
+let failed = 0;
+try {
+  for (const [name, check] of checks) {
+    const outcome = await check();
+    if (outcome === true) {
+      console.log(`✓ ${name}`);
+    } else {
+      failed++;
+      console.error(`✗ ${name}: ${outcome}`);
+    }
+  }
+} finally {
+  await Promise.all([close(proxy), close(upstream)]);
+}
+
+if (failed > 0) {
+  console.error(`代理服务器检查失败：${failed} 项。`);
+  process.exitCode = 1;
+} else {
+  console.log(`代理服务器检查通过：${checks.length} 项。`);
+}
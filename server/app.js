@@ -0,0 +1,258 @@
+// --- 代理服务器 ---
+// 浏览器 → /api/revise、/api/transcribe、/api/chat → 配置好的 Provider。复用前端的 Provider 实现，
+// 因此请求体就是 Provider 接口的参数，上游可以是任何 Provider 支持的服务（包括测试用的桩服务器）。
+
+import http from 'node:http';
+import { createProvider } from '../src/lib/providers/index.js';
+import { HttpError, normalizeError } from '../src/lib/errors.js';
+import { createRateLimiter } from './rateLimit.js';
+import { AuthError, createUserResolver } from './auth.js';
+
+const MAX_BODY_BYTES = 15 * 1024 * 1024; // 图片以 base64 传输，留足余量
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+// 请求体过大时停止读取并在响应后关闭连接；直接销毁请求会让客户端只看到连接被重置，收不到 413
+const readJsonBody = (req, res) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      req.off('data', onData);
+      req.pause();
+      res.setHeader('Connection', 'close');
+      reject(new RequestError(413, 'Request body is too large.'));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(new RequestError(400, 'Request body must be JSON.'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// 各路由字段的长度上限 (字符)，防止代理被当作任意用途的模型中转。
+// 前端单次最多提交 5000 字的原文 (更长的文档分段发送)，提示词与 schema 的实际长度远小于这些上限。
+const LIMITS = {
+  revise: { systemPrompt: 12_000, prompt: 16_000, text: 10_000, responseSchema: 16_000 },
+  transcribe: { prompt: 4_000, responseSchema: 4_000 },
+  chat: { systemPrompt: 20_000, messageContent: 8_000, messages: 50 },
+};
+
+const tooLong = (field, maxLength) => new RequestError(413, `"${field}" must be at most ${maxLength} characters.`);
+
+const requireString = (body, field, maxLength) => {
+  if (typeof body[field] !== 'string' || !body[field]) throw new RequestError(400, `"${field}" must be a non-empty string.`);
+  if (maxLength && body[field].length > maxLength) throw tooLong(field, maxLength);
+  return body[field];
+};
+
+const optionalString = (body, field, maxLength) => {
+  if (typeof body[field] !== 'string') return undefined;
+  if (body[field].length > maxLength) throw tooLong(field, maxLength);
+  return body[field];
+};
+
+const optionalSchema = (body, maxLength) => {
+  if (body.responseSchema === undefined) return undefined;
+  if (JSON.stringify(body.responseSchema).length > maxLength) throw tooLong('responseSchema', maxLength);
+  return body.responseSchema;
+};
+
+const requireMessages = (body, { messages: maxMessages, messageContent }) => {
+  const { messages } = body;
+  const valid = Array.isArray(messages)
+    && messages.length > 0
+    && messages.length <= maxMessages
+    && messages.every(message => ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string');
+  if (!valid) throw new RequestError(400, `"messages" must be a list of 1-${maxMessages} user/assistant messages.`);
+  if (messages.some(message => message.content.length > messageContent)) throw tooLong('messages[].content', messageContent);
+  return messages.map(({ role, content }) => ({ role, content }));
+};
+
+/**
+ * 上游错误对应返回给浏览器的状态码。401/403 说明服务器上的 Key 有问题，与用户无关，统一报 502。
+ * @returns {{status: number, message: string, retryAfterMs?: number|null}}
+ */
+const describeUpstreamError = (rawError) => {
+  const error = normalizeError(rawError);
+  if (error instanceof HttpError) {
+    if (error.status === 429) return { status: 429, message: 'Upstream quota exceeded.', retryAfterMs: error.retryAfterMs };
+    if (error.status === 400) return { status: 400, message: 'Upstream rejected the request.' };
+    return { status: 502, message: `Upstream responded with status ${error.status}.` };
+  }
+  return { status: 502, message: 'Upstream request failed.' };
+};
+
+/**
+ * 创建代理服务器（未开始监听）。
+ * @param {object} config loadConfig() 的结果
+ * @param {object} [deps] 可注入的依赖，便于对桩上游或桩 Provider 做测试
+ * @param {object} [deps.provider] Provider 实例，默认按配置创建
+ * @param {(req: http.IncomingMessage) => Promise<string>} [deps.resolveUser] 解析用户 ID
+ * @param {ReturnType<typeof createRateLimiter>} [deps.rateLimiter]
+ * @returns {http.Server}
+ */
+export const createProxyServer = (config, {
+  provider = createProvider({ providerId: config.providerId, apiKey: config.apiKey, baseUrl: config.baseUrl, model: config.model }),
+  resolveUser = createUserResolver(config),
+  rateLimiter = createRateLimiter(config.rateLimit),
+} = {}) => {
+  // 只对配置的来源返回 CORS 头；未配置时浏览器只能从同源页面 (或开发服务器的转发) 调用
+  const corsHeadersFor = (req) => {
+    const origin = req.headers.origin;
+    if (!origin || !config.allowedOrigins.includes(origin)) return { Vary: 'Origin' };
+    return {
+      Vary: 'Origin',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Remaining',
+    };
+  };
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const sendError = (res, { status, message, retryAfterMs }) => {
+    const headers = retryAfterMs ? { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } : {};
+    sendJson(res, status, { error: message }, headers);
+  };
+
+  // 浏览器断开 (用户点了取消) 时同时取消上游请求
+  const abortOnClose = (res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+  };
+
+  const revise = async (req, res, body) => {
+    const limits = LIMITS.revise;
+    const request = {
+      systemPrompt: requireString(body, 'systemPrompt', limits.systemPrompt),
+      prompt: requireString(body, 'prompt', limits.prompt),
+      responseSchema: optionalSchema(body, limits.responseSchema),
+      temperature: typeof body.temperature === 'number' ? body.temperature : undefined,
+      text: optionalString(body, 'text', limits.text) || '',
+      feedbackLanguage: optionalString(body, 'feedbackLanguage', 32),
+      signal: abortOnClose(res),
+    };
+
+    if (!body.stream) {
+      sendJson(res, 200, { text: await provider.revise(request) });
+      return;
+    }
+
+    // 流式：收到第一段内容时才写响应头，这样在此之前的上游错误仍能以正确的状态码返回
+    const start = () => {
+      if (!res.headersSent) res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    };
+    try {
+      await provider.reviseStream({
+        ...request,
+        onText: (text) => {
+          start();
+          res.write(`${JSON.stringify({ text })}\n`);
+        },
+      });
+      start();
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) throw error;
+      const { status, message } = describeUpstreamError(error);
+      res.end(`${JSON.stringify({ error: { status, message } })}\n`);
+    }
+  };
+
+  const transcribe = async (req, res, body) => {
+    const text = await provider.transcribe({
+      prompt: requireString(body, 'prompt', LIMITS.transcribe.prompt),
+      base64Image: requireString(body, 'base64Image'),
+      mimeType: requireString(body, 'mimeType', 64),
+      responseSchema: optionalSchema(body, LIMITS.transcribe.responseSchema),
+      signal: abortOnClose(res),
+    });
+    sendJson(res, 200, { text });
+  };
+
+  const chat = async (req, res, body) => {
+    const text = await provider.chat({
+      systemPrompt: requireString(body, 'systemPrompt', LIMITS.chat.systemPrompt),
+      messages: requireMessages(body, LIMITS.chat),
+      temperature: typeof body.temperature === 'number' ? body.temperature : undefined,
+      feedbackLanguage: optionalString(body, 'feedbackLanguage', 32),
+      signal: abortOnClose(res),
+    });
+    sendJson(res, 200, { text });
+  };
+
+  const routes = {
+    'POST /api/revise': revise,
+    'POST /api/transcribe': transcribe,
+    'POST /api/chat': chat,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    Object.entries(corsHeadersFor(req)).forEach(([name, value]) => res.setHeader(name, value));
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method === 'GET' && path === '/api/health') {
+      sendJson(res, 200, { ok: true, provider: provider.id, model: provider.model });
+      return;
+    }
+    const handler = routes[`${req.method} ${path}`];
+    if (!handler) {
+      sendError(res, { status: 404, message: 'Not found.' });
+      return;
+    }
+
+    let userId = null;
+    try {
+      userId = await resolveUser(req);
+      const quota = rateLimiter.take(userId);
+      res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+      if (!quota.allowed) {
+        sendError(res, { status: 429, message: 'Too many requests. Please slow down.', retryAfterMs: quota.retryAfterMs });
+        return;
+      }
+      await handler(req, res, await readJsonBody(req, res));
+    } catch (error) {
+      if (res.headersSent) return;
+      if (error instanceof AuthError) {
+        sendError(res, { status: 401, message: error.message });
+      } else if (error instanceof RequestError) {
+        sendError(res, { status: error.status, message: error.message });
+      } else if (!res.destroyed) {
+        console.error(`${req.method} ${path} failed for ${userId}:`, error);
+        sendError(res, describeUpstreamError(error));
+      }
+    }
+  });
+
+  const pruneTimer = setInterval(() => rateLimiter.prune(), config.rateLimit.windowMs);
+  pruneTimer.unref();
+  server.on('close', () => clearInterval(pruneTimer));
+
+  return server;
+};
@@ -0,0 +1,85 @@
+// --- 识别请求所属的用户 ---
+// 配置了 FIREBASE_PROJECT_ID 时校验 Firebase ID Token (RS256)，用其中的 uid 作为限流依据；
+// 否则按客户端 IP 限流：未经校验的请求头可以随意伪造，不能作为限流依据。
+
+import { webcrypto } from 'node:crypto';
+
+const JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 300;
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * @param {{firebaseProjectId: string, authEmulator: boolean}} config
+ * @param {{fetchImpl?: typeof fetch, now?: () => number}} [deps] 可注入 fetch 与时钟，便于测试
+ * @returns {(req: import('node:http').IncomingMessage) => Promise<string>} 解析出 userId，失败时抛出 AuthError
+ */
+export const createUserResolver = ({ firebaseProjectId, authEmulator }, { fetchImpl = fetch, now = Date.now } = {}) => {
+  let keyCache = { keys: null, expiresAt: 0 };
+
+  // Google 公钥会轮换，按响应的 Cache-Control max-age 缓存
+  const getKeys = async () => {
+    if (keyCache.keys && now() < keyCache.expiresAt) return keyCache.keys;
+    const response = await fetchImpl(JWKS_URL);
+    if (!response.ok) throw new Error(`Failed to fetch Firebase signing keys: ${response.status}`);
+    const { keys } = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    keyCache = {
+      keys: new Map(keys.map(jwk => [jwk.kid, jwk])),
+      expiresAt: now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_JWKS_TTL_MS),
+    };
+    return keyCache.keys;
+  };
+
+  const verifyIdToken = async (token) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new AuthError('Malformed ID token.');
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch {
+      throw new AuthError('Malformed ID token.');
+    }
+
+    if (!authEmulator) {
+      const jwk = header.alg === 'RS256' ? (await getKeys()).get(header.kid) : null;
+      if (!jwk) throw new AuthError('ID token is not signed with a known Firebase key.');
+      const key = await webcrypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+      const valid = await webcrypto.subtle.verify(
+        'RSASSA-PKCS1-v1_5',
+        key,
+        Buffer.from(parts[2], 'base64url'),
+        Buffer.from(`${parts[0]}.${parts[1]}`)
+      );
+      if (!valid) throw new AuthError('Invalid ID token signature.');
+    }
+
+    const seconds = now() / 1000;
+    if (payload.aud !== firebaseProjectId || payload.iss !== `https://securetoken.google.com/${firebaseProjectId}`) {
+      throw new AuthError('ID token was issued for a different project.');
+    }
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < seconds) throw new AuthError('ID token has expired.');
+    if (typeof payload.iat !== 'number' || payload.iat - CLOCK_SKEW_SECONDS > seconds) throw new AuthError('ID token is not valid yet.');
+    if (!payload.sub) throw new AuthError('ID token has no subject.');
+    return payload.sub;
+  };
+
+  return async (req) => {
+    if (firebaseProjectId) {
+      const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      if (!match) throw new AuthError('Missing Firebase ID token.');
+      return verifyIdToken(match[1]);
+    }
+    return `ip:${req.socket.remoteAddress}`;
+  };
+};
@@ -0,0 +1,38 @@
+// --- 代理服务器配置 ---
+// 全部来自环境变量，API Key 只存在于服务器进程中。
+
+import { DEFAULT_PROVIDER_ID, PROVIDERS } from '../src/lib/providers/index.js';
+
+/**
+ * 从环境变量读取配置。
+ *   PROXY_PORT / PROXY_HOST         监听地址，默认 127.0.0.1:8787
+ *   PROXY_PROVIDER                  gemini | openai | ollama | mock
+ *   PROXY_API_KEY / PROXY_BASE_URL / PROXY_MODEL  转发目标
+ *   PROXY_RATE_LIMIT / PROXY_RATE_WINDOW_MS       每个用户在时间窗口内允许的请求数，默认 20 次 / 60 秒
+ *   FIREBASE_PROJECT_ID             设置后要求请求携带有效的 Firebase ID Token
+ *   FIREBASE_AUTH_EMULATOR_HOST     使用 Auth 模拟器时跳过签名校验（模拟器签发的令牌没有签名）
+ *   PROXY_ALLOWED_ORIGIN            允许跨域调用的来源 (逗号分隔)，默认不允许跨域，只供同源页面或开发服务器转发使用
+ * @param {Record<string, string|undefined>} env
+ * @returns {object} 配置
+ */
+export const loadConfig = (env = process.env) => {
+  const providerId = env.PROXY_PROVIDER || DEFAULT_PROVIDER_ID;
+  if (!PROVIDERS[providerId]) {
+    throw new Error(`Unknown PROXY_PROVIDER "${providerId}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return {
+    port: Number(env.PROXY_PORT) || 8787,
+    host: env.PROXY_HOST || '127.0.0.1',
+    providerId,
+    apiKey: env.PROXY_API_KEY || '',
+    baseUrl: env.PROXY_BASE_URL || '',
+    model: env.PROXY_MODEL || '',
+    rateLimit: {
+      limit: Number(env.PROXY_RATE_LIMIT) || 20,
+      windowMs: Number(env.PROXY_RATE_WINDOW_MS) || 60_000,
+    },
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || '',
+    authEmulator: Boolean(env.FIREBASE_AUTH_EMULATOR_HOST),
+    allowedOrigins: (env.PROXY_ALLOWED_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  };
+};
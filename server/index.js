@@ -0,0 +1,14 @@
+// 代理服务器入口：npm run proxy
+
+import { loadConfig } from './config.js';
+import { createProxyServer } from './app.js';
+
+const config = loadConfig();
+const server = createProxyServer(config);
+
+server.listen(config.port, config.host, () => {
+  console.log(`Linguist AI proxy listening on http://${config.host}:${config.port} (provider: ${config.providerId})`);
+  if (!config.firebaseProjectId) {
+    console.warn('FIREBASE_PROJECT_ID is not set: requests are rate-limited per client IP address.');
+  }
+});
@@ -0,0 +1,36 @@
+// --- 按用户限流 ---
+// 滑动窗口：记录每个用户最近一个窗口内的请求时间。数据只保存在内存中，重启后清空。
+
+/**
+ * @param {{limit: number, windowMs: number, now?: () => number}} options
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const hits = new Map(); // userId → 请求时间戳 (升序)
+
+  return {
+    /**
+     * 记录一次请求并判断是否允许。
+     * @param {string} userId
+     * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}}
+     */
+    take(userId) {
+      const current = now();
+      const recent = (hits.get(userId) || []).filter(time => current - time < windowMs);
+      if (recent.length >= limit) {
+        hits.set(userId, recent);
+        return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - current };
+      }
+      recent.push(current);
+      hits.set(userId, recent);
+      return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+    },
+
+    /** 清理已经没有近期请求的用户，避免长期运行时 Map 无限增长 */
+    prune() {
+      const current = now();
+      hits.forEach((times, userId) => {
+        if (!times.some(time => current - time < windowMs)) hits.delete(userId);
+      });
+    },
+  };
+};
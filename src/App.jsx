@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useDeferredValue, useEffect, useMemo } from 'react';
 import { 
   BookOpen, 
   Wand2, 
@@ -14,21 +14,83 @@ import {
   Camera,
   Loader2,
   ClipboardCheck,
-  Key,
   Settings,
+  PenLine,
+  History,
+  Library,
+  Award,
+  ImagePlus,
+  Database,
+  RefreshCw,
+  XCircle,
+  Server,
+  Languages,
+  SlidersHorizontal,
+  ChartColumn,
+  GitBranch,
+  FilePlus,
+  MessageCircle,
+  NotebookPen,
 } from 'lucide-react';
 
 // 使用 npm 模块导入路径 
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+
+import AnnotatedText from './components/AnnotatedText';
+import IssuesPanel from './components/IssuesPanel';
+import DiffView from './components/DiffView';
+import ChunkProgress from './components/ChunkProgress';
+import HistorySidebar from './components/HistorySidebar';
+import TopicBank from './components/TopicBank';
+import TaskResponseCard from './components/TaskResponseCard';
+import ExamScorePanel from './components/ExamScorePanel';
+import DraftTimeline from './components/DraftTimeline';
+import ExportMenu from './components/ExportMenu';
+import ApiKeySettings from './components/ApiKeySettings';
+import { getVaultEntry } from './lib/keyVault';
+import OcrBatchPanel from './components/OcrBatchPanel';
+import ImageEditor from './components/ImageEditor';
+import MetricsPanel from './components/MetricsPanel';
+import PrecheckPanel from './components/PrecheckPanel';
+import ProfileManager from './components/ProfileManager';
+import TutorChat from './components/TutorChat';
+import MistakeNotebook from './components/MistakeNotebook';
+import { buildTimeline, documentIdOf } from './lib/drafts';
+import { findSentence, getIssueStyle, locateIssues } from './lib/issues';
+import { buildNotebookEntry, mistakeKey, recordRepeat } from './lib/notebook';
+import { scheduleReview } from './lib/spacedRepetition';
+import { mergeIssues, runPrecheck } from './lib/precheck';
+import { countWords } from './lib/textMetrics';
+import { fetchImprovedText, fetchTutorReply, streamImprovedText, transcribeImage, transcribeImageForReview } from './lib/api';
+import { buildTutorContext, issueThreadKey, REVISED_THREAD_KEY } from './lib/tutor';
+import { splitIntoChunks, runWithConcurrency, mergeChunkResults } from './lib/chunker';
+import { PROVIDERS, DEFAULT_PROVIDER_ID, createProvider } from './lib/providers';
+import { API_MODE, PROXY_BASE_URL, createProxyProvider } from './lib/providers/proxy';
+import { initFirebase } from './lib/firebase';
+import { createHistoryStore, createNotebookStore } from './lib/historyStore';
+import { EXAM_RUBRICS } from './lib/examScoring';
+import { readFileAsDataUrl, splitDataUrl } from './lib/images';
+import { renderPdfPages } from './lib/pdfPages';
+import { processImage } from './lib/imageProcessing';
+import { buildCacheKey, clearResultCache, countCachedResults, getCachedResult, MAX_CACHE_ENTRIES, putCachedResult } from './lib/resultCache';
+import { LOCALES, useI18n } from './lib/i18n';
+import { DEFAULT_FEEDBACK_LANGUAGE, FEEDBACK_LANGUAGES } from './lib/feedbackLanguage';
+import {
+  buildDefaultProfiles,
+  isAcademicGenre,
+  listProfiles,
+  loadSelectedProfileId,
+  profileFromSettings,
+  profileToSettings,
+  saveSelectedProfileId,
+} from './lib/profiles';
 
 
 // --- 常量与配置 ---
-const APP_NAME = "LinguistAI 灵犀写作";
-const MAX_CHARS = 5000;
-const MODEL_NAME = "gemini-2.5-flash-preview-09-2025";
-const MAX_RETRIES = 3;
+const MAX_CHARS = 5000; // 单次请求的上限，超过时自动进入分段模式
+const MAX_DOCUMENT_CHARS = 100000;
+const CHUNK_CONCURRENCY = 2;
+const CHUNK_CONTEXT_CHARS = 300;
 
 // 模拟的演示文本
 const DEMO_TOPIC = "Some people think that success is the result of hard work. Others think that it is a matter of luck. Discuss both views.";
@@ -39,33 +101,8 @@ Basically, I think education is important stuff for success, but luck is also ne
 
 // --- 工具函数 ---
 
-/**
- * 移除可能包裹 JSON 的 Markdown 围栏 (```json ... ```)
- * @param {string} text 包含 JSON 的字符串
- * @returns {string} 纯净的 JSON 字符串
- */
-const cleanJsonString = (text) => {
-    if (!text) return '{}';
-    // 移除开头和结尾的 Markdown 围栏
-    let cleaned = text.trim();
-    if (cleaned.startsWith('```json')) {
-        cleaned = cleaned.substring(7).trim();
-    }
-    // 兼容模型可能返回的其它语言标记
-    if (cleaned.startsWith('```json\n')) { 
-        cleaned = cleaned.substring(8).trim(); 
-    } else if (cleaned.startsWith('```')) {
-        cleaned = cleaned.substring(3).trim();
-    }
-    
-    if (cleaned.endsWith('```')) {
-        cleaned = cleaned.substring(0, cleaned.length - 3).trim();
-    }
-    return cleaned;
-};
-
 // 复制到剪贴板的降级函数
-const fallbackCopyTextToClipboard = (text, messageKey, setCopiedMessage, setErrorMessage) => {
+const fallbackCopyTextToClipboard = (text, messageKey, setCopiedMessage, onFailure) => {
     try {
       const textArea = document.createElement('textarea');
       textArea.value = text;
@@ -79,295 +116,517 @@ const fallbackCopyTextToClipboard = (text, messageKey, setCopiedMessage, setErro
         setCopiedMessage(messageKey);
         setTimeout(() => setCopiedMessage(null), 2000);
       } else {
-        setErrorMessage('复制失败，请手动复制。');
+        onFailure();
       }
       document.body.removeChild(textArea);
     } catch (err) {
       console.error('Copy failed (fallback):', err);
-      setErrorMessage('复制失败，请手动复制。');
+      onFailure();
     }
 };
 
-// --- API 交互逻辑 ---
-
-// 1. 图片识别 (OCR)
-const transcribeImage = async (base64Image, mimeType, currentApiKey, setErrorMessage) => {
-  const apiKey = currentApiKey || ""; 
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${apiKey}`;
-
-  setErrorMessage(null);
+// --- 主应用组件 ---
+export default function App() {
+  const { locale, setLocale, t } = useI18n();
+  const [inputText, setInputText] = useState(DEMO_TEXT);
+  const [topic, setTopic] = useState(DEMO_TOPIC);
+  const [showTopicBank, setShowTopicBank] = useState(false);
+  const [userPrompt, setUserPrompt] = useState(''); // 本次的额外指令，常用指令保存在配置方案中
+  const [scoringMode, setScoringMode] = useState('off'); // 'off', 'ielts', 'toefl'，仅对学术论文生效
+  const [feedbackLanguage, setFeedbackLanguage] = useState(DEFAULT_FEEDBACK_LANGUAGE); // 解释与总结使用的语言
+
+  // --- 配置方案：文体、水平、常用指令、忽略的问题类型与语气 ---
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState(loadSelectedProfileId);
+  const [sessionProfile, setSessionProfile] = useState(null); // 打开历史记录时还原的、未保存为方案的设置
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [fallbackProfile] = useState(() => buildDefaultProfiles()[0]); // 方案加载完成前使用
+  const activeProfile = sessionProfile
+    || profiles.find(profile => profile.id === selectedProfileId)
+    || profiles[0]
+    || fallbackProfile;
+
+  const refreshProfiles = useCallback(
+    () => listProfiles()
+      .then(setProfiles)
+      .catch(error => {
+        console.warn("Profiles unavailable, using defaults:", error);
+        setProfiles(buildDefaultProfiles());
+      }),
+    []
+  );
 
-  const prompt = "Please transcribe the text from this image and return only the raw, recognized text content, without any commentary or formatting.";
+  useEffect(() => {
+    refreshProfiles();
+  }, [refreshProfiles]);
 
-  const payload = {
-    contents: [{
-      parts: [
-        { text: prompt },
-        {
-          inlineData: {
-            mimeType: mimeType,
-            data: base64Image
-          }
-        }
-      ]
-    }],
+  const selectProfile = (profile) => {
+    setSelectedProfileId(profile.id);
+    setSessionProfile(null);
+    saveSelectedProfileId(profile.id);
   };
-    for (let i = 0; i < MAX_RETRIES; i++) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
 
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            if (text) return text.trim();
-            
-            throw new Error("Received empty or malformed response from API.");
-
-        } catch (error) {
-            if (i < MAX_RETRIES - 1) {
-                const delay = Math.pow(2, i) * 1000;
-                console.warn(`OCR Call failed. Retrying in ${delay / 1000}s...`, error);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                console.error("OCR API Call failed after all retries:", error);
-                setErrorMessage(`图片识别失败 (Error: ${error.message}). 请检查您的 API Key 是否有效。`);
-                return null;
-            }
-        }
-    }
-};
+  const revisionSettings = useMemo(
+    () => ({
+      topic,
+      ...profileToSettings(activeProfile),
+      userPrompt,
+      scoringMode: isAcademicGenre(activeProfile.genre) ? scoringMode : 'off',
+      feedbackLanguage,
+    }),
+    [topic, activeProfile, userPrompt, scoringMode, feedbackLanguage]
+  );
+  const [activeTab, setActiveTab] = useState('summary'); // 'summary', 'metrics', 'issues', 'revised', 'score'
+  const [revisedView, setRevisedView] = useState('plain'); // 'plain', 'inline', 'side'
 
-// 2. 润色与分析 (FIXED: Added JSON cleanup and structural check)
-const fetchImprovedText = async (text, analysisTarget, difficulty, userPrompt, currentApiKey, setErrorMessage) => {
-  const apiKey = currentApiKey || "";
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${apiKey}`;
-
-  setErrorMessage(null); 
-
-  const systemPrompt = `You are a world-class AI writing and revision assistant. Your task is to analyze, correct, and improve the user's provided text based on the specified target and difficulty.
-You MUST return a single JSON object structured exactly according to the provided schema. DO NOT include any explanatory text or markdown fences (like \`\`\`json) outside the JSON object.
-The language of the output (summary, issues, and improved text) must be the same as the user's input text (or the specified target language).
-The analysis and improvement should be strictly professional and constructive.
-1. The 'summary' must provide a brief, high-level assessment.
-2. The 'issues' array must contain ALL identified grammar, spelling, and style errors.
-3. The 'improved_full_text' must be the fully revised and polished version of the original text.
-`;
-
-  const fullPrompt = `Analyze and improve the following text. 
-
-**Original Text:**
----
-${text}
----
-
-**Revision Goal:**
-- **Target Audience/Genre:** ${analysisTarget}
-- **Difficulty/Level:** ${difficulty}
-- **Specific Instructions:** ${userPrompt || 'None'}
-
-Please provide a structured response in the following JSON format.`;
-
-
-  const responseSchema = {
-    type: "OBJECT",
-    properties: {
-      summary: {
-        type: "OBJECT",
-        description: "High-level summary of the original text's main points and overall quality.",
-        properties: {
-          original_text: {
-            type: "STRING",
-            description: "A one-sentence summary of the original text's content."
-          },
-          overall_assessment: {
-            type: "STRING",
-            description: "A constructive, one-sentence assessment of the text's current state (e.g., 'The ideas are clear but the grammar needs improvement.')."
-          }
-        },
-        propertyOrdering: ["original_text", "overall_assessment"]
-      },
-      issues: {
-        type: "ARRAY",
-        description: "A list of grammar, spelling, or stylistic issues found in the original text, including the necessary correction.",
-        items: {
-          type: "OBJECT",
-          properties: {
-            type: {
-              type: "STRING",
-              enum: ["Grammar", "Spelling", "Punctuation", "Style", "Clarity"],
-              description: "The type of issue."
-            },
-            original_phrase: {
-              type: "STRING",
-              description: "The exact phrase or word from the original text that needs correction."
-            },
-            correction: {
-              type: "STRING",
-              description: "The corrected or improved phrase/word."
-            },
-            explanation: {
-              type: "STRING",
-              description: "A brief, helpful explanation of the error and correction (e.g., 'Verb tense mismatch' or 'More formal vocabulary')."
-            }
-          },
-          propertyOrdering: ["type", "original_phrase", "correction", "explanation"]
-        }
-      },
-      improved_full_text: {
-        type: "STRING",
-        description: "The complete, fully revised and polished version of the original text, incorporating all corrections and improvements."
-      }
-    },
-    required: ["summary", "issues", "improved_full_text"],
-    propertyOrdering: ["summary", "issues", "improved_full_text"]
-  };
+  const [isLoading, setIsLoading] = useState(false);
+  const [aiResult, setResult] = useState(null); // 模型返回的结果，展示时合并离线预检的问题
+  const [errorMessage, setErrorMessage] = useState(null);
+  const fileInputRef = useRef(null);
+  // 最近一次的光标位置，用于把识别结果插入到光标处
+  const cursorRef = useRef(null);
 
-  const payload = {
-    contents: [{
-      parts: [{ text: fullPrompt }]
-    }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: responseSchema,
-      temperature: 0.5,
-    },
-    systemInstruction: {
-      parts: [{ text: systemPrompt }]
-    }
-  };
+  // 多页 OCR：待识别的页面（图片或 PDF 渲染出的页）
+  const [ocrPages, setOcrPages] = useState([]);
+  const [showOcr, setShowOcr] = useState(false);
+  const [editingImage, setEditingImage] = useState(null); // { pageId, image }，pageId 为 null 表示拍照新增
+  const [loadingOcrFiles, setLoadingOcrFiles] = useState(false);
 
-  for (let i = 0; i < MAX_RETRIES; i++) {
-      try {
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-    
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-    
-        const result = await response.json();
-        const rawJsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-        if (!rawJsonString) {
-          throw new Error("Received empty or malformed response from API.");
-        }
-        
-        // 1. 清理字符串
-        const jsonToParse = cleanJsonString(rawJsonString);
-        
-        // 2. 尝试解析 JSON
-        const parsedJson = JSON.parse(jsonToParse);
-        
-        // 3. 严格检查 JSON 结构是否完整 (新增的防御性检查)
-        if (!parsedJson.summary || !Array.isArray(parsedJson.issues) || typeof parsedJson.improved_full_text !== 'string') {
-            throw new Error("Parsed JSON is structurally invalid (missing summary, issues array, or improved_full_text string).");
-        }
+  // 标注视图：记录分析时提交的原文，偏移量基于它计算
+  const [analyzedText, setAnalyzedText] = useState('');
+  const [inputView, setInputView] = useState('edit'); // 'edit', 'annotated'
+  const [selectedIssue, setSelectedIssue] = useState(null);
 
-        return parsedJson;
+  // 逐条审阅：每条问题的接受/拒绝状态，以及用于撤销的历史快照
+  const [decisions, setDecisions] = useState({});
+  const [decisionHistory, setDecisionHistory] = useState([]);
 
-      } catch (error) {
-        if (i < MAX_RETRIES - 1) {
-            const delay = Math.pow(2, i) * 1000;
-            console.warn(`Revision API Call failed. Retrying in ${delay / 1000}s...`, error);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        } else {
-            console.error("Revision API Call failed after all retries:", error);
-            if (error.message.includes("400")) {
-              setErrorMessage("API 请求失败 (状态码 400)。请检查文本内容或 API Key。");
-            } else if (error.message.includes("JSON") || error.message.includes("structurally invalid")) {
-              setErrorMessage("API 返回格式错误，请稍后重试。 (模型可能返回了非法的 JSON 结构)");
-            } else {
-              setErrorMessage(`润色请求失败：${error.message}`);
-            }
-            return null;
-        }
-      }
-  }
-};
+  // 长文档分段模式：每个分块的状态，以及重试时需要的分块与设置
+  const [chunkJobs, setChunkJobs] = useState([]);
+  const chunkRunRef = useRef(null);
 
+  // 复制提示状态和逻辑
+  const [copiedMessage, setCopiedMessage] = useState(null);
 
-// --- 主应用组件 ---
-export default function App() {
-  const [inputText, setInputText] = useState(DEMO_TEXT);
-  const [analysisTarget, setAnalysisTarget] = useState('Academic Essay (E.g., IELTS/TOEFL)');
-  const [difficulty, setDifficulty] = useState('College/Advanced');
-  const [userPrompt, setUserPrompt] = useState('');
-  const [activeTab, setActiveTab] = useState('summary'); // 'summary', 'issues', 'revised'
+  // 离线预检：输入时在本地运行；分析完成后对提交的原文再运行一次，与 AI 的问题合并去重
+  const deferredInput = useDeferredValue(inputText);
+  const ignoredIssueTypes = activeProfile.ignoredIssueTypes;
+  const liveChecks = useMemo(
+    () => runPrecheck(deferredInput, ignoredIssueTypes),
+    [deferredInput, ignoredIssueTypes]
+  );
+  const result = useMemo(
+    () => aiResult && {
+      ...aiResult,
+      issues: mergeIssues(analyzedText, aiResult.issues || [], runPrecheck(analyzedText, ignoredIssueTypes)),
+    },
+    [aiResult, analyzedText, ignoredIssueTypes]
+  );
 
-  const [isLoading, setIsLoading] = useState(false);
-  const [result, setResult] = useState(null);
-  const [errorMessage, setErrorMessage] = useState(null);
-  const fileInputRef = useRef(null);
+  const issuePlacement = useMemo(
+    () => (result ? locateIssues(analyzedText, result.issues) : { located: [], unmatched: [] }),
+    [result, analyzedText]
+  );
 
-  // 复制提示状态和逻辑
-  const [copiedMessage, setCopiedMessage] = useState(null);
+  const handleDecide = useCallback((updates) => {
+    setDecisionHistory(history => [...history, decisions]);
+    const next = { ...decisions };
+    Object.entries(updates).forEach(([index, decision]) => {
+      if (decision) next[index] = decision;
+      else delete next[index];
+    });
+    setDecisions(next);
+  }, [decisions]);
+
+  const handleUndoDecision = useCallback(() => {
+    if (decisionHistory.length === 0) return;
+    setDecisions(decisionHistory[decisionHistory.length - 1]);
+    setDecisionHistory(history => history.slice(0, -1));
+  }, [decisionHistory]);
   
   // --- 新增状态用于 API Key 和设置 ---
   const [userApiKey, setUserApiKey] = useState('');
   const [showSettings, setShowSettings] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null); // 当前结果来自缓存时为缓存时间
+  const abortRef = useRef(null); // 当前请求的 AbortController
+  const [retryStatus, setRetryStatus] = useState(null); // { attempt, max }，正在等待重试时显示
+  const [cacheCount, setCacheCount] = useState(null);
+
+  // --- LLM Provider 配置 ---
+  const [providerId, setProviderId] = useState(DEFAULT_PROVIDER_ID);
+  const [providerBaseUrl, setProviderBaseUrl] = useState('');
+  const [providerModel, setProviderModel] = useState('');
+  const providerInfo = PROVIDERS[providerId];
+
+  // 本机保存了加密的 Key 时，启动后展开设置面板，提示用户解锁一次
+  useEffect(() => {
+    if (API_MODE === 'proxy') return;
+    getVaultEntry(DEFAULT_PROVIDER_ID)
+      .then(entry => { if (entry) setShowSettings(true); })
+      .catch(() => {});
+  }, []);
   
   // --- Firebase Auth 状态 ---
-  const [authReady, setAuthReady] = useState(false);
+  // 检查 Canvas 提供的全局变量是否存在；在本地 Vite 环境中它们不存在，此时 firebase 为 null
+  const [firebase] = useState(initFirebase);
+  const [authReady, setAuthReady] = useState(!firebase);
   const [userId, setUserId] = useState(null);
-  const authRef = useRef(null);
+  const [isCloudUser, setIsCloudUser] = useState(false);
   
-  // 1. Firebase 初始化与认证 (Mandatory Setup)
+  // 1. Firebase 认证 (Mandatory Setup)
   useEffect(() => {
-    // 检查 Canvas 提供的全局变量是否存在，并提供本地默认值
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-    const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+    if (!firebase) return;
+    const { auth, initialAuthToken } = firebase;
+
+    const signIn = async () => {
+        try {
+            if (initialAuthToken) {
+                await signInWithCustomToken(auth, initialAuthToken);
+            } else {
+                await signInAnonymously(auth);
+            }
+        } catch (error) {
+            console.error("Firebase Sign-In Failed:", error);
+        }
+    };
 
-    if (!firebaseConfig) {
-        // 在本地 Vite 环境中，这些全局变量不存在，但我们不需要它们来运行核心功能。
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+        if (user) {
+            setUserId(user.uid);
+            setIsCloudUser(true);
+        } else {
+            // If anonymous sign-in failed, use a random UUID as fallback
+            setUserId(crypto.randomUUID()); 
+            setIsCloudUser(false);
+        }
         setAuthReady(true);
-        return;
+    });
+
+    signIn();
+    return () => unsubscribe();
+  }, [firebase]);
+
+  // 代理模式下 API Key 在服务器上，浏览器只需证明自己是谁：登录时发送 Firebase ID Token，否则服务器按 IP 限流
+  const provider = useMemo(
+    () => (API_MODE === 'proxy'
+      ? createProxyProvider({
+        baseUrl: PROXY_BASE_URL,
+        getAuthHeaders: async () => {
+          const user = firebase?.auth.currentUser;
+          return user ? { Authorization: `Bearer ${await user.getIdToken()}` } : {};
+        },
+      })
+      : createProvider({ providerId, apiKey: userApiKey, baseUrl: providerBaseUrl, model: providerModel })),
+    [firebase, providerId, userApiKey, providerBaseUrl, providerModel]
+  );
+
+  // --- 润色历史 ---
+  // 已登录 Firebase 时保存到 Firestore，否则保存到本机 IndexedDB
+  const historyStore = useMemo(
+    () => (authReady
+      ? createHistoryStore({ db: isCloudUser ? firebase.db : null, appId: firebase?.appId, userId })
+      : null),
+    [authReady, isCloudUser, firebase, userId]
+  );
+  const [showHistory, setShowHistory] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // --- 草稿版本 ---
+  // 当前文档与正在查看的版本；下一次分析保存为该版本的子版本
+  const [draft, setDraft] = useState({ documentId: null, versionId: null });
+  const [showTimeline, setShowTimeline] = useState(false);
+  const timeline = useMemo(
+    () => (draft.documentId ? buildTimeline(sessions, draft.documentId) : []),
+    [sessions, draft.documentId]
+  );
+
+  // --- 错题本 ---
+  // 与历史记录一样按 userId 保存；审阅时接受的修正会被收集进来
+  const notebookStore = useMemo(
+    () => (authReady
+      ? createNotebookStore({ db: isCloudUser ? firebase.db : null, appId: firebase?.appId, userId })
+      : null),
+    [authReady, isCloudUser, firebase, userId]
+  );
+  const [notebook, setNotebook] = useState([]);
+  const [showNotebook, setShowNotebook] = useState(false);
+  // 收集与复习都是异步的，去重和更新时读取 ref 中的最新列表，而不是渲染时捕获的 notebook
+  const notebookRef = useRef([]);
+  const collectQueueRef = useRef(Promise.resolve()); // 依次收集，避免两批接受交错时重复保存
+
+  const updateNotebook = useCallback((update) => {
+    notebookRef.current = update(notebookRef.current);
+    setNotebook(notebookRef.current);
+  }, []);
+
+  const refreshNotebook = useCallback(async () => {
+    if (!notebookStore) return;
+    try {
+      const entries = await notebookStore.list();
+      updateNotebook(() => entries);
+    } catch (error) {
+      console.error("Failed to load the mistake notebook:", error);
+      setErrorMessage(t('notebook.loadFailed'));
     }
+  }, [notebookStore, updateNotebook, t]);
 
+  // 收集时需要已有的错题来去重，因此登录后立即加载
+  useEffect(() => {
+    refreshNotebook();
+  }, [refreshNotebook]);
+
+  // --- 讲解对话 ---
+  // tutorAnchor 为正在讨论的内容；对话随当前版本 (tutorSessionId) 一起保存
+  const [tutorAnchor, setTutorAnchor] = useState(null); // { kind: 'issue', index } 或 { kind: 'revised' }
+  const [tutorThreads, setTutorThreads] = useState({});
+  // 等待回复期间对话可能被更新，保存时需要最新的对话：与错题本一样经 ref 读写，并返回更新后的值
+  const tutorThreadsRef = useRef({});
+  const updateTutorThreads = (update) => {
+    tutorThreadsRef.current = update(tutorThreadsRef.current);
+    setTutorThreads(tutorThreadsRef.current);
+    return tutorThreadsRef.current;
+  };
+  const [tutorSessionId, setTutorSessionId] = useState(null);
+  const [tutorLoading, setTutorLoading] = useState(false);
+  const [tutorError, setTutorError] = useState(null);
+  const tutorAbortRef = useRef(null);
+
+  const refreshHistory = useCallback(async () => {
+    if (!historyStore) return;
+    setHistoryLoading(true);
     try {
-        const app = initializeApp(firebaseConfig);
-        const auth = getAuth(app);
-        authRef.current = auth; 
-
-        const signIn = async () => {
-            try {
-                if (initialAuthToken) {
-                    await signInWithCustomToken(auth, initialAuthToken);
-                } else {
-                    await signInAnonymously(auth);
-                }
-            } catch (error) {
-                console.error("Firebase Sign-In Failed:", error);
-            }
-        };
+      setSessions(await historyStore.list());
+    } catch (error) {
+      console.error("Failed to load history:", error);
+      setErrorMessage(t('history.loadFailed'));
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [historyStore, t]);
 
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
-            if (user) {
-                setUserId(user.uid);
-            } else {
-                // If anonymous sign-in failed, use a random UUID as fallback
-                setUserId(crypto.randomUUID()); 
-            }
-            setAuthReady(true);
-        });
+  /**
+   * 保存一个版本到历史记录。
+   * @param {{documentId: string, parentId: string|null}} lineage 所属文档与所基于的版本
+   */
+  const saveSession = async (text, settings, data, lineage) => {
+    if (!historyStore) return;
+    try {
+      const saved = await historyStore.save({
+        input: text,
+        ...settings,
+        result: data,
+        documentId: lineage.documentId,
+        parentId: lineage.parentId,
+      });
+      setSessions(list => [saved, ...list]);
+      setDraft({ documentId: lineage.documentId, versionId: saved.id });
+      setTutorSessionId(saved.id);
+    } catch (error) {
+      console.error("Failed to save session:", error);
+    }
+  };
 
-        signIn();
-        return () => unsubscribe();
-    } catch (e) {
-        console.error("Firebase Initialization Error:", e);
-        setAuthReady(true);
+  const saveToCache = async (key, data) => {
+    try {
+      await putCachedResult(key, data);
+    } catch (error) {
+      console.warn("Failed to write result cache:", error);
     }
-  }, []);
+  };
+
+  const refreshCacheCount = () => {
+    countCachedResults().then(setCacheCount).catch(() => setCacheCount(null));
+  };
+
+  const handleClearCache = async () => {
+    try {
+      await clearResultCache();
+      setCacheCount(0);
+      setCachedAt(null);
+    } catch (error) {
+      console.error("Failed to clear result cache:", error);
+      setErrorMessage(t('cache.clearFailed'));
+    }
+  };
+
+  const handleOpenSession = (session) => {
+    setInputText(session.input);
+    setAnalyzedText(session.input);
+    setTopic(session.topic || '');
+    const restored = profileFromSettings(profiles, session, t('profiles.fromSession'));
+    if (restored.id) selectProfile(restored);
+    else setSessionProfile(restored);
+    setUserPrompt(session.userPrompt || '');
+    setScoringMode(session.scoringMode || 'off');
+    setFeedbackLanguage(session.feedbackLanguage || DEFAULT_FEEDBACK_LANGUAGE);
+    setDraft({ documentId: documentIdOf(session), versionId: session.id });
+    setResult(session.result);
+    resetTutor(session.tutorThreads || {}, session.id);
+    setSelectedIssue(null);
+    setDecisions({});
+    setDecisionHistory([]);
+    setChunkJobs([]);
+    setErrorMessage(null);
+    setCachedAt(null);
+    setInputView('annotated');
+    setActiveTab('summary');
+    setShowHistory(false);
+    setShowTimeline(false);
+  };
+
+  // 开始一篇新文档：清空输入与结果，下一次分析不再接在当前版本之后
+  const handleNewDocument = () => {
+    setDraft({ documentId: null, versionId: null });
+    setInputText('');
+    setAnalyzedText('');
+    setResult(null);
+    resetTutor();
+    setSelectedIssue(null);
+    setDecisions({});
+    setDecisionHistory([]);
+    setChunkJobs([]);
+    setErrorMessage(null);
+    setCachedAt(null);
+    setInputView('edit');
+  };
+
+  // 以某个版本的润色全文开始新的一轮，新版本作为它的子版本
+  const handleReviseAgain = (session) => {
+    setShowTimeline(false);
+    handleRevision({
+      text: session.result.improved_full_text,
+      parent: { documentId: documentIdOf(session), versionId: session.id },
+    });
+  };
+
+  /** 关闭讲解对话并换成另一个版本的对话 (默认清空) */
+  const resetTutor = (threads = {}, sessionId = null) => {
+    tutorAbortRef.current?.abort();
+    tutorAbortRef.current = null;
+    setTutorAnchor(null);
+    updateTutorThreads(() => threads);
+    setTutorSessionId(sessionId);
+    setTutorLoading(false);
+    setTutorError(null);
+  };
+
+  const openTutor = (anchor) => {
+    setTutorError(null);
+    setTutorAnchor(anchor);
+    setShowHistory(false);
+  };
+
+  const tutorIssue = tutorAnchor?.kind === 'issue' ? result?.issues?.[tutorAnchor.index] : null;
+  const tutorKey = tutorIssue ? issueThreadKey(tutorAnchor.index, tutorIssue) : REVISED_THREAD_KEY;
+
+  /**
+   * 向老师发送一条消息；收到回复后把对话保存到当前版本。
+   * @returns {Promise<boolean>} 是否收到回复 (失败时撤回这条消息)
+   */
+  const sendTutorMessage = async (content) => {
+    if (!tutorAnchor || !result) return false;
+    const key = tutorKey;
+    const messages = [...(tutorThreadsRef.current[key] || []), { role: 'user', content }];
+    const context = buildTutorContext(tutorAnchor, {
+      result,
+      text: analyzedText,
+      located: issuePlacement.located,
+      settings: revisionSettings,
+    });
+    updateTutorThreads(threads => ({ ...threads, [key]: messages }));
+    setTutorLoading(true);
+    const controller = new AbortController();
+    tutorAbortRef.current = controller;
+
+    const reply = await fetchTutorReply(messages, context, provider, setTutorError, { signal: controller.signal });
+    // 期间换了版本，这次的回复已经不属于当前对话
+    if (tutorAbortRef.current !== controller) return false;
+    setTutorLoading(false);
+    if (!reply) {
+      updateTutorThreads(threads => ({ ...threads, [key]: messages.slice(0, -1) }));
+      return false;
+    }
+
+    const threads = updateTutorThreads(current => ({ ...current, [key]: [...messages, { role: 'assistant', content: reply }] }));
+    if (tutorSessionId && historyStore) {
+      try {
+        await historyStore.update(tutorSessionId, { tutorThreads: threads });
+        setSessions(list => list.map(session => (
+          session.id === tutorSessionId ? { ...session, tutorThreads: threads } : session
+        )));
+      } catch (error) {
+        console.error("Failed to save tutor thread:", error);
+      }
+    }
+    return true;
+  };
+
+  /** 把一批被接受的问题收进错题本 */
+  const collectIssues = async (source, updates) => {
+    const now = Date.now();
+    try {
+      for (const [index, decision] of Object.entries(updates)) {
+        if (decision !== 'accepted') continue;
+        const issue = source.issues[index];
+        const span = issuePlacement.located.find(item => item.index === Number(index));
+        const sentence = span ? findSentence(analyzedText, span.start, span.end) : '';
+        const existing = notebookRef.current.find(entry => entry.key === mistakeKey(issue));
+        if (existing) {
+          const changes = recordRepeat(existing, sentence, now);
+          if (!changes) continue;
+          await notebookStore.update(existing.id, changes);
+          updateNotebook(list => list.map(entry => (entry.id === existing.id ? { ...entry, ...changes } : entry)));
+        } else {
+          const saved = await notebookStore.save(buildNotebookEntry(issue, sentence, now));
+          updateNotebook(list => [saved, ...list]);
+        }
+      }
+    } catch (error) {
+      console.error("Failed to add to the mistake notebook:", error);
+      setErrorMessage(t('notebook.saveFailed'));
+    }
+  };
+
+  /** 把本次被接受的问题收进错题本；同一个错误只保存一条 */
+  const collectAccepted = (updates) => {
+    if (!notebookStore || !result) return;
+    collectQueueRef.current = collectQueueRef.current.then(() => collectIssues(result, updates));
+  };
+
+  /** 记录一张卡片的复习结果并安排下一次复习 */
+  const handleReviewCard = async (card, grade) => {
+    const entry = notebookRef.current.find(item => item.id === card.entry.id);
+    if (!entry) return;
+    const reviews = { ...entry.reviews, [card.kind]: scheduleReview(entry.reviews[card.kind], grade, Date.now()) };
+    updateNotebook(list => list.map(item => (item.id === entry.id ? { ...item, reviews } : item)));
+    try {
+      await notebookStore.update(entry.id, { reviews });
+    } catch (error) {
+      console.error("Failed to save review progress:", error);
+      setErrorMessage(t('notebook.saveFailed'));
+    }
+  };
+
+  const handleDeleteNotebookEntry = async (id) => {
+    try {
+      await notebookStore.remove(id);
+      updateNotebook(list => list.filter(entry => entry.id !== id));
+    } catch (error) {
+      console.error("Failed to delete a notebook entry:", error);
+      setErrorMessage(t('notebook.saveFailed'));
+    }
+  };
+
+  const handleDeleteSession = async (id) => {
+    try {
+      await historyStore.remove(id);
+      setSessions(list => list.filter(session => session.id !== id));
+    } catch (error) {
+      console.error("Failed to delete session:", error);
+      setErrorMessage(t('history.deleteFailed'));
+    }
+  };
 
   /**
    * 安全地将文本复制到剪贴板，并显示临时提示。
@@ -385,72 +644,284 @@ export default function App() {
         .catch(err => {
           console.error('Copy failed using clipboard API:', err);
           // 降级到旧方法
-          fallbackCopyTextToClipboard(text, messageKey, setCopiedMessage, setErrorMessage);
+          fallbackCopyTextToClipboard(text, messageKey, setCopiedMessage, () => setErrorMessage(t('copy.failed')));
         });
     } else {
-      fallbackCopyTextToClipboard(text, messageKey, setCopiedMessage, setErrorMessage);
+      fallbackCopyTextToClipboard(text, messageKey, setCopiedMessage, () => setErrorMessage(t('copy.failed')));
     }
-  }, [setCopiedMessage, setErrorMessage]); // 确保依赖项完整
+  }, [setCopiedMessage, setErrorMessage, t]); // 确保依赖项完整
 
   const handleTranscribe = () => {
     fileInputRef.current.click();
   };
 
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onloadend = async () => {
-        // DataURL looks like: data:image/png;base64,...
-        const dataUrl = reader.result;
-        const [mimeTypePart, dataPart] = dataUrl.split(';');
-        const mimeType = mimeTypePart.split(':')[1];
-        const base64Image = dataPart.split(',')[1];
+  const handleFileChange = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // 清空文件输入，以便再次选择相同文件
+    if (files.length === 0) return;
 
+    setShowOcr(true);
+    setLoadingOcrFiles(true);
+    try {
+      const pages = [];
+      for (const file of files) {
+        if (file.type === 'application/pdf') {
+          pages.push(...await renderPdfPages(file));
+        } else if (file.type.startsWith('image/')) {
+          pages.push({ name: file.name, dataUrl: await readFileAsDataUrl(file) });
+        }
+      }
+      // 保留原图以便再次编辑；发送识别的是在本地缩小后的版本
+      const processed = [];
+      for (const page of pages) {
+        processed.push({ ...page, original: page.dataUrl, dataUrl: await processImage(page.dataUrl) });
+      }
+      setOcrPages(list => [
+        ...list,
+        ...processed.map(page => ({ ...page, id: crypto.randomUUID(), status: 'pending', text: '', error: null })),
+      ]);
+    } catch (error) {
+      console.error("Failed to read files:", error);
+      setErrorMessage(t('ocr.readFailed'));
+    } finally {
+      setLoadingOcrFiles(false);
+    }
+  };
 
-        setIsLoading(true);
-        const recognizedText = await transcribeImage(base64Image, mimeType, userApiKey, setErrorMessage);
-        setIsLoading(false);
-        event.target.value = ''; // 清空文件输入，以便再次选择相同文件
+  const handleCapture = () => {
+    setShowOcr(true);
+    setEditingImage({ pageId: null, image: null });
+  };
 
-        if (recognizedText) {
-          setInputText(recognizedText);
-        }
-      };
-      reader.readAsDataURL(file);
+  const handleImageEdited = (dataUrl, original) => {
+    const { pageId } = editingImage;
+    setEditingImage(null);
+    if (pageId) {
+      // 图片变了，之前的识别结果作废
+      setOcrPages(list => list.map(page => (
+        page.id === pageId ? { ...page, dataUrl, status: 'pending', text: '', error: null, reviewLines: null } : page
+      )));
+    } else {
+      setOcrPages(list => [
+        ...list,
+        { id: crypto.randomUUID(), name: t('ocr.photoName', { number: list.length + 1 }), original, dataUrl, status: 'pending', text: '', error: null },
+      ]);
+    }
+  };
+
+  const transcribePage = async (page, review) => {
+    const { base64, mimeType } = splitDataUrl(page.dataUrl);
+    let pageError = null;
+    const transcribe = review ? transcribeImageForReview : transcribeImage;
+    const recognizedText = await transcribe(base64, mimeType, provider, (message) => { if (message) pageError = message; });
+    if (!recognizedText) throw new Error(pageError || t('ocr.emptyResult'));
+    return recognizedText;
+  };
+
+  const handleInsertTranscript = (text, mode) => {
+    if (mode === 'replace') {
+      setInputText(text);
+    } else {
+      const position = cursorRef.current ?? inputText.length;
+      const before = inputText.slice(0, position);
+      const after = inputText.slice(position);
+      // 与前后文之间保留空行，避免和已有段落粘连
+      const separatorBefore = before && !before.endsWith('\n') ? '\n\n' : '';
+      const separatorAfter = after && !after.startsWith('\n') ? '\n\n' : '';
+      setInputText(before + separatorBefore + text + separatorAfter + after);
     }
+    setInputView('edit');
+    setShowOcr(false);
+    setOcrPages([]);
   };
 
+  /**
+   * 开始润色。相同输入与设置优先读取本地缓存，forceRefresh 时跳过缓存重新请求。
+   */
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
 
-  const handleRevision = async () => {
-    if (!inputText.trim()) {
-      setErrorMessage("请输入需要润色的文本！");
+  /**
+   * 分析当前输入，结果保存为当前文档的新版本。
+   * @param {object} [options]
+   * @param {boolean} [options.forceRefresh] 忽略缓存
+   * @param {string} [options.text] 要分析的文本，默认为输入框的内容 (会同时写回输入框)
+   * @param {{documentId: string|null, versionId: string|null}} [options.parent] 新版本所基于的版本，默认为当前版本
+   */
+  const handleRevision = async ({ forceRefresh = false, text, parent = draft } = {}) => {
+    const submittedText = text ?? inputText;
+    if (!submittedText.trim()) {
+      setErrorMessage(t('input.empty'));
       return;
     }
-    if (inputText.length > MAX_CHARS) {
-      setErrorMessage(`文本长度不能超过 ${MAX_CHARS} 个字符。`);
+    if (submittedText.length > MAX_DOCUMENT_CHARS) {
+      setErrorMessage(t('input.tooLong', { max: MAX_DOCUMENT_CHARS }));
       return;
     }
 
     setResult(null);
+    resetTutor();
+    setSelectedIssue(null);
+    setDecisions({});
+    setDecisionHistory([]);
+    setChunkJobs([]);
+    setCachedAt(null);
+    setRetryStatus(null);
     setIsLoading(true);
     setErrorMessage(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-    const data = await fetchImprovedText(
-      inputText,
-      analysisTarget,
-      difficulty,
-      userPrompt,
-      userApiKey, // Pass userApiKey here
-      setErrorMessage
+    if (text !== undefined) setInputText(text);
+    setAnalyzedText(submittedText);
+    const lineage = { documentId: parent.documentId || crypto.randomUUID(), parentId: parent.versionId };
+    setActiveTab('summary'); // 默认切换到总结标签页，总结最先生成
+
+    let cacheKey = null;
+    try {
+      cacheKey = await buildCacheKey(submittedText, revisionSettings, provider);
+      const cached = forceRefresh ? null : await getCachedResult(cacheKey);
+      if (cached) {
+        setResult(cached.result);
+        setCachedAt(cached.createdAt);
+        setInputView('annotated');
+        setIsLoading(false);
+        // 修改后的文本命中缓存时同样记为一个版本；原样重新提交则不重复记录
+        const parentSession = sessions.find(session => session.id === lineage.parentId);
+        if (parentSession && parentSession.input !== submittedText) {
+          saveSession(submittedText, revisionSettings, cached.result, lineage);
+        } else if (parentSession) {
+          resetTutor(parentSession.tutorThreads || {}, parentSession.id);
+        }
+        return;
+      }
+    } catch (error) {
+      // 缓存不可用 (如隐私模式) 时照常请求
+      console.warn("Result cache unavailable:", error);
+    }
+
+    if (submittedText.length > MAX_CHARS) {
+      await handleChunkedRevision(submittedText, cacheKey, controller, lineage);
+      return;
+    }
+
+    // 流式接收：总结、逐条问题与润色文本会依次出现
+    const data = await streamImprovedText(
+      submittedText,
+      revisionSettings,
+      provider,
+      setErrorMessage,
+      setResult,
+      { signal: controller.signal, onRetry: setRetryStatus }
     );
 
     setIsLoading(false);
+    setRetryStatus(null);
 
     if (data) {
-      setResult(data);
-      setActiveTab('summary'); // 默认切换到总结标签页
+      setResult(data.result);
+      setInputView('annotated');
+      if (data.complete) {
+        saveSession(submittedText, revisionSettings, data.result, lineage);
+        if (cacheKey) saveToCache(cacheKey, data.result);
+      }
+    } else {
+      // 请求失败：清掉流式接收过程中显示的内容，避免被当作有效结果
+      setResult(null);
+    }
+  };
+
+  const updateChunkJob = (index, updates) => {
+    setChunkJobs(jobs => jobs.map(job => (job.index === index ? { ...job, ...updates } : job)));
+  };
+
+  /**
+   * 分析单个分块，并把相邻分块的片段作为上下文一并发送。
+   * @returns {Promise<object|null>} 分块结果，失败时为 null
+   */
+  const reviseChunk = async (run, index) => {
+    const chunk = run.chunks[index];
+    updateChunkJob(index, { status: 'running', error: null, retry: null });
+
+    let chunkError = null;
+    const data = await fetchImprovedText(
+      chunk.text,
+      run.settings,
+      run.provider,
+      (message) => { if (message) chunkError = message; },
+      {
+        before: run.text.slice(Math.max(0, chunk.start - CHUNK_CONTEXT_CHARS), chunk.start),
+        after: run.text.slice(chunk.end, chunk.end + CHUNK_CONTEXT_CHARS),
+      },
+      {
+        signal: run.controller.signal,
+        onRetry: (retry) => updateChunkJob(index, { retry }),
+      }
+    );
+
+    run.results[index] = data;
+    updateChunkJob(index, data ? { status: 'done' } : { status: 'error', error: chunkError });
+    return data;
+  };
+
+  const finishChunkedRun = (run) => {
+    const failed = run.results.filter(r => !r).length;
+    const cancelled = run.controller.signal.aborted;
+    if (failed === run.chunks.length) {
+      setErrorMessage(cancelled ? t('errors.cancelled') : t('chunks.allFailed'));
+      return;
     }
+    // 合并后的问题顺序会变化，之前的审阅结果不再对应
+    setDecisions({});
+    setDecisionHistory([]);
+    const merged = mergeChunkResults(run.chunks, run.results);
+    setResult(merged);
+    setInputView('annotated');
+    if (failed === 0) {
+      setErrorMessage(null);
+    } else {
+      setErrorMessage(cancelled
+        ? t('chunks.cancelledPartial', { count: failed })
+        : t('chunks.someFailed', { count: failed }));
+    }
+    if (failed === 0) {
+      saveSession(run.text, run.settings, merged, run.lineage);
+      if (run.cacheKey) saveToCache(run.cacheKey, merged);
+    }
+  };
+
+  const handleChunkedRevision = async (text, cacheKey, controller, lineage) => {
+    const chunks = splitIntoChunks(text, MAX_CHARS);
+    const run = {
+      text,
+      cacheKey,
+      controller,
+      lineage,
+      chunks,
+      results: new Array(chunks.length).fill(null),
+      settings: revisionSettings,
+      provider,
+    };
+    chunkRunRef.current = run;
+    setChunkJobs(chunks.map(chunk => ({ index: chunk.index, length: chunk.text.length, status: 'pending', error: null, retry: null })));
+
+    await runWithConcurrency(chunks.map(chunk => () => reviseChunk(run, chunk.index)), CHUNK_CONCURRENCY);
+
+    setIsLoading(false);
+    finishChunkedRun(run);
+  };
+
+  const handleRetryChunk = async (index) => {
+    const run = chunkRunRef.current;
+    if (!run || isLoading) return;
+    // 之前的 controller 可能已被取消，重试时换一个新的
+    run.controller = new AbortController();
+    abortRef.current = run.controller;
+    setIsLoading(true);
+    await reviseChunk(run, index);
+    setIsLoading(false);
+    finishChunkedRun(run);
   };
 
   // UI 结构
@@ -471,48 +942,167 @@ export default function App() {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex justify-between items-center">
           <h1 className="text-xl font-bold text-indigo-600 flex items-center gap-2">
             <GraduationCap className="w-6 h-6" />
-            {APP_NAME}
+            {t('app.name')}
             {/* 仅在 authReady 且 userId 存在时显示 */}
             {authReady && userId && <span className="text-xs font-mono text-slate-400 ml-2">UID: {userId}</span>}
           </h1>
-          <button 
-            onClick={() => setShowSettings(!showSettings)}
-            className="p-2 rounded-full text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors"
-            aria-label="设置"
-          >
-            <Settings className="w-6 h-6" />
-          </button>
+          <div className="flex items-center gap-1">
+            <label className="flex items-center gap-1 text-slate-500" title={t('header.language')}>
+              <Languages className="w-5 h-5" />
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="text-sm bg-transparent border-none focus:ring-0 cursor-pointer"
+                aria-label={t('header.language')}
+              >
+                {Object.entries(LOCALES).map(([id, entry]) => (
+                  <option key={id} value={id}>{entry.label}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => {
+                if (!showHistory) refreshHistory();
+                setShowHistory(!showHistory);
+              }}
+              className="p-2 rounded-full text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors"
+              aria-label={t('history.title')}
+            >
+              <History className="w-6 h-6" />
+            </button>
+            <button
+              onClick={() => setShowNotebook(true)}
+              className="p-2 rounded-full text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors"
+              aria-label={t('notebook.title')}
+            >
+              <NotebookPen className="w-6 h-6" />
+            </button>
+            <button 
+              onClick={() => {
+                if (!showSettings) refreshCacheCount();
+                setShowSettings(!showSettings);
+              }}
+              className="p-2 rounded-full text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors"
+              aria-label={t('header.settings')}
+            >
+              <Settings className="w-6 h-6" />
+            </button>
+          </div>
         </div>
       </header>
+
+      <HistorySidebar
+        open={showHistory}
+        onClose={() => setShowHistory(false)}
+        sessions={sessions}
+        loading={historyLoading}
+        storageKind={historyStore?.kind}
+        onOpen={handleOpenSession}
+        onDelete={handleDeleteSession}
+      />
+      <DraftTimeline
+        open={showTimeline}
+        onClose={() => setShowTimeline(false)}
+        timeline={timeline}
+        currentId={draft.versionId}
+        onOpen={handleOpenSession}
+        onReviseAgain={handleReviseAgain}
+        disabled={isLoading}
+      />
+      <MistakeNotebook
+        open={showNotebook}
+        onClose={() => setShowNotebook(false)}
+        entries={notebook}
+        storageKind={notebookStore?.kind}
+        onReview={handleReviewCard}
+        onDelete={handleDeleteNotebookEntry}
+      />
+      <TutorChat
+        open={Boolean(tutorAnchor && result)}
+        onClose={() => setTutorAnchor(null)}
+        issue={tutorIssue}
+        messages={tutorThreads[tutorKey] || []}
+        loading={tutorLoading}
+        error={tutorError}
+        onSend={sendTutorMessage}
+        onCancel={() => tutorAbortRef.current?.abort()}
+      />
       
-      {/* API Key 设置面板 */}
+      {/* API Key 与模型服务设置面板 */}
       <div 
-        className={`bg-indigo-50 border-b border-indigo-200 transition-all duration-300 overflow-hidden ${showSettings ? 'max-h-40 py-4' : 'max-h-0'}`}
+        className={`bg-indigo-50 border-b border-indigo-200 transition-all duration-300 overflow-hidden ${showSettings ? 'max-h-[40rem] py-4' : 'max-h-0'}`}
       >
-        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex items-center gap-3 p-3 rounded-lg bg-white shadow-md border border-indigo-100">
-            <Key className="w-5 h-5 text-indigo-500 flex-shrink-0" />
-            <input
-              type="password"
-              placeholder="输入您的 Gemini API Key (可选，留空则使用默认配置)"
-              value={userApiKey}
-              onChange={(e) => setUserApiKey(e.target.value.trim())}
-              className="flex-grow p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-3">
+          {API_MODE === 'proxy' ? (
+            <div className="flex items-center gap-3 p-3 rounded-lg bg-white shadow-md border border-indigo-100 text-sm text-slate-600">
+              <Server className="w-5 h-5 text-indigo-500 flex-shrink-0" />
+              {t('settings.proxyNotice')}
+            </div>
+          ) : (
+            <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 p-3 rounded-lg bg-white shadow-md border border-indigo-100">
+              <label className="text-xs font-medium text-slate-600">
+                {t('settings.provider')}
+                <select
+                  value={providerId}
+                  onChange={(e) => {
+                    setProviderId(e.target.value);
+                    setProviderBaseUrl('');
+                    setProviderModel('');
+                    // Key 按 Provider 分别保存，切换后不能把上一个 Provider 的 Key 发给新的 Provider
+                    setUserApiKey('');
+                  }}
+                  className="mt-1 w-full p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+                >
+                  {Object.keys(PROVIDERS).map(id => (
+                    <option key={id} value={id}>{t(`providers.${id}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs font-medium text-slate-600">
+                Base URL
+                <input
+                  type="url"
+                  placeholder={providerInfo.defaultBaseUrl || t('settings.noConfig')}
+                  value={providerBaseUrl}
+                  onChange={(e) => setProviderBaseUrl(e.target.value.trim())}
+                  disabled={!providerInfo.defaultBaseUrl}
+                  className="mt-1 w-full p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none disabled:bg-gray-50"
+                />
+              </label>
+              <label className="text-xs font-medium text-slate-600">
+                {t('settings.model')}
+                <input
+                  type="text"
+                  placeholder={providerInfo.defaultModel}
+                  value={providerModel}
+                  onChange={(e) => setProviderModel(e.target.value.trim())}
+                  className="mt-1 w-full p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+                />
+              </label>
+            </div>
+            <ApiKeySettings
+              providerId={providerId}
+              providerInfo={providerInfo}
+              provider={provider}
+              apiKey={userApiKey}
+              onApiKeyChange={setUserApiKey}
             />
+            </>
+          )}
+          <div className="flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-white shadow-md border border-indigo-100 text-xs text-slate-600">
+            <span className="flex items-center gap-2">
+              <Database className="w-4 h-4 text-indigo-500" />
+              {t('cache.status', { count: cacheCount ?? '-', max: MAX_CACHE_ENTRIES })}
+            </span>
             <button
-              onClick={() => {
-                setUserApiKey('');
-              }}
-              className="text-xs font-medium text-red-600 hover:bg-red-50 px-3 py-1.5 rounded transition-colors"
+              onClick={handleClearCache}
+              disabled={!cacheCount}
+              className="font-medium text-red-600 hover:bg-red-50 px-3 py-1.5 rounded transition-colors disabled:opacity-40"
             >
-              清除
+              {t('cache.clear')}
             </button>
           </div>
-          {userApiKey && (
-            <p className="text-xs text-indigo-600 mt-2 text-center">
-              您正在使用自定义 API Key 进行调用。
-            </p>
-          )}
         </div>
       </div>
       
@@ -520,9 +1110,7 @@ export default function App() {
       {copiedMessage && (
         <div className="fixed top-4 right-4 z-50 flex items-center p-3 text-sm font-medium text-white bg-indigo-600 rounded-lg shadow-xl transition-all duration-300">
           <ClipboardCheck size={16} className="mr-2" />
-          {copiedMessage === 'summary' && '总结已复制！'}
-          {copiedMessage === 'issues' && '问题列表已复制！'}
-          {copiedMessage === 'full' && '全文已复制！'}
+          {t(`copy.done.${copiedMessage}`)}
         </div>
       )}
       
@@ -533,40 +1121,144 @@ export default function App() {
           <div className="bg-white p-6 rounded-2xl shadow-xl border border-indigo-100">
             <h2 className="flex items-center text-xl font-bold text-slate-700 mb-4">
               <BookOpen size={20} className="mr-2 text-indigo-500" />
-              待润色文本 (最多 {MAX_CHARS} 字符)
+              {t('input.title')}
             </h2>
-            {/* 题目输入，用于上下文参考 */}
-            <label htmlFor="topic" className="block text-sm font-medium text-slate-700 mb-1">作文题目 (仅供参考)</label>
+            {/* 题目输入：会随文本一起发送，用于判断是否切题 */}
+            <div className="flex items-center justify-between mb-1">
+              <label htmlFor="topic" className="block text-sm font-medium text-slate-700">{t('input.topic')}</label>
+              <button
+                onClick={() => setShowTopicBank(true)}
+                className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded transition-colors"
+              >
+                <Library size={14} />
+                {t('input.pickTopic')}
+              </button>
+            </div>
             <textarea
                 id="topic"
                 rows="2"
-                value={DEMO_TOPIC} // 保持固定或可编辑，这里先保持固定
-                readOnly
-                placeholder="作文题目"
-                className="w-full p-3 border border-slate-200 rounded-lg bg-gray-50 text-slate-500 transition-shadow resize-none mb-4"
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                disabled={isLoading}
+                placeholder={t('input.topicPlaceholder')}
+                className="w-full p-3 border border-slate-300 rounded-lg text-sm text-slate-700 transition-shadow resize-none mb-4 focus:ring-indigo-500 focus:border-indigo-500"
               />
+            <TopicBank open={showTopicBank} onClose={() => setShowTopicBank(false)} onPick={setTopic} />
             
-            <textarea
-              className="w-full h-64 p-4 text-sm border border-slate-300 rounded-lg resize-none focus:ring-indigo-500 focus:border-indigo-500 custom-scrollbar"
-              placeholder="在这里输入你的文本..."
-              value={inputText}
-              onChange={(e) => setInputText(e.target.value)}
-              maxLength={MAX_CHARS}
-            ></textarea>
+            {/* 编辑 / 标注视图切换 */}
+            {result && (
+              <div className="flex items-center gap-2 mb-2 text-xs">
+                <button
+                  onClick={() => setInputView('edit')}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-full transition-colors ${inputView === 'edit' ? 'bg-indigo-600 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+                >
+                  <PenLine size={12} />
+                  {t('input.edit')}
+                </button>
+                <button
+                  onClick={() => setInputView('annotated')}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-full transition-colors ${inputView === 'annotated' ? 'bg-indigo-600 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+                >
+                  <Highlighter size={12} />
+                  {t('input.annotated')}
+                </button>
+                {inputView === 'annotated' && inputText !== analyzedText && (
+                  <span className="text-amber-600">{t('input.staleAnnotations')}</span>
+                )}
+                <div className="ml-auto flex items-center gap-1">
+                  {timeline.length > 0 && (
+                    <button
+                      onClick={() => setShowTimeline(true)}
+                      className="flex items-center gap-1 px-3 py-1 rounded-full text-indigo-600 hover:bg-indigo-50 transition-colors"
+                    >
+                      <GitBranch size={12} />
+                      {t('drafts.versions', { count: timeline.length })}
+                    </button>
+                  )}
+                  <button
+                    onClick={handleNewDocument}
+                    disabled={isLoading}
+                    className="flex items-center gap-1 px-3 py-1 rounded-full text-slate-600 hover:bg-slate-100 transition-colors"
+                  >
+                    <FilePlus size={12} />
+                    {t('drafts.newDocument')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {result && inputView === 'annotated' ? (
+              <AnnotatedText
+                text={analyzedText}
+                issues={result.issues}
+                placement={issuePlacement}
+                selectedIndex={selectedIssue}
+                onSelect={setSelectedIssue}
+              />
+            ) : (
+              <textarea
+                className="w-full h-64 p-4 text-sm border border-slate-300 rounded-lg resize-none focus:ring-indigo-500 focus:border-indigo-500 custom-scrollbar"
+                placeholder={t('input.placeholder')}
+                value={inputText}
+                onChange={(e) => setInputText(e.target.value)}
+                onSelect={(e) => { cursorRef.current = e.target.selectionStart; }}
+                maxLength={MAX_DOCUMENT_CHARS}
+              ></textarea>
+            )}
+            {!(result && inputView === 'annotated') && (
+              <PrecheckPanel text={inputText} issues={liveChecks} onChange={setInputText} disabled={isLoading} />
+            )}
             <div className="flex justify-between items-center mt-3 text-xs text-slate-500">
-              <span>当前字数: {inputText.length}</span>
+              <span>
+                {t('input.charCount', { count: inputText.length })}
+                <span className="ml-2">{t('input.wordCount', { count: countWords(deferredInput) })}</span>
+                {inputText.length > MAX_CHARS && (
+                  <span className="ml-2 text-indigo-600">{t('input.willChunk', { max: MAX_CHARS })}</span>
+                )}
+              </span>
               <div className="flex items-center gap-2">
                 <button
                   onClick={handleTranscribe}
                   disabled={isLoading}
                   className={`flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded transition-colors ${isLoading ? 'bg-gray-100 text-gray-400' : 'text-indigo-600 hover:bg-indigo-50'}`}
+                >
+                  <ImagePlus size={14} />
+                  {t('input.transcribe')}
+                </button>
+                <button
+                  onClick={handleCapture}
+                  disabled={isLoading}
+                  className={`flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded transition-colors ${isLoading ? 'bg-gray-100 text-gray-400' : 'text-indigo-600 hover:bg-indigo-50'}`}
                 >
                   <Camera size={14} />
-                  从图片识别
+                  {t('input.capture')}
                 </button>
+                <OcrBatchPanel
+                  open={showOcr}
+                  onClose={() => {
+                    setShowOcr(false);
+                    setOcrPages([]);
+                  }}
+                  pages={ocrPages}
+                  setPages={setOcrPages}
+                  loadingFiles={loadingOcrFiles}
+                  onAddFiles={handleTranscribe}
+                  onCapture={() => setEditingImage({ pageId: null, image: null })}
+                  onEditPage={(page) => setEditingImage({ pageId: page.id, image: page.original })}
+                  transcribePage={transcribePage}
+                  onInsert={handleInsertTranscript}
+                />
+                {editingImage && (
+                  <ImageEditor
+                    initialImage={editingImage.image}
+                    onCancel={() => setEditingImage(null)}
+                    onConfirm={handleImageEdited}
+                  />
+                )}
                 <input
                   type="file"
-                  accept="image/*"
+                  accept="image/*,application/pdf"
+                  multiple
                   onChange={handleFileChange}
                   ref={fileInputRef}
                   style={{ display: 'none' }}
@@ -579,54 +1271,108 @@ export default function App() {
           <div className="bg-white p-6 rounded-2xl shadow-xl border border-indigo-100">
             <h2 className="flex items-center text-xl font-bold text-slate-700 mb-4">
               <Wand2 size={20} className="mr-2 text-indigo-500" />
-              润色目标配置
+              {t('options.title')}
             </h2>
             <div className="space-y-4">
-              {/* 目标受众/文体 */}
+              {/* 配置方案：一键切换文体、水平、语气与常用指令 */}
               <div>
-                <label className="block text-sm font-medium text-slate-700 mb-1">
-                  目标受众/文体
-                </label>
-                <select
-                  value={analysisTarget}
-                  onChange={(e) => setAnalysisTarget(e.target.value)}
-                  className="w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500"
-                  disabled={isLoading}
-                >
-                  <option>Academic Essay (E.g., IELTS/TOEFL)</option>
-                  <option>Business Email/Report</option>
-                  <option>Creative Story/Poem</option>
-                  <option>Casual Conversation/Social Media</option>
-                  <option>Technical Documentation</option>
-                </select>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-slate-700">
+                    {t('options.profile')}
+                  </label>
+                  <button
+                    onClick={() => setShowProfiles(true)}
+                    className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded transition-colors"
+                  >
+                    <SlidersHorizontal size={14} />
+                    {t('options.manageProfiles')}
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {sessionProfile && (
+                    <span className="px-3 py-1.5 text-xs rounded-full border border-amber-300 bg-amber-50 text-amber-800">
+                      {sessionProfile.name}
+                    </span>
+                  )}
+                  {profiles.map(profile => (
+                    <button
+                      key={profile.id}
+                      onClick={() => selectProfile(profile)}
+                      disabled={isLoading}
+                      className={`px-3 py-1.5 text-xs rounded-full border transition-colors ${profile === activeProfile ? 'bg-indigo-600 text-white border-indigo-600' : 'border-slate-300 text-slate-600 hover:bg-slate-50'}`}
+                    >
+                      {profile.name}
+                    </button>
+                  ))}
+                </div>
+                <div className="mt-2 p-2 rounded-lg bg-slate-50 text-xs text-slate-500 space-y-0.5">
+                  <p>{[activeProfile.genre, activeProfile.level, activeProfile.tone].filter(Boolean).join(' · ')}</p>
+                  {activeProfile.instructions && <p className="line-clamp-2">{activeProfile.instructions}</p>}
+                  {activeProfile.ignoredIssueTypes.length > 0 && (
+                    <p>
+                      {t('options.ignoredTypes', {
+                        types: activeProfile.ignoredIssueTypes.map(type => getIssueStyle(type).label).join(t('common.listSeparator')),
+                      })}
+                    </p>
+                  )}
+                </div>
+                <ProfileManager
+                  open={showProfiles}
+                  onClose={() => setShowProfiles(false)}
+                  profiles={profiles}
+                  activeId={activeProfile.id}
+                  onChange={refreshProfiles}
+                  onSelect={selectProfile}
+                />
               </div>
 
-              {/* 难度/水平 */}
+              {/* 考试评分模式，仅学术写作可用 */}
+              {isAcademicGenre(activeProfile.genre) && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">
+                    {t('options.scoring')}
+                  </label>
+                  <div className="flex gap-2">
+                    {[['off', t('options.noScoring')], ...Object.entries(EXAM_RUBRICS).map(([id, rubric]) => [id, `${rubric.label} (${rubric.scaleLabel})`])].map(([id, label]) => (
+                      <button
+                        key={id}
+                        onClick={() => setScoringMode(id)}
+                        disabled={isLoading}
+                        className={`flex-1 px-3 py-2 text-xs rounded-lg border transition-colors ${scoringMode === id ? 'bg-indigo-600 text-white border-indigo-600' : 'border-slate-300 text-slate-600 hover:bg-slate-50'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* 反馈语言：解释与总结用学习者的语言，修正与润色全文保持作文语言 */}
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">
-                  难度/水平
+                  {t('options.feedbackLanguage')}
                 </label>
                 <select
-                  value={difficulty}
-                  onChange={(e) => setDifficulty(e.target.value)}
+                  value={feedbackLanguage}
+                  onChange={(e) => setFeedbackLanguage(e.target.value)}
                   className="w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500"
                   disabled={isLoading}
                 >
-                  <option>Elementary/A2</option>
-                  <option>Intermediate/B1-B2</option>
-                  <option>College/Advanced</option>
-                  <option>Native/Professional</option>
+                  {Object.keys(FEEDBACK_LANGUAGES).map(id => (
+                    <option key={id} value={id}>{t(`options.feedbackLanguages.${id}`)}</option>
+                  ))}
                 </select>
+                <p className="mt-1 text-xs text-slate-400">{t('options.feedbackLanguageHint')}</p>
               </div>
 
               {/* 额外指令 */}
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">
-                  额外指令 (可选)
+                  {t('options.instructions')}
                 </label>
                 <textarea
                   className="w-full p-2 h-16 text-sm border border-slate-300 rounded-lg resize-none focus:ring-indigo-500 focus:border-indigo-500"
-                  placeholder="例如：请使用更专业的词汇；保持幽默的语气；字数增加到200字以上。"
+                  placeholder={t('options.instructionsPlaceholder')}
                   value={userPrompt}
                   onChange={(e) => setUserPrompt(e.target.value)}
                   disabled={isLoading}
@@ -637,23 +1383,39 @@ export default function App() {
           </div>
 
           {/* 润色按钮 */}
-          <button
-            onClick={handleRevision}
-            disabled={isLoading || !inputText.trim() || inputText.length > MAX_CHARS}
-            className={`${buttonClasses} w-full ${isLoading ? 'bg-gray-400 text-white cursor-not-allowed' : 'bg-indigo-600 text-white hover:bg-indigo-700'}`}
-          >
-            {isLoading ? (
-              <>
-                <Loader2 size={20} className="animate-spin" />
-                正在智能润色...
-              </>
-            ) : (
-              <>
-                <Zap size={20} />
-                开始润色与分析
-              </>
+          <div className="flex gap-3">
+            <button
+              onClick={() => handleRevision()}
+              disabled={isLoading || !inputText.trim() || inputText.length > MAX_DOCUMENT_CHARS}
+              className={`${buttonClasses} flex-1 ${isLoading ? 'bg-gray-400 text-white cursor-not-allowed' : 'bg-indigo-600 text-white hover:bg-indigo-700'}`}
+            >
+              {isLoading ? (
+                <>
+                  <Loader2 size={20} className="animate-spin" />
+                  {retryStatus ? t('revise.retrying', { attempt: retryStatus.attempt, max: retryStatus.max }) : t('revise.running')}
+                </>
+              ) : (
+                <>
+                  <Zap size={20} />
+                  {t('revise.start')}
+                </>
+              )}
+            </button>
+            {isLoading && (
+              <button
+                onClick={handleCancel}
+                className={`${buttonClasses} bg-white text-red-600 border border-red-300 hover:bg-red-50`}
+              >
+                <XCircle size={20} />
+                {t('common.cancel')}
+              </button>
             )}
-          </button>
+          </div>
+
+          {/* 分段进度 */}
+          {chunkJobs.length > 0 && (
+            <ChunkProgress jobs={chunkJobs} onRetry={handleRetryChunk} />
+          )}
 
           {/* 错误提示 */}
           {errorMessage && (
@@ -670,9 +1432,9 @@ export default function App() {
           {!result && !isLoading && (
             <div className="bg-white p-8 rounded-2xl shadow-xl border border-slate-200 h-full flex flex-col items-center justify-center text-center">
               <GraduationCap size={48} className="text-indigo-400 mb-4" />
-              <h2 className="text-xl font-bold text-slate-700 mb-2">等待您的文本分析</h2>
+              <h2 className="text-xl font-bold text-slate-700 mb-2">{t('result.emptyTitle')}</h2>
               <p className="text-slate-500 text-sm max-w-sm">
-                输入您的文本和润色配置，灵犀写作将为您提供详细的语法修正、风格改进和全文润色。
+                {t('result.emptyHint')}
               </p>
             </div>
           )}
@@ -681,8 +1443,8 @@ export default function App() {
           {!result && isLoading && (
             <div className="bg-white p-8 rounded-2xl shadow-xl border border-slate-200 h-full flex flex-col items-center justify-center text-center">
               <Loader2 size={48} className="text-indigo-500 animate-spin mb-4" />
-              <h2 className="text-xl font-bold text-slate-700">AI 正在努力工作中...</h2>
-              <p className="text-slate-500 text-sm">正在生成详细的分析和润色后的文本，请稍候。</p>
+              <h2 className="text-xl font-bold text-slate-700">{t('result.loadingTitle')}</h2>
+              <p className="text-slate-500 text-sm">{t('result.loadingHint')}</p>
             </div>
           )}
 
@@ -691,30 +1453,75 @@ export default function App() {
             <div className="bg-white rounded-2xl shadow-xl border border-slate-200">
               {/* Tab 导航 */}
               <div className="p-4 border-b border-slate-200 bg-gray-50 rounded-t-2xl">
-                <div className="flex space-x-2">
+                <div className="flex items-center space-x-2">
                   <button onClick={() => setActiveTab('summary')} className={tabClasses('summary')}>
                     <CheckCircle2 size={16} className="inline mr-1" />
-                    总结与评估
+                    {t('result.tabs.summary')}
+                  </button>
+                  <button onClick={() => setActiveTab('metrics')} className={tabClasses('metrics')}>
+                    <ChartColumn size={16} className="inline mr-1" />
+                    {t('result.tabs.metrics')}
                   </button>
                   <button onClick={() => setActiveTab('issues')} className={tabClasses('issues')}>
                     <Highlighter size={16} className="inline mr-1" />
-                    问题与修正 ({result.issues ? result.issues.length : 0})
+                    {t('result.tabs.issues', { count: result.issues ? result.issues.length : 0 })}
                   </button>
                   <button onClick={() => setActiveTab('revised')} className={tabClasses('revised')}>
                     <Eraser size={16} className="inline mr-1" />
-                    全文润色
+                    {t('result.tabs.revised')}
                   </button>
+                  {result.exam_score && (
+                    <button onClick={() => setActiveTab('score')} className={tabClasses('score')}>
+                      <Award size={16} className="inline mr-1" />
+                      {t('result.tabs.score')}
+                    </button>
+                  )}
+                  <div className="flex items-center gap-2 ml-auto">
+                    {cachedAt && !isLoading && (
+                      <span
+                        className="flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 border border-amber-200"
+                        title={t('cache.cachedAt', { time: new Date(cachedAt).toLocaleString() })}
+                      >
+                        <Database size={12} />
+                        {t('cache.badge')}
+                        <button
+                          onClick={() => handleRevision({ forceRefresh: true })}
+                          className="ml-1 flex items-center gap-0.5 font-medium text-amber-800 hover:underline"
+                        >
+                          <RefreshCw size={12} />
+                          {t('cache.forceRefresh')}
+                        </button>
+                      </span>
+                    )}
+                    {isLoading && (
+                      <span className="flex items-center gap-1 text-xs text-indigo-500">
+                        <Loader2 size={14} className="animate-spin" />
+                        {t('result.generating')}
+                      </span>
+                    )}
+                    <ExportMenu
+                      topic={topic}
+                      text={analyzedText}
+                      result={result}
+                      placement={issuePlacement}
+                      disabled={isLoading}
+                      onError={setErrorMessage}
+                    />
+                  </div>
                 </div>
               </div>
 
               <div className="p-6">
                 {/* 1. 总结与评估 */}
+                {activeTab === 'summary' && !result.summary && (
+                  <div className="p-4 text-center text-slate-400 text-sm">{t('result.summaryPending')}</div>
+                )}
                 {activeTab === 'summary' && result.summary && (
                   <div className="space-y-4">
                     <div className="p-4 bg-indigo-50 rounded-xl border border-indigo-200">
                       <h3 className="text-sm font-semibold text-indigo-700 mb-2 flex items-center">
                         <ChevronRight size={16} className="mr-1" />
-                        原文内容总结
+                        {t('result.contentSummary')}
                       </h3>
                       <p className="text-slate-700 text-sm leading-relaxed">
                         {result.summary.original_text}
@@ -723,88 +1530,121 @@ export default function App() {
                     <div className="p-4 bg-green-50 rounded-xl border border-green-200">
                       <h3 className="text-sm font-semibold text-green-700 mb-2 flex items-center">
                         <ChevronRight size={16} className="mr-1" />
-                        总体评估
+                        {t('result.assessment')}
                       </h3>
                       <p className="text-slate-700 text-sm leading-relaxed">
                         {result.summary.overall_assessment}
                       </p>
                     </div>
+                    {result.task_response && <TaskResponseCard taskResponse={result.task_response} />}
 
                     <div className="mt-6 flex justify-end">
                       <button
                         onClick={() => copyToClipboard(
-                          `原文总结: ${result.summary.original_text}\n总体评估: ${result.summary.overall_assessment}`,
+                          t('result.summaryCopy', { summary: result.summary.original_text, assessment: result.summary.overall_assessment }),
                           'summary'
                         )}
                         className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
                       >
                         <Copy size={14} />
-                        复制总结
+                        {t('result.copySummary')}
                       </button>
                     </div>
                   </div>
                 )}
 
                 {/* 2. 问题与修正 */}
+                {activeTab === 'metrics' && (
+                  <MetricsPanel original={analyzedText} revised={result.improved_full_text} />
+                )}
+
                 {activeTab === 'issues' && result.issues && (
-                  <div className="space-y-4 max-h-[500px] overflow-y-auto custom-scrollbar">
-                    {result.issues.length === 0 ? (
-                      <div className="p-4 text-center text-slate-500 bg-gray-50 rounded-xl">
-                        太棒了！AI 没有发现明显的语法或拼写错误。
-                      </div>
-                    ) : (
-                      <>
-                        {result.issues.map((issue, index) => (
-                          <div key={index} className="p-4 border-l-4 border-red-400 bg-red-50 rounded-r-lg shadow-sm">
-                            <div className="flex justify-between items-start mb-2">
-                              <span className="text-xs font-bold text-red-700 bg-red-200 px-2 py-0.5 rounded-full">
-                                {issue.type}
-                              </span>
-                            </div>
-                            <p className="text-sm text-slate-700 mb-1">
-                              <span className="font-medium text-red-800 mr-2">原文:</span>
-                              <span className="bg-yellow-200 p-1 rounded italic">{issue.original_phrase}</span>
-                            </p>
-                            <p className="text-sm text-slate-700 mb-2">
-                              <span className="font-medium text-green-800 mr-2">修正:</span>
-                              <span className="bg-green-200 p-1 rounded font-semibold">{issue.correction}</span>
-                            </p>
-                            <p className="text-xs text-slate-600">
-                              <span className="font-medium text-slate-800 mr-1">解释:</span>
-                              {issue.explanation}
-                            </p>
-                          </div>
-                        ))}
-                        <div className="mt-6 flex justify-end">
-                          <button
-                            onClick={() => copyToClipboard(
-                              JSON.stringify(result.issues, null, 2),
-                              'issues'
-                            )}
-                            className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
-                          >
-                            <Copy size={14} />
-                            复制问题列表 (JSON)
-                          </button>
-                        </div>
-                      </>
-                     )}
-                  </div>
+                  <IssuesPanel
+                    text={analyzedText}
+                    issues={result.issues}
+                    placement={issuePlacement}
+                    decisions={decisions}
+                    onDecide={(updates) => {
+                      handleDecide(updates);
+                      collectAccepted(updates);
+                    }}
+                    onUndo={handleUndoDecision}
+                    canUndo={decisionHistory.length > 0}
+                    selectedIndex={selectedIssue}
+                    onSelect={(index) => {
+                      setSelectedIssue(index);
+                      setInputView('annotated');
+                    }}
+                    onCopy={copyToClipboard}
+                    onAskTutor={(index) => openTutor({ kind: 'issue', index })}
+                  />
+                )}
+
+                {/* 4. 考试评分 */}
+                {activeTab === 'score' && result.exam_score && (
+                  <ExamScorePanel examScore={result.exam_score} />
                 )}
 
                 {/* 3. 全文润色 */}
                 {activeTab === 'revised' && result.improved_full_text && (
-                  <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
-                    <p className="text-slate-700 leading-loose whitespace-pre-wrap">
-                      {result.improved_full_text}
-                    </p>
-                    <div className="mt-6 flex justify-end">
+                  <div className="space-y-4">
+                    <div className="flex items-center gap-2 text-xs">
+                      {[
+                        'plain',
+                        'inline',
+                        'side',
+                      ].map(mode => (
+                        <button
+                          key={mode}
+                          onClick={() => setRevisedView(mode)}
+                          className={`px-3 py-1 rounded-full transition-colors ${revisedView === mode ? 'bg-indigo-600 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+                        >
+                          {t(`result.views.${mode}`)}
+                        </button>
+                      ))}
+                    </div>
+
+                    {/* 流式生成期间只显示纯文本，完成后再计算差异 */}
+                    {revisedView === 'plain' || isLoading ? (
+                      <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
+                        <p className="text-slate-700 leading-loose whitespace-pre-wrap">
+                          {result.improved_full_text}
+                        </p>
+                      </div>
+                    ) : (
+                      <DiffView
+                        original={analyzedText}
+                        revised={result.improved_full_text}
+                        issues={result.issues}
+                        located={issuePlacement.located}
+                        mode={revisedView}
+                      />
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => openTutor({ kind: 'revised' })}
+                        disabled={isLoading}
+                        className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors disabled:text-gray-300"
+                      >
+                        <MessageCircle size={14} />
+                        {t('tutor.ask')}
+                      </button>
+                      <button
+                        onClick={() => handleRevision({ text: result.improved_full_text })}
+                        disabled={isLoading}
+                        title={t('drafts.reviseAgainHint')}
+                        className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors disabled:text-gray-300"
+                      >
+                        <RefreshCw size={14} />
+                        {t('drafts.reviseAgain')}
+                      </button>
                       <button 
                         onClick={() => copyToClipboard(result.improved_full_text, 'full')}
                         className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
                       >
                         <Copy size={14} />
-                        复制全文
+                        {t('result.copyFull')}
                       </button>
                     </div>
                   </div>
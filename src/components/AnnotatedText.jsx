@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { buildSegments, getIssueStyle } from '../lib/issues';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * 原文标注视图：按字符偏移为每个问题加下划线，悬停或点击时显示修正与解释。
+ * @param {object} props
+ * @param {string} props.text 分析时提交的原文
+ * @param {object[]} props.issues result.issues
+ * @param {{located: object[], unmatched: number[]}} props.placement locateIssues 的结果
+ * @param {number|null} props.selectedIndex 当前固定显示的问题下标
+ * @param {(index: number|null) => void} props.onSelect 点击标注时的回调
+ */
+export default function AnnotatedText({ text, issues, placement, selectedIndex, onSelect }) {
+  const { t } = useI18n();
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const segments = useMemo(() => buildSegments(text, placement.located), [text, placement]);
+
+  const activeIndex = hoverIndex ?? selectedIndex;
+  const activeIssue = activeIndex !== null ? issues[activeIndex] : null;
+
+  return (
+    <div>
+      <div className="w-full h-64 p-4 text-sm border border-slate-300 rounded-lg overflow-y-auto custom-scrollbar whitespace-pre-wrap leading-relaxed text-slate-700">
+        {segments.map(segment => {
+          if (segment.issueIndexes.length === 0) {
+            return <span key={segment.start}>{segment.text}</span>;
+          }
+          const primary = segment.issueIndexes[0];
+          const style = getIssueStyle(issues[primary]?.type);
+          const isActive = segment.issueIndexes.includes(activeIndex);
+          return (
+            <span
+              key={segment.start}
+              role="button"
+              tabIndex={0}
+              onMouseEnter={() => setHoverIndex(primary)}
+              onMouseLeave={() => setHoverIndex(null)}
+              onClick={() => onSelect(selectedIndex === primary ? null : primary)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onSelect(selectedIndex === primary ? null : primary);
+                }
+              }}
+              className={`cursor-pointer underline decoration-2 decoration-wavy underline-offset-4 rounded-sm ${style.underline} ${isActive ? style.highlight : ''}`}
+            >
+              {segment.text}
+            </span>
+          );
+        })}
+      </div>
+
+      {/* 当前悬停/选中的问题详情 */}
+      <div className="min-h-[4.5rem] mt-2">
+        {activeIssue ? (
+          <div className="p-3 text-sm bg-slate-50 border border-slate-200 rounded-lg">
+            <span className={`text-xs font-bold px-2 py-0.5 rounded-full mr-2 ${getIssueStyle(activeIssue.type).badge}`}>
+              {getIssueStyle(activeIssue.type).label}
+            </span>
+            <span className="line-through text-slate-400 mr-1">{activeIssue.original_phrase}</span>
+            →
+            <span className="font-semibold text-green-700 ml-1">{activeIssue.correction}</span>
+            <p className="text-xs text-slate-600 mt-1">{activeIssue.explanation}</p>
+          </div>
+        ) : (
+          <p className="text-xs text-slate-400 pt-2">{t('annotated.hint')}</p>
+        )}
+      </div>
+
+      {/* 模型臆造、原文中不存在的片段 */}
+      {placement.unmatched.length > 0 && (
+        <div className="p-3 text-xs bg-amber-50 border border-amber-300 text-amber-800 rounded-lg flex items-start gap-2">
+          <AlertTriangle size={14} className="flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="font-semibold mb-1">
+              {t('annotated.unmatched', { count: placement.unmatched.length })}
+            </p>
+            <ul className="list-disc list-inside space-y-0.5">
+              {placement.unmatched.map(index => (
+                <li key={index}>
+                  <span className="italic">“{issues[index]?.original_phrase}”</span> → {issues[index]?.correction}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react';
+import { Key, Loader2, Lock, ShieldCheck, Trash2, Unlock } from 'lucide-react';
+import { forgetApiKey, getVaultEntry, recordVerification, saveApiKey, unlockApiKey, WrongPassphraseError } from '../lib/keyVault';
+import { verifyApiKey } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const VERIFY_CLASSES = {
+  valid: 'text-green-600',
+  invalid: 'text-red-600',
+  over_quota: 'text-amber-600',
+  unreachable: 'text-slate-500',
+};
+
+/**
+ * API Key 设置：手动输入、可选的加密保存 (口令 + Web Crypto)、每次会话解锁一次，以及“测试 Key”。
+ * @param {object} props
+ * @param {string} props.providerId 当前 Provider，每个 Provider 单独保存 Key
+ * @param {{usesApiKey: boolean}} props.providerInfo Provider 描述
+ * @param {object} props.provider 当前 Provider 实例，用于测试 Key
+ * @param {string} props.apiKey 当前使用的 Key
+ * @param {(key: string) => void} props.onApiKeyChange 更新 Key
+ */
+export default function ApiKeySettings({ providerId, providerInfo, provider, apiKey, onApiKeyChange }) {
+  const { t } = useI18n();
+  const [entry, setEntry] = useState(null); // 已保存的加密记录 (不含明文)
+  const [source, setSource] = useState('manual'); // 'manual' | 'vault'
+  const [remember, setRemember] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [vaultError, setVaultError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [sessionCheck, setSessionCheck] = useState(null); // { key, status, at }
+
+  useEffect(() => {
+    let cancelled = false;
+    getVaultEntry(providerId)
+      .then(found => {
+        if (cancelled) return;
+        setEntry(found);
+        setSource('manual');
+      })
+      .catch(error => console.warn("Key vault unavailable:", error));
+    return () => { cancelled = true; };
+  }, [providerId]);
+
+  if (!providerInfo.usesApiKey) {
+    return (
+      <div className="flex items-center gap-3 p-3 rounded-lg bg-white shadow-md border border-indigo-100 text-sm text-slate-500">
+        <Key className="w-5 h-5 text-indigo-500 flex-shrink-0" />
+        {t('apiKey.notRequired')}
+      </div>
+    );
+  }
+
+  const unlocked = source === 'vault' && Boolean(apiKey);
+
+  const runVaultAction = async (action) => {
+    setBusy(true);
+    setVaultError(null);
+    try {
+      await action();
+      setPassphrase('');
+    } catch (error) {
+      console.error("Key vault operation failed:", error);
+      setVaultError(error instanceof WrongPassphraseError ? t('apiKey.wrongPassphrase') : t('apiKey.vaultFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => runVaultAction(async () => {
+    await saveApiKey(providerId, apiKey, passphrase);
+    setEntry(await getVaultEntry(providerId));
+    setSource('vault');
+    setRemember(false);
+  });
+
+  const handleUnlock = () => runVaultAction(async () => {
+    const key = await unlockApiKey(providerId, passphrase);
+    if (key === null) return;
+    onApiKeyChange(key);
+    setSource('vault');
+  });
+
+  const handleForget = () => runVaultAction(async () => {
+    await forgetApiKey(providerId);
+    setEntry(null);
+    setSource('manual');
+  });
+
+  const handleTest = async () => {
+    setTesting(true);
+    const status = await verifyApiKey(provider);
+    setSessionCheck({ key: apiKey, status, at: Date.now() });
+    if (unlocked) {
+      await recordVerification(providerId, status).catch(() => {});
+      setEntry(await getVaultEntry(providerId).catch(() => entry));
+    }
+    setTesting(false);
+  };
+
+  // 当前 Key 的最近一次验证：本次会话测过的优先，其次是加密记录中保存的
+  const check = sessionCheck?.key === apiKey
+    ? sessionCheck
+    : unlocked && entry?.lastVerifiedAt ? { status: entry.lastStatus, at: entry.lastVerifiedAt } : null;
+
+  const sourceLabel = !apiKey
+    ? t('apiKey.sourceNone')
+    : unlocked ? t('apiKey.sourceVault') : t('apiKey.sourceManual');
+
+  const inputClasses = "p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none";
+  const passphraseValid = passphrase.length >= MIN_PASSPHRASE_LENGTH;
+
+  return (
+    <div className="p-3 rounded-lg bg-white shadow-md border border-indigo-100 space-y-2">
+      <div className="flex items-center gap-3">
+        <Key className="w-5 h-5 text-indigo-500 flex-shrink-0" />
+        <input
+          type="password"
+          placeholder={t('apiKey.placeholder', { provider: t(`providers.${providerId}`) })}
+          value={apiKey}
+          onChange={(e) => {
+            onApiKeyChange(e.target.value.trim());
+            setSource('manual');
+          }}
+          className={`flex-grow ${inputClasses}`}
+        />
+        <button
+          onClick={handleTest}
+          disabled={testing}
+          className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors disabled:opacity-50"
+        >
+          {testing ? <Loader2 size={14} className="animate-spin" /> : <ShieldCheck size={14} />}
+          {t('apiKey.test')}
+        </button>
+        <button
+          onClick={() => {
+            onApiKeyChange('');
+            setSource('manual');
+          }}
+          className="text-xs font-medium text-red-600 hover:bg-red-50 px-3 py-1.5 rounded transition-colors"
+        >
+          {t('common.clear')}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-500">
+        <span>{t('apiKey.source')}<span className="text-slate-700">{sourceLabel}</span></span>
+        {check && (
+          <span>
+            {t('apiKey.lastVerified', { time: new Date(check.at).toLocaleString() })} ·{' '}
+            <span className={VERIFY_CLASSES[check.status]}>{t(`apiKey.verify.${check.status}`)}</span>
+          </span>
+        )}
+      </div>
+
+      {/* 已保存但尚未解锁 */}
+      {entry && !unlocked && (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <Lock size={14} className="text-amber-500" />
+          <span className="text-slate-600">{t('apiKey.unlockPrompt', { date: new Date(entry.savedAt).toLocaleDateString() })}</span>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && passphrase) handleUnlock(); }}
+            placeholder={t('apiKey.passphrase')}
+            className={`w-40 ${inputClasses}`}
+          />
+          <button
+            onClick={handleUnlock}
+            disabled={busy || !passphrase}
+            className="flex items-center gap-1 font-medium px-3 py-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+          >
+            <Unlock size={12} />
+            {t('apiKey.unlock')}
+          </button>
+          <button onClick={handleForget} disabled={busy} className="flex items-center gap-1 px-2 py-1.5 rounded text-red-600 hover:bg-red-50">
+            <Trash2 size={12} />
+            {t('common.delete')}
+          </button>
+        </div>
+      )}
+
+      {/* 记住手动输入的 Key */}
+      {apiKey && !unlocked && (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+            {entry ? t('apiKey.rememberReplace') : t('apiKey.remember')}
+          </label>
+          {remember && (
+            <>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder={t('apiKey.newPassphrase', { min: MIN_PASSPHRASE_LENGTH })}
+                className={`w-48 ${inputClasses}`}
+              />
+              <button
+                onClick={handleSave}
+                disabled={busy || !passphraseValid}
+                className="font-medium px-3 py-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+              >
+                {t('apiKey.save')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {unlocked && (
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={handleForget} disabled={busy} className="flex items-center gap-1 px-2 py-1 rounded text-red-600 hover:bg-red-50">
+            <Trash2 size={12} />
+            {t('apiKey.forget')}
+          </button>
+          <span className="text-slate-400">{t('apiKey.forgetHint')}</span>
+        </div>
+      )}
+
+      {vaultError && <p className="text-xs text-red-600">{vaultError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Loader2, RotateCcw } from 'lucide-react';
+import { useI18n } from '../lib/i18n';
+
+const BAR_CLASSES = {
+  pending: 'w-0',
+  running: 'w-1/2 bg-indigo-400 animate-pulse',
+  done: 'w-full bg-green-500',
+  error: 'w-full bg-red-400',
+};
+
+/**
+ * 分段模式下每个分块的进度条，失败的分块可以单独重试。
+ * @param {object} props
+ * @param {{index: number, length: number, status: string, error: string|null, retry: {attempt: number, max: number}|null}[]} props.jobs 分块状态
+ * @param {(index: number) => void} props.onRetry 重试某个分块
+ */
+export default function ChunkProgress({ jobs, onRetry }) {
+  const { t } = useI18n();
+  const doneCount = jobs.filter(job => job.status === 'done').length;
+
+  return (
+    <div className="bg-white p-4 rounded-2xl shadow-xl border border-indigo-100 space-y-2">
+      <h3 className="text-sm font-semibold text-slate-700">
+        {t('chunks.progress', { done: doneCount, total: jobs.length })}
+      </h3>
+      <ul className="space-y-2 max-h-60 overflow-y-auto custom-scrollbar pr-1">
+        {jobs.map(job => (
+          <li key={job.index} className="text-xs">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-slate-600">
+                {t('chunks.label', { index: job.index + 1, length: job.length })}
+              </span>
+              <span className="flex items-center gap-2">
+                {job.status === 'running' && <Loader2 size={12} className="animate-spin text-indigo-500" />}
+                <span className={job.status === 'error' ? 'text-red-600' : 'text-slate-500'}>
+                  {job.status === 'running' && job.retry
+                    ? t('chunks.retrying', { attempt: job.retry.attempt, max: job.retry.max })
+                    : t(`chunks.status.${job.status}`)}
+                </span>
+                {job.status === 'error' && (
+                  <button
+                    onClick={() => onRetry(job.index)}
+                    className="flex items-center gap-1 px-2 py-0.5 rounded text-indigo-600 hover:bg-indigo-50 transition-colors"
+                  >
+                    <RotateCcw size={12} />
+                    {t('common.retry')}
+                  </button>
+                )}
+              </span>
+            </div>
+            <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+              <div className={`h-full rounded-full transition-all duration-500 ${BAR_CLASSES[job.status]}`} />
+            </div>
+            {job.error && <p className="text-red-600 mt-1">{job.error}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
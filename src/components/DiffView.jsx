@@ -0,0 +1,75 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { diffWords, findUnexplainedChanges } from '../lib/diff';
+import { useI18n } from '../lib/i18n';
+
+const partClasses = (part, unexplained) => {
+  const silent = part.changeId !== null && unexplained.has(part.changeId);
+  if (part.type === 'delete') {
+    return `line-through decoration-2 rounded-sm ${silent ? 'bg-amber-200 text-amber-900' : 'bg-red-100 text-red-700'}`;
+  }
+  if (part.type === 'insert') {
+    return `underline decoration-2 underline-offset-2 rounded-sm ${silent ? 'bg-amber-200 text-amber-900' : 'bg-green-100 text-green-800'}`;
+  }
+  return '';
+};
+
+/**
+ * 原文与润色文本之间的词级差异视图。
+ * 未被任何 issue 解释的改动使用琥珀色高亮，方便老师发现模型悄悄做的重写。
+ * @param {object} props
+ * @param {string} props.original 原文
+ * @param {string} props.revised 润色后的文本
+ * @param {object[]} props.issues result.issues
+ * @param {{index: number, start: number, end: number}[]} props.located locateIssues 的定位结果
+ * @param {'inline'|'side'} props.mode 行内或并排显示
+ */
+export default function DiffView({ original, revised, issues, located, mode }) {
+  const { t } = useI18n();
+  const { parts, changes } = useMemo(() => diffWords(original, revised), [original, revised]);
+  const unexplained = useMemo(
+    () => findUnexplainedChanges(changes, issues, located),
+    [changes, issues, located]
+  );
+
+  const renderParts = (visibleTypes) => parts
+    .filter(part => visibleTypes.includes(part.type))
+    .map((part, i) => (
+      <span key={i} className={partClasses(part, unexplained)}>{part.text}</span>
+    ));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+        <span><span className="px-1 bg-red-100 text-red-700 line-through">{t('diff.deleted')}</span></span>
+        <span><span className="px-1 bg-green-100 text-green-800 underline">{t('diff.inserted')}</span></span>
+        <span><span className="px-1 bg-amber-200 text-amber-900">{t('diff.unexplained')}</span></span>
+        <span className="ml-auto">{t('diff.changeCount', { count: changes.length })}</span>
+      </div>
+
+      {unexplained.size > 0 && (
+        <div className="p-2 text-xs bg-amber-50 border border-amber-300 text-amber-800 rounded-lg flex items-center gap-2">
+          <AlertTriangle size={14} className="flex-shrink-0" />
+          {t('diff.unexplainedWarning', { count: unexplained.size })}
+        </div>
+      )}
+
+      {mode === 'side' ? (
+        <div className="grid grid-cols-2 gap-3">
+          <div className="p-4 rounded-xl border border-slate-200 bg-slate-50">
+            <h4 className="text-xs font-semibold text-slate-500 mb-2">{t('diff.original')}</h4>
+            <p className="text-sm text-slate-700 leading-loose whitespace-pre-wrap">{renderParts(['equal', 'delete'])}</p>
+          </div>
+          <div className="p-4 rounded-xl border border-slate-200">
+            <h4 className="text-xs font-semibold text-slate-500 mb-2">{t('diff.revised')}</h4>
+            <p className="text-sm text-slate-700 leading-loose whitespace-pre-wrap">{renderParts(['equal', 'insert'])}</p>
+          </div>
+        </div>
+      ) : (
+        <div className="p-6 rounded-xl border border-slate-200">
+          <p className="text-slate-700 leading-loose whitespace-pre-wrap">{renderParts(['equal', 'delete', 'insert'])}</p>
+        </div>
+      )}
+    </div>
+  );
+}
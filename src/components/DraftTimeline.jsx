@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from 'react';
+import { GitBranch, GitCompare, RefreshCw, RotateCcw, X } from 'lucide-react';
+import { compareIssueCounts } from '../lib/drafts';
+import { diffWords } from '../lib/diff';
+import { getIssueStyle } from '../lib/issues';
+import { useI18n } from '../lib/i18n';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const PART_CLASSES = {
+  equal: '',
+  delete: 'line-through decoration-2 rounded-sm bg-red-100 text-red-700',
+  insert: 'underline decoration-2 underline-offset-2 rounded-sm bg-green-100 text-green-800',
+};
+
+// 问题减少是进步，用绿色
+const changeClasses = (change) => {
+  if (change < 0) return 'text-green-700';
+  if (change > 0) return 'text-red-600';
+  return 'text-slate-400';
+};
+
+const formatChange = (change) => (change > 0 ? `+${change}` : change < 0 ? `−${-change}` : '±0');
+
+/** 两个版本的对比：各类型问题数量的变化与原文的差异 */
+function VersionComparison({ before, after }) {
+  const { t } = useI18n();
+  const rows = useMemo(
+    () => compareIssueCounts(before.session.result, after.session.result),
+    [before, after]
+  );
+  const parts = useMemo(() => diffWords(before.session.input, after.session.input).parts, [before, after]);
+  const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+  const settingsOf = ({ session }) => [session.analysisTarget, session.difficulty].filter(Boolean).join(' · ');
+
+  return (
+    <div className="space-y-4">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-slate-500 border-b border-slate-200">
+            <th className="text-left font-medium py-2">{t('drafts.issueType')}</th>
+            <th className="text-right font-medium py-2">v{before.number}</th>
+            <th className="text-right font-medium py-2">v{after.number}</th>
+            <th className="text-right font-medium py-2">{t('drafts.change')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.type} className="border-b border-slate-100">
+              <td className="py-1.5">
+                <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${getIssueStyle(row.type).badge}`}>
+                  {getIssueStyle(row.type).label}
+                </span>
+              </td>
+              <td className="py-1.5 text-right tabular-nums">{row.before}</td>
+              <td className="py-1.5 text-right tabular-nums">{row.after}</td>
+              <td className={`py-1.5 text-right tabular-nums ${changeClasses(row.change)}`}>{formatChange(row.change)}</td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1.5 text-slate-700">{t('drafts.total')}</td>
+            <td className="py-1.5 text-right tabular-nums">{total('before')}</td>
+            <td className="py-1.5 text-right tabular-nums">{total('after')}</td>
+            <td className={`py-1.5 text-right tabular-nums ${changeClasses(total('change'))}`}>{formatChange(total('change'))}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      {settingsOf(before) !== settingsOf(after) && (
+        <p className="text-xs text-amber-700">
+          {t('drafts.settingsChanged', { before: settingsOf(before), after: settingsOf(after) })}
+        </p>
+      )}
+
+      <div>
+        <h4 className="text-xs font-semibold text-slate-500 mb-2">{t('drafts.textChanges', { before: before.number, after: after.number })}</h4>
+        <p className="p-4 rounded-xl border border-slate-200 text-sm text-slate-700 leading-loose whitespace-pre-wrap max-h-72 overflow-y-auto custom-scrollbar">
+          {parts.map((part, index) => (
+            <span key={index} className={PART_CLASSES[part.type]}>{part.text}</span>
+          ))}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 一篇文档的草稿时间线：查看全部版本及其分支，打开任一版本继续修改，
+ * 对改进后的文本再润色一轮，或者选择两个版本进行比较。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭面板
+ * @param {{session: object, parent: object|null, depth: number, number: number}[]} props.timeline buildTimeline 的结果
+ * @param {string|null} props.currentId 当前显示的版本
+ * @param {(session: object) => void} props.onOpen 打开某个版本 (之后的修改从它分支)
+ * @param {(session: object) => void} props.onReviseAgain 以该版本的润色全文开始新的一轮
+ * @param {boolean} props.disabled 分析进行中
+ */
+export default function DraftTimeline({ open, onClose, timeline, currentId, onOpen, onReviseAgain, disabled }) {
+  const { t } = useI18n();
+  const [compareIds, setCompareIds] = useState([]);
+
+  if (!open) return null;
+
+  const toggleCompare = (id) => setCompareIds(ids => (
+    ids.includes(id) ? ids.filter(item => item !== id) : [...ids, id].slice(-2)
+  ));
+
+  const selected = timeline
+    .filter(entry => compareIds.includes(entry.session.id))
+    .sort((a, b) => a.session.createdAt - b.session.createdAt);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <GitBranch size={18} className="text-indigo-500" />
+            {t('drafts.title', { count: timeline.length })}
+          </h2>
+          <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-5 gap-4 p-4 overflow-y-auto custom-scrollbar">
+          {/* 版本树 */}
+          <div className="md:col-span-2 space-y-2">
+            {timeline.map(entry => {
+              const { session, parent, depth, number } = entry;
+              const changes = parent
+                ? compareIssueCounts(parent.result, session.result).filter(row => row.change !== 0)
+                : [];
+              return (
+                <div
+                  key={session.id}
+                  style={{ marginLeft: depth * 16 }}
+                  className={`p-2 rounded-lg border ${session.id === currentId ? 'border-indigo-400 bg-indigo-50' : 'border-slate-200'}`}
+                >
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <label className="flex items-center gap-1.5 font-semibold text-slate-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(session.id)}
+                        onChange={() => toggleCompare(session.id)}
+                      />
+                      v{number}
+                      {session.id === currentId && <span className="font-normal text-indigo-500">· {t('drafts.current')}</span>}
+                    </label>
+                    <span className="text-slate-400">{formatTime(session.createdAt)}</span>
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {t('history.issueCount', { count: session.result?.issues?.length ?? 0 })}
+                    {parent && <span className="ml-1">{t('drafts.basedOn', { number: timeline.find(item => item.session === parent).number })}</span>}
+                  </p>
+                  {changes.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {changes.map(row => (
+                        <span key={row.type} className={`text-xs ${changeClasses(row.change)}`}>
+                          {getIssueStyle(row.type).label} {formatChange(row.change)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex justify-end gap-1 mt-1">
+                    {session.id !== currentId && (
+                      <button
+                        onClick={() => onOpen(session)}
+                        disabled={disabled}
+                        className="flex items-center gap-1 text-xs text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded disabled:text-gray-300"
+                      >
+                        <RotateCcw size={12} />
+                        {t('drafts.open')}
+                      </button>
+                    )}
+                    {session.result?.improved_full_text && (
+                      <button
+                        onClick={() => onReviseAgain(session)}
+                        disabled={disabled}
+                        className="flex items-center gap-1 text-xs text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded disabled:text-gray-300"
+                      >
+                        <RefreshCw size={12} />
+                        {t('drafts.reviseAgain')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* 版本对比 */}
+          <div className="md:col-span-3">
+            {selected.length === 2 ? (
+              <VersionComparison before={selected[0]} after={selected[1]} />
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-center text-sm text-slate-400 p-8">
+                <GitCompare size={32} className="mb-2" />
+                {t('drafts.compareHint')}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import ScoreRadar from './ScoreRadar';
+import { EXAM_RUBRICS } from '../lib/examScoring';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * “考试评分”标签页：总分、雷达图，以及每个维度的分数条、理由和提分建议。
+ * @param {{examScore: {exam: string, criteria: object[], overall_score: number|null}}} props
+ */
+export default function ExamScorePanel({ examScore }) {
+  const { t } = useI18n();
+  const rubric = EXAM_RUBRICS[examScore.exam];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between p-4 bg-indigo-50 rounded-xl border border-indigo-200">
+        <div>
+          <p className="text-xs text-indigo-600 font-semibold">{t('examScore.estimated', { exam: rubric.label })}</p>
+          <p className="text-xs text-slate-500">{t('examScore.disclaimer', { scale: rubric.scaleLabel })}</p>
+        </div>
+        <span className="text-3xl font-bold text-indigo-700">{examScore.overall_score ?? '—'}</span>
+      </div>
+
+      <ScoreRadar criteria={examScore.criteria} max={rubric.max} />
+
+      <div className="space-y-3 max-h-[400px] overflow-y-auto custom-scrollbar pr-1">
+        {examScore.criteria.map(item => (
+          <div key={item.criterion} className="p-4 rounded-xl border border-slate-200">
+            <div className="flex justify-between items-center mb-1">
+              <h3 className="text-sm font-semibold text-slate-700">{item.criterion}</h3>
+              <span className="text-sm font-bold text-indigo-700">{item.score} / {rubric.max}</span>
+            </div>
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden mb-2">
+              <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${(item.score / rubric.max) * 100}%` }} />
+            </div>
+            <p className="text-xs text-slate-600 mb-2">{item.justification}</p>
+            <p className="text-xs text-green-800 bg-green-50 p-2 rounded flex items-start gap-1">
+              <TrendingUp size={14} className="flex-shrink-0" />
+              {item.next_band_advice}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
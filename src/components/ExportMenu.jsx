@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Download, FileText, FileType, Printer, Loader2 } from 'lucide-react';
+import { buildReport, downloadBlob, printHtml, toDocx, toMarkdown, toPrintHtml } from '../lib/exportReport';
+import { useI18n } from '../lib/i18n';
+
+const FORMATS = [
+  { id: 'markdown', icon: FileText },
+  { id: 'docx', icon: FileType },
+  { id: 'pdf', icon: Printer },
+];
+
+/**
+ * 导出修改报告的下拉菜单。报告内容在浏览器中生成。
+ * @param {object} props
+ * @param {string} props.topic 作文题目
+ * @param {string} props.text 分析时提交的原文
+ * @param {object} props.result 分析结果
+ * @param {{located: object[]}} props.placement locateIssues 的结果
+ * @param {boolean} props.disabled 是否禁用（例如仍在生成中）
+ * @param {(message: string) => void} props.onError 导出失败时的提示
+ */
+export default function ExportMenu({ topic, text, result, placement, disabled, onError }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(format);
+    const report = buildReport({ topic, text, result, placement });
+    const filename = `linguist-report-${new Date().toISOString().slice(0, 10)}`;
+    try {
+      if (format === 'markdown') {
+        downloadBlob(new Blob([toMarkdown(report)], { type: 'text/markdown;charset=utf-8' }), `${filename}.md`);
+      } else if (format === 'docx') {
+        downloadBlob(await toDocx(report), `${filename}.docx`);
+      } else {
+        printHtml(toPrintHtml(report));
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      onError(t('export.failed'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled || exporting !== null}
+        className={`flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded transition-colors ${disabled ? 'text-gray-400 cursor-not-allowed' : 'text-indigo-600 hover:bg-indigo-50'}`}
+      >
+        {exporting ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+        {t('export.button')}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border border-slate-200 rounded-lg shadow-xl z-20 py-1">
+          {FORMATS.map(format => {
+            const Icon = format.icon;
+            return (
+              <button
+                key={format.id}
+                onClick={() => handleExport(format.id)}
+                className="w-full flex items-center gap-2 px-3 py-2 text-xs text-slate-700 hover:bg-indigo-50 transition-colors"
+              >
+                <Icon size={14} className="text-indigo-500" />
+                {t(`export.formats.${format.id}`)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from 'react';
+import { History, Loader2, RotateCcw, Search, Trash2, X } from 'lucide-react';
+import { useI18n } from '../lib/i18n';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * 润色历史侧边栏：列出、搜索、重新打开和删除过去的会话。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭侧边栏
+ * @param {object[]} props.sessions 会话列表（按时间倒序）
+ * @param {boolean} props.loading 是否正在加载
+ * @param {string} props.storageKind 'firestore' 或 'indexeddb'
+ * @param {(session: object) => void} props.onOpen 重新打开会话
+ * @param {(id: string) => void} props.onDelete 删除会话
+ */
+export default function HistorySidebar({ open, onClose, sessions, loading, storageKind, onOpen, onDelete }) {
+  const { t } = useI18n();
+  const [search, setSearch] = useState('');
+
+  const filtered = useMemo(() => {
+    const keyword = search.trim().toLowerCase();
+    if (!keyword) return sessions;
+    return sessions.filter(session =>
+      [session.input, session.topic, session.userPrompt, session.analysisTarget]
+        .some(field => (field || '').toLowerCase().includes(keyword))
+    );
+  }, [sessions, search]);
+
+  return (
+    <aside
+      className={`fixed top-0 right-0 z-40 h-full w-full sm:w-96 bg-white border-l border-slate-200 shadow-2xl flex flex-col transition-transform duration-300 ${open ? 'translate-x-0' : 'translate-x-full'}`}
+      aria-hidden={!open}
+    >
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+        <h2 className="flex items-center gap-2 font-bold text-slate-700">
+          <History size={18} className="text-indigo-500" />
+          {t('history.title')}
+        </h2>
+        <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-slate-100">
+        <div className="flex items-center gap-2 px-3 py-2 border border-slate-300 rounded-lg">
+          <Search size={14} className="text-slate-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('history.search')}
+            className="flex-grow text-sm outline-none"
+          />
+        </div>
+        <p className="text-xs text-slate-400 mt-2">
+          {storageKind === 'firestore' ? t('history.storageFirestore') : t('history.storageLocal')}
+        </p>
+      </div>
+
+      <div className="flex-grow overflow-y-auto custom-scrollbar p-4 space-y-3">
+        {loading && (
+          <div className="flex justify-center py-8 text-indigo-500">
+            <Loader2 size={24} className="animate-spin" />
+          </div>
+        )}
+        {!loading && filtered.length === 0 && (
+          <p className="text-sm text-center text-slate-400 py-8">
+            {sessions.length === 0 ? t('history.empty') : t('history.noMatch')}
+          </p>
+        )}
+        {!loading && filtered.map(session => (
+          <div key={session.id} className="p-3 rounded-lg border border-slate-200 hover:border-indigo-300 transition-colors">
+            <div className="flex justify-between items-start gap-2 text-xs text-slate-400 mb-1">
+              <span>{formatTime(session.createdAt)}</span>
+              <span>{t('history.issueCount', { count: session.result?.issues?.length ?? 0 })}</span>
+            </div>
+            <p className="text-sm text-slate-700 line-clamp-3 mb-2">{session.input}</p>
+            <div className="flex justify-between items-center">
+              <span className="text-xs text-slate-500 truncate">{session.analysisTarget} · {session.difficulty}</span>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => onOpen(session)}
+                  className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded transition-colors"
+                >
+                  <RotateCcw size={12} />
+                  {t('history.open')}
+                </button>
+                <button
+                  onClick={() => onDelete(session.id)}
+                  className="p-1 text-red-500 hover:bg-red-50 rounded transition-colors"
+                  aria-label={t('common.delete')}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+}
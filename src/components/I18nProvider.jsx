@@ -0,0 +1,30 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { I18nContext, detectLocale, saveLocale, setActiveLocale, translate } from '../lib/i18n';
+
+/**
+ * 保存当前界面语言并通过 I18nContext 提供给整个应用。切换后写入 localStorage。
+ * @param {{children: React.ReactNode}} props
+ */
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(() => {
+    const initial = detectLocale();
+    // 首次渲染前同步，子组件和 api 模块都能直接用上正确的语言
+    setActiveLocale(initial);
+    return initial;
+  });
+
+  const setLocale = useCallback((next) => {
+    setActiveLocale(next);
+    setLocaleState(next);
+    saveLocale(next);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  const value = useMemo(() => ({ locale, setLocale, t }), [locale, setLocale, t]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,310 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, Check, Crop, Loader2, RotateCcw, RotateCw, ScanLine, X } from 'lucide-react';
+import { DEFAULT_ADJUSTMENTS, loadImage, processImage, rotateImage } from '../lib/imageProcessing';
+import { useI18n } from '../lib/i18n';
+
+// 编辑时的预览图最长边，避免在大照片上频繁重绘
+const PREVIEW_DIMENSION = 900;
+
+// 矩形裁剪模式下，拖动某个角时需要同步的 x / y 角点
+const LINKED_X = [[0, 3], [1, 2], [1, 2], [0, 3]];
+const LINKED_Y = [[0, 1], [0, 1], [2, 3], [2, 3]];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const boundingCorners = (corners) => {
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const [left, right, top, bottom] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return [[left, top], [right, top], [right, bottom], [left, bottom]];
+};
+
+/**
+ * 拍照与图片预处理：旋转、矩形裁剪或透视校正、灰度/对比度，并在发送 OCR 前预览处理结果。
+ * @param {object} props
+ * @param {string|null} props.initialImage 要编辑的图片 Data URL；为 null 时先打开摄像头拍照
+ * @param {() => void} props.onCancel 取消
+ * @param {(dataUrl: string, original: string) => void} props.onConfirm 确认使用处理后的图片，同时返回原图以便再次编辑
+ */
+export default function ImageEditor({ initialImage, onCancel, onConfirm }) {
+  const { t } = useI18n();
+  const [image, setImage] = useState(initialImage);
+  const [preview, setPreview] = useState(null); // 旋转后的预览图
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS);
+  const [mode, setMode] = useState('crop'); // 'crop', 'perspective'
+  const [result, setResult] = useState(null); // 处理后的图片，用于最终预览
+  const [busy, setBusy] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const videoRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  // 摄像头：仅在尚未获得图片时开启，离开时释放
+  useEffect(() => {
+    if (image) return;
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices?.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(mediaStream => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        if (videoRef.current) videoRef.current.srcObject = mediaStream;
+      })
+      .catch(error => {
+        console.error('Camera unavailable:', error);
+        setCameraError('imageEditor.cameraDenied');
+      });
+    if (!navigator.mediaDevices) {
+      Promise.resolve().then(() => setCameraError('imageEditor.cameraUnsupported'));
+    }
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [image]);
+
+  // 图片或旋转角度变化时重新生成预览图
+  useEffect(() => {
+    if (!image) return;
+    let cancelled = false;
+    loadImage(image).then(loaded => {
+      const scale = Math.min(1, PREVIEW_DIMENSION / Math.max(loaded.width, loaded.height));
+      const small = document.createElement('canvas');
+      small.width = Math.round(loaded.width * scale);
+      small.height = Math.round(loaded.height * scale);
+      small.getContext('2d').drawImage(loaded, 0, 0, small.width, small.height);
+      const rotated = rotateImage(small, adjustments.rotation);
+      if (!cancelled) setPreview(rotated.toDataURL('image/jpeg', 0.8));
+    });
+    return () => { cancelled = true; };
+  }, [image, adjustments.rotation]);
+
+  const capture = () => {
+    const video = videoRef.current;
+    if (!video?.videoWidth) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    setImage(canvas.toDataURL('image/jpeg', 0.92));
+  };
+
+  const update = (changes) => {
+    setAdjustments(current => ({ ...current, ...changes }));
+    setResult(null);
+  };
+
+  // 旋转后角点坐标系改变，重置裁剪区域
+  const rotate = (rotation) => update({ rotation, corners: DEFAULT_ADJUSTMENTS.corners });
+
+  const switchMode = (next) => {
+    setMode(next);
+    if (next === 'crop') update({ corners: boundingCorners(adjustments.corners) });
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragIndex === null) return;
+    const rect = overlayRef.current.getBoundingClientRect();
+    const x = clamp01((event.clientX - rect.left) / rect.width);
+    const y = clamp01((event.clientY - rect.top) / rect.height);
+    const corners = adjustments.corners.map(point => [...point]);
+    if (mode === 'crop') {
+      LINKED_X[dragIndex].forEach(i => { corners[i][0] = x; });
+      LINKED_Y[dragIndex].forEach(i => { corners[i][1] = y; });
+    } else {
+      corners[dragIndex] = [x, y];
+    }
+    update({ corners });
+  };
+
+  const renderResult = async () => {
+    setBusy(true);
+    try {
+      setResult(await processImage(image, adjustments));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toolButton = (active) =>
+    `flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg border transition-colors ${active ? 'bg-indigo-600 text-white border-indigo-600' : 'border-slate-300 text-slate-600 hover:bg-slate-50'}`;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-slate-900/60 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[95vh] flex flex-col">
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <Camera size={18} className="text-indigo-500" />
+            {image ? t('imageEditor.adjustTitle') : t('imageEditor.cameraTitle')}
+          </h2>
+          <button onClick={onCancel} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto custom-scrollbar space-y-4">
+          {/* 1. 拍照 */}
+          {!image && (
+            <div className="space-y-3 text-center">
+              {cameraError ? (
+                <p className="p-4 text-sm text-red-700 bg-red-50 rounded-lg">{t(cameraError)}</p>
+              ) : (
+                <video ref={videoRef} autoPlay playsInline muted className="w-full max-h-[60vh] rounded-lg bg-black" />
+              )}
+              <button
+                onClick={capture}
+                disabled={Boolean(cameraError)}
+                className="inline-flex items-center gap-2 px-6 py-2 font-semibold rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+              >
+                <Camera size={18} />
+                {t('imageEditor.shoot')}
+              </button>
+            </div>
+          )}
+
+          {/* 2. 调整 */}
+          {image && !result && (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                <button onClick={() => rotate(adjustments.rotation - 90)} className={toolButton(false)}>
+                  <RotateCcw size={14} />
+                  {t('imageEditor.rotateLeft')}
+                </button>
+                <button onClick={() => rotate(adjustments.rotation + 90)} className={toolButton(false)}>
+                  <RotateCw size={14} />
+                  {t('imageEditor.rotateRight')}
+                </button>
+                <label className="flex items-center gap-2 text-xs text-slate-600">
+                  {t('imageEditor.fineRotate')}
+                  <input
+                    type="range"
+                    min="-15"
+                    max="15"
+                    step="0.5"
+                    value={adjustments.rotation - Math.round(adjustments.rotation / 90) * 90}
+                    onChange={(e) => rotate(Math.round(adjustments.rotation / 90) * 90 + Number(e.target.value))}
+                  />
+                </label>
+                <span className="mx-1 h-5 border-l border-slate-200" />
+                <button onClick={() => switchMode('crop')} className={toolButton(mode === 'crop')}>
+                  <Crop size={14} />
+                  {t('imageEditor.crop')}
+                </button>
+                <button onClick={() => switchMode('perspective')} className={toolButton(mode === 'perspective')}>
+                  <ScanLine size={14} />
+                  {t('imageEditor.perspective')}
+                </button>
+              </div>
+
+              <div className="flex justify-center">
+                {preview ? (
+                  <div className="relative inline-block select-none">
+                    <img src={preview} alt={t('imageEditor.preview')} className="max-h-[55vh] max-w-full block" draggable={false} />
+                    <svg
+                      ref={overlayRef}
+                      viewBox="0 0 1 1"
+                      preserveAspectRatio="none"
+                      className="absolute inset-0 w-full h-full touch-none"
+                      onPointerMove={handlePointerMove}
+                      onPointerUp={() => setDragIndex(null)}
+                      onPointerLeave={() => setDragIndex(null)}
+                    >
+                      <polygon
+                        points={adjustments.corners.map(point => point.join(',')).join(' ')}
+                        fill="rgba(99, 102, 241, 0.15)"
+                        stroke="#6366f1"
+                        strokeWidth="0.004"
+                      />
+                      {adjustments.corners.map(([x, y], index) => (
+                        <circle
+                          key={index}
+                          cx={x}
+                          cy={y}
+                          r="0.025"
+                          fill="#ffffff"
+                          stroke="#4f46e5"
+                          strokeWidth="0.006"
+                          className="cursor-move"
+                          onPointerDown={(e) => {
+                            e.currentTarget.ownerSVGElement.setPointerCapture(e.pointerId);
+                            setDragIndex(index);
+                          }}
+                        />
+                      ))}
+                    </svg>
+                  </div>
+                ) : (
+                  <Loader2 size={32} className="animate-spin text-indigo-500 my-12" />
+                )}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-4 text-xs text-slate-600">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={adjustments.grayscale}
+                    onChange={(e) => update({ grayscale: e.target.checked })}
+                  />
+                  {t('imageEditor.grayscale')}
+                </label>
+                <label className="flex items-center gap-2">
+                  {t('imageEditor.contrast')}
+                  <input
+                    type="range"
+                    min="0.5"
+                    max="2.5"
+                    step="0.1"
+                    value={adjustments.contrast}
+                    onChange={(e) => update({ contrast: Number(e.target.value) })}
+                  />
+                  {adjustments.contrast.toFixed(1)}
+                </label>
+              </div>
+            </>
+          )}
+
+          {/* 3. 处理结果预览 */}
+          {result && (
+            <div className="text-center space-y-2">
+              <img src={result} alt={t('imageEditor.result')} className="max-h-[60vh] max-w-full mx-auto border border-slate-200 rounded" />
+              <p className="text-xs text-slate-500">
+                {t('imageEditor.resultHint', { size: Math.round(result.length * 0.75 / 1024) })}
+              </p>
+            </div>
+          )}
+        </div>
+
+        {image && (
+          <div className="p-4 border-t border-slate-200 flex justify-end gap-2">
+            {result ? (
+              <>
+                <button onClick={() => setResult(null)} className="text-sm px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-100">
+                  {t('imageEditor.keepAdjusting')}
+                </button>
+                <button
+                  onClick={() => onConfirm(result, image)}
+                  className="flex items-center gap-1.5 text-sm font-medium px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700"
+                >
+                  <Check size={16} />
+                  {t('imageEditor.useImage')}
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={renderResult}
+                disabled={busy}
+                className="flex items-center gap-1.5 text-sm font-medium px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                {busy && <Loader2 size={16} className="animate-spin" />}
+                {t('imageEditor.previewResult')}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle, Check, Copy, MessageCircle, Undo2, X, CheckCheck } from 'lucide-react';
+import { applyCorrections, getIssueStyle } from '../lib/issues';
+import { LOCAL_SOURCE } from '../lib/precheck';
+import { useI18n } from '../lib/i18n';
+
+const DECISION_CARD_CLASSES = {
+  accepted: 'border-green-500 bg-green-50',
+  rejected: 'border-slate-300 bg-slate-50 opacity-60',
+  pending: 'border-red-400 bg-red-50',
+};
+
+/**
+ * “问题与修正”标签页：逐条接受/拒绝修正，并实时重建只包含已接受修改的文本。
+ * @param {object} props
+ * @param {string} props.text 分析时提交的原文
+ * @param {object[]} props.issues result.issues
+ * @param {{located: object[], unmatched: number[]}} props.placement locateIssues 的结果
+ * @param {Record<number, 'accepted'|'rejected'>} props.decisions 审阅结果
+ * @param {(updates: Record<number, string|undefined>) => void} props.onDecide 记录一次（可撤销的）审阅操作
+ * @param {() => void} props.onUndo 撤销上一次审阅操作
+ * @param {boolean} props.canUndo 是否有可撤销的操作
+ * @param {number|null} props.selectedIndex 当前选中的问题
+ * @param {(index: number) => void} props.onSelect 点击卡片时的回调
+ * @param {(text: string, messageKey: string) => void} props.onCopy copyToClipboard
+ * @param {(index: number) => void} props.onAskTutor 打开这条问题的讲解对话
+ */
+export default function IssuesPanel({
+  text,
+  issues,
+  placement,
+  decisions,
+  onDecide,
+  onUndo,
+  canUndo,
+  selectedIndex,
+  onSelect,
+  onCopy,
+  onAskTutor,
+}) {
+  const { t } = useI18n();
+  const unmatched = useMemo(() => new Set(placement.unmatched), [placement]);
+
+  const rebuilt = useMemo(
+    () => applyCorrections(text, placement.located, issues, decisions),
+    [text, placement, issues, decisions]
+  );
+  const conflicts = useMemo(() => new Set(rebuilt.conflicts), [rebuilt]);
+
+  // 每种类型中仍可接受的问题，用于“全部接受该类型”
+  const acceptableByType = useMemo(() => {
+    const groups = {};
+    issues.forEach((issue, index) => {
+      if (unmatched.has(index) || decisions[index] === 'accepted') return;
+      (groups[issue.type] = groups[issue.type] || []).push(index);
+    });
+    return groups;
+  }, [issues, unmatched, decisions]);
+
+  const toggle = (index, decision) => {
+    onDecide({ [index]: decisions[index] === decision ? undefined : decision });
+  };
+
+  const acceptType = (type) => {
+    const updates = {};
+    acceptableByType[type].forEach(index => { updates[index] = 'accepted'; });
+    onDecide(updates);
+  };
+
+  const acceptedCount = Object.values(decisions).filter(d => d === 'accepted').length;
+  const rejectedCount = Object.values(decisions).filter(d => d === 'rejected').length;
+
+  if (issues.length === 0) {
+    return (
+      <div className="p-4 text-center text-slate-500 bg-gray-50 rounded-xl">
+        {t('issues.none')}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* 批量操作 */}
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-slate-500 mr-1">
+          {t('issues.tally', { accepted: acceptedCount, rejected: rejectedCount, pending: issues.length - acceptedCount - rejectedCount })}
+        </span>
+        {Object.keys(acceptableByType).map(type => (
+          <button
+            key={type}
+            onClick={() => acceptType(type)}
+            className="flex items-center gap-1 px-2 py-1 rounded border border-green-300 text-green-700 hover:bg-green-50 transition-colors"
+          >
+            <CheckCheck size={12} />
+            {t('issues.acceptAllOfType', { type: getIssueStyle(type).label, count: acceptableByType[type].length })}
+          </button>
+        ))}
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className={`flex items-center gap-1 px-2 py-1 rounded transition-colors ${canUndo ? 'text-indigo-600 hover:bg-indigo-50' : 'text-gray-300 cursor-not-allowed'}`}
+        >
+          <Undo2 size={12} />
+          {t('common.undo')}
+        </button>
+      </div>
+
+      <div className="space-y-4 max-h-[400px] overflow-y-auto custom-scrollbar pr-1">
+        {issues.map((issue, index) => {
+          const decision = decisions[index] || 'pending';
+          const isUnmatched = unmatched.has(index);
+          return (
+            <div
+              key={index}
+              onClick={() => !isUnmatched && onSelect(index)}
+              className={`p-4 border-l-4 rounded-r-lg shadow-sm ${DECISION_CARD_CLASSES[decision]} ${isUnmatched ? '' : 'cursor-pointer'} ${selectedIndex === index ? 'ring-2 ring-indigo-300' : ''}`}
+            >
+              <div className="flex justify-between items-start mb-2">
+                <span className="flex items-center gap-1">
+                  <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${getIssueStyle(issue.type).badge}`}>
+                    {getIssueStyle(issue.type).label}
+                  </span>
+                  {issue.source === LOCAL_SOURCE && (
+                    <span className="text-xs px-2 py-0.5 rounded-full border border-slate-300 text-slate-500" title={t('precheck.hint')}>
+                      {t('issues.local')}
+                    </span>
+                  )}
+                </span>
+                <div className="flex items-center gap-2">
+                  {isUnmatched && (
+                    <span className="flex items-center gap-1 text-xs font-medium text-amber-700">
+                      <AlertTriangle size={12} />
+                      {t('issues.unmatched')}
+                    </span>
+                  )}
+                  {conflicts.has(index) && (
+                    <span className="flex items-center gap-1 text-xs font-medium text-amber-700">
+                      <AlertTriangle size={12} />
+                      {t('issues.conflict')}
+                    </span>
+                  )}
+                  <button
+                    onClick={(e) => { e.stopPropagation(); toggle(index, 'accepted'); }}
+                    disabled={isUnmatched}
+                    title={t('issues.accept')}
+                    className={`p-1 rounded transition-colors ${decision === 'accepted' ? 'bg-green-600 text-white' : 'text-green-700 hover:bg-green-100'} ${isUnmatched ? 'opacity-30 cursor-not-allowed' : ''}`}
+                  >
+                    <Check size={14} />
+                  </button>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); toggle(index, 'rejected'); }}
+                    title={t('issues.reject')}
+                    className={`p-1 rounded transition-colors ${decision === 'rejected' ? 'bg-slate-600 text-white' : 'text-slate-600 hover:bg-slate-200'}`}
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </div>
+              <p className="text-sm text-slate-700 mb-1">
+                <span className="font-medium text-red-800 mr-2">{t('issues.original')}</span>
+                <span className="bg-yellow-200 p-1 rounded italic">{issue.original_phrase}</span>
+              </p>
+              <p className="text-sm text-slate-700 mb-2">
+                <span className="font-medium text-green-800 mr-2">{t('issues.correction')}</span>
+                <span className="bg-green-200 p-1 rounded font-semibold">{issue.correction}</span>
+              </p>
+              <p className="text-xs text-slate-600">
+                <span className="font-medium text-slate-800 mr-1">{t('issues.explanation')}</span>
+                {issue.explanation}
+              </p>
+              <div className="flex justify-end mt-2">
+                <button
+                  onClick={(e) => { e.stopPropagation(); onAskTutor(index); }}
+                  className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-100 px-2 py-1 rounded transition-colors"
+                >
+                  <MessageCircle size={12} />
+                  {t('tutor.ask')}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* 只应用已接受修正后的文本 */}
+      <div className="p-4 bg-white rounded-xl border border-slate-200">
+        <h3 className="text-sm font-semibold text-slate-700 mb-2">{t('issues.rebuiltTitle')}</h3>
+        <p className="text-sm text-slate-700 leading-relaxed whitespace-pre-wrap max-h-48 overflow-y-auto custom-scrollbar">
+          {rebuilt.text}
+        </p>
+        <div className="mt-4 flex justify-end gap-2">
+          <button
+            onClick={() => onCopy(JSON.stringify(issues, null, 2), 'issues')}
+            className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
+          >
+            <Copy size={14} />
+            {t('issues.copyJson')}
+          </button>
+          <button
+            onClick={() => onCopy(rebuilt.text, 'accepted')}
+            className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
+          >
+            <Copy size={14} />
+            {t('issues.copyRebuilt')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useMemo } from 'react';
+import { CEFR_LEVELS } from '../lib/cefrWords';
+import { computeMetrics } from '../lib/textMetrics';
+import { useI18n } from '../lib/i18n';
+
+// Tailwind 只会打包源码中出现的完整类名
+const LEVEL_CLASSES = {
+  A1: 'bg-green-300',
+  A2: 'bg-green-500',
+  B1: 'bg-sky-400',
+  B2: 'bg-indigo-500',
+  C1: 'bg-violet-500',
+  C2: 'bg-fuchsia-600',
+  unlisted: 'bg-slate-300',
+};
+const LEVELS = [...CEFR_LEVELS, 'unlisted'];
+
+// 表格中的指标：key 对应 computeMetrics 的字段，digits 为显示的小数位
+const ROWS = [
+  { key: 'words', get: m => m.words, digits: 0 },
+  { key: 'sentences', get: m => m.sentences, digits: 0 },
+  { key: 'avgSentenceLength', get: m => m.avgSentenceLength, digits: 1 },
+  { key: 'fleschReadingEase', get: m => m.fleschReadingEase, digits: 1 },
+  { key: 'fleschKincaidGrade', get: m => m.fleschKincaidGrade, digits: 1 },
+  { key: 'typeTokenRatio', get: m => m.typeTokenRatio, digits: 2 },
+  { key: 'linkingWords', get: m => m.linkingWords.total, digits: 0 },
+  { key: 'linkingDensity', get: m => m.linkingWords.perHundredWords, digits: 1 },
+];
+
+const format = (value, digits) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+const formatChange = (before, after, digits) => {
+  if (before === null || after === null || after === undefined) return '—';
+  const change = after - before;
+  if (Math.abs(change) < 10 ** -digits / 2) return '±0';
+  return `${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(digits)}`;
+};
+
+/** 一段文本的 CEFR 词汇分布条 */
+function CefrBar({ label, cefr, levelLabel }) {
+  const total = LEVELS.reduce((sum, level) => sum + cefr[level], 0);
+  return (
+    <div>
+      <p className="text-xs text-slate-500 mb-1">{label}</p>
+      <div className="flex h-4 rounded overflow-hidden bg-slate-100">
+        {total > 0 && LEVELS.map(level => cefr[level] > 0 && (
+          <div
+            key={level}
+            className={LEVEL_CLASSES[level]}
+            style={{ width: `${(cefr[level] / total) * 100}%` }}
+            title={`${levelLabel(level)} ${Math.round((cefr[level] / total) * 100)}% (${cefr[level]})`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 本地计算的文本指标，对比原文与润色后的文本。
+ * @param {object} props
+ * @param {string} props.original 分析时提交的原文
+ * @param {string} [props.revised] improved_full_text，生成中时可能还没有
+ */
+export default function MetricsPanel({ original, revised }) {
+  const { t } = useI18n();
+  const before = useMemo(() => computeMetrics(original), [original]);
+  const after = useMemo(() => (revised ? computeMetrics(revised) : null), [revised]);
+
+  const levelLabel = (level) => (level === 'unlisted' ? t('metrics.cefrUnlisted') : level);
+  const revisedCount = (phrase) => after?.linkingWords.used.find(item => item.phrase === phrase)?.count ?? 0;
+  const newLinkingWords = after
+    ? after.linkingWords.used.filter(item => !before.linkingWords.used.some(old => old.phrase === item.phrase))
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-slate-500 border-b border-slate-200">
+            <th className="text-left font-medium py-2">{t('metrics.metric')}</th>
+            <th className="text-right font-medium py-2">{t('metrics.original')}</th>
+            <th className="text-right font-medium py-2">{t('metrics.revised')}</th>
+            <th className="text-right font-medium py-2">{t('metrics.change')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ROWS.map(row => (
+            <tr key={row.key} className="border-b border-slate-100">
+              <td className="py-2 text-slate-700" title={t(`metrics.hints.${row.key}`)}>
+                {t(`metrics.rows.${row.key}`)}
+              </td>
+              <td className="py-2 text-right tabular-nums">{format(row.get(before), row.digits)}</td>
+              <td className="py-2 text-right tabular-nums">{after ? format(row.get(after), row.digits) : '—'}</td>
+              <td className="py-2 text-right tabular-nums text-slate-500">
+                {after ? formatChange(row.get(before), row.get(after), row.digits) : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-400">{t('metrics.readabilityNote')}</p>
+
+      {/* CEFR 词汇分布 */}
+      <div className="space-y-3">
+        <h3 className="text-sm font-semibold text-slate-700">{t('metrics.cefrTitle')}</h3>
+        <CefrBar label={t('metrics.original')} cefr={before.cefr} levelLabel={levelLabel} />
+        {after && <CefrBar label={t('metrics.revised')} cefr={after.cefr} levelLabel={levelLabel} />}
+        <div className="flex flex-wrap gap-3 text-xs text-slate-600">
+          {LEVELS.map(level => (
+            <span key={level} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded-sm ${LEVEL_CLASSES[level]}`} />
+              {levelLabel(level)}
+              <span className="text-slate-400 tabular-nums">
+                {before.cefr[level]}{after && ` → ${after.cefr[level]}`}
+              </span>
+            </span>
+          ))}
+        </div>
+        <p className="text-xs text-slate-400">{t('metrics.cefrNote')}</p>
+      </div>
+
+      {/* 衔接词 */}
+      <div className="space-y-2">
+        <h3 className="text-sm font-semibold text-slate-700">{t('metrics.linkingTitle')}</h3>
+        {before.linkingWords.used.length === 0 && (!after || after.linkingWords.used.length === 0) ? (
+          <p className="text-xs text-slate-400">{t('metrics.noLinkingWords')}</p>
+        ) : (
+          <div className="flex flex-wrap gap-2 text-xs">
+            {before.linkingWords.used.map(item => (
+              <span key={item.phrase} className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-700">
+                {item.phrase} ×{item.count}{after && ` → ×${revisedCount(item.phrase)}`}
+              </span>
+            ))}
+            {newLinkingWords.map(item => (
+              <span key={item.phrase} className="px-2 py-0.5 rounded-full bg-green-100 text-green-800" title={t('metrics.newInRevision')}>
+                + {item.phrase} ×{item.count}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useMemo, useState } from 'react';
+import { BookMarked, CheckCircle2, Layers, NotebookPen, Trash2, X, XCircle } from 'lucide-react';
+import { checkAnswer, dueCards, groupEntries } from '../lib/notebook';
+import { REVIEW_GRADES } from '../lib/spacedRepetition';
+import { getIssueStyle } from '../lib/issues';
+import { useI18n } from '../lib/i18n';
+
+const GRADE_CLASSES = {
+  again: 'border-red-300 text-red-700 hover:bg-red-50',
+  hard: 'border-amber-300 text-amber-700 hover:bg-amber-50',
+  good: 'border-green-300 text-green-700 hover:bg-green-50',
+  easy: 'border-sky-300 text-sky-700 hover:bg-sky-50',
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+/**
+ * 一轮复习：依次作答到期的卡片，核对答案后自评。选择“重来”的卡片排到本轮末尾再练一次。
+ * 打开时确定本轮的卡片，复习过程中不再重新计算。
+ */
+function ReviewSession({ entries, onReview }) {
+  const { t } = useI18n();
+  const [queue, setQueue] = useState(() => dueCards(entries, Date.now()));
+  const [answer, setAnswer] = useState('');
+  const [checked, setChecked] = useState(null); // null 表示还未核对，否则为是否答对
+  const [reviewed, setReviewed] = useState(0);
+
+  const card = queue[0];
+
+  if (!card) {
+    return (
+      <div className="flex flex-col items-center justify-center text-center text-sm text-slate-400 p-8">
+        <CheckCircle2 size={32} className="mb-2 text-green-500" />
+        {reviewed > 0 ? t('notebook.finished', { count: reviewed }) : t('notebook.noDue')}
+      </div>
+    );
+  }
+
+  const grade = (value) => {
+    onReview(card, value);
+    setReviewed(count => count + 1);
+    setQueue(cards => (value === 'again' ? [...cards.slice(1), card] : cards.slice(1)));
+    setAnswer('');
+    setChecked(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-xs text-slate-500">
+        <span className="flex items-center gap-2">
+          <span className={`font-bold px-2 py-0.5 rounded-full ${getIssueStyle(card.entry.type).badge}`}>
+            {getIssueStyle(card.entry.type).label}
+          </span>
+          {t(`notebook.patterns.${card.entry.pattern}`)}
+        </span>
+        <span>{t('notebook.remaining', { count: queue.length })}</span>
+      </div>
+
+      <div className="p-4 rounded-xl border border-slate-200 bg-slate-50">
+        <p className="text-xs font-semibold text-slate-500 mb-2">{t(`notebook.kinds.${card.kind}`)}</p>
+        <p className="text-slate-800 leading-relaxed">{card.prompt}</p>
+        {card.kind === 'fillIn' && (
+          <p className="text-xs text-slate-500 mt-2">
+            {t('notebook.youWrote')} <span className="line-through">{card.entry.original_phrase}</span>
+          </p>
+        )}
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (checked === null) setChecked(checkAnswer(card, answer));
+        }}
+        className="flex gap-2"
+      >
+        <input
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          disabled={checked !== null}
+          placeholder={t(card.kind === 'fillIn' ? 'notebook.fillInPlaceholder' : 'notebook.correctPlaceholder')}
+          className="flex-grow px-3 py-2 text-sm border border-slate-300 rounded-lg outline-none focus:border-indigo-400 disabled:bg-slate-50"
+          autoFocus
+        />
+        {checked === null && (
+          <button type="submit" className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700">
+            {t('notebook.check')}
+          </button>
+        )}
+      </form>
+
+      {checked !== null && (
+        <div className="space-y-3">
+          <div className={`p-3 rounded-lg text-sm ${checked ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+            <p className="flex items-center gap-1.5 font-semibold mb-1">
+              {checked ? <CheckCircle2 size={16} /> : <XCircle size={16} />}
+              {checked ? t('notebook.right') : t('notebook.wrong')}
+            </p>
+            <p>
+              <span className="font-medium mr-1">{t('notebook.answer')}</span>
+              {card.answer}
+            </p>
+            {card.entry.explanation && <p className="text-xs mt-1 opacity-80">{card.entry.explanation}</p>}
+          </div>
+          <div className="grid grid-cols-4 gap-2">
+            {Object.keys(REVIEW_GRADES).map(value => (
+              <button
+                key={value}
+                onClick={() => grade(value)}
+                className={`py-2 rounded-lg border text-sm font-medium transition-colors ${GRADE_CLASSES[value]} ${value === (checked ? 'good' : 'again') ? 'ring-2 ring-indigo-300' : ''}`}
+              >
+                {t(`notebook.grades.${value}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** 按类型与错误模式分组的错题列表 */
+function EntryList({ entries, onDelete }) {
+  const { t } = useI18n();
+  const groups = useMemo(() => groupEntries(entries), [entries]);
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-center text-slate-400 py-8">{t('notebook.empty')}</p>;
+  }
+
+  const nextDue = (entry) => Math.min(...Object.values(entry.reviews).map(review => review.due));
+
+  return (
+    <div className="space-y-5">
+      {groups.map(group => (
+        <div key={group.type}>
+          <h3 className="flex items-center gap-2 mb-2">
+            <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${getIssueStyle(group.type).badge}`}>
+              {getIssueStyle(group.type).label}
+            </span>
+            <span className="text-xs text-slate-400">{t('notebook.entryCount', { count: group.count })}</span>
+          </h3>
+          <div className="space-y-3">
+            {group.patterns.map(({ pattern, entries: items }) => (
+              <div key={pattern}>
+                <p className="text-xs font-semibold text-slate-500 mb-1">
+                  {t(`notebook.patterns.${pattern}`)} · {items.length}
+                </p>
+                <div className="space-y-1">
+                  {items.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between gap-2 p-2 rounded-lg border border-slate-200 text-sm">
+                      <span className="min-w-0">
+                        <span className="bg-yellow-200 px-1 rounded italic">{entry.original_phrase}</span>
+                        <span className="mx-1 text-slate-400">→</span>
+                        <span className="bg-green-200 px-1 rounded font-semibold">{entry.correction}</span>
+                      </span>
+                      <span className="flex items-center gap-2 flex-shrink-0 text-xs text-slate-400">
+                        {entry.occurrences > 1 && (
+                          <span className="text-red-600 font-medium">{t('notebook.occurrences', { count: entry.occurrences })}</span>
+                        )}
+                        <span>{t('notebook.nextReview', { date: formatDate(nextDue(entry)) })}</span>
+                        <button
+                          onClick={() => onDelete(entry.id)}
+                          className="p-1 text-red-500 hover:bg-red-50 rounded transition-colors"
+                          aria-label={t('common.delete')}
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * 错题本：复习到期的卡片，或按类型与错误模式浏览收集到的错题。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭面板
+ * @param {object[]} props.entries 错题列表
+ * @param {string} props.storageKind 'firestore' 或 'indexeddb'
+ * @param {(card: object, grade: string) => void} props.onReview 记录一次复习的自评
+ * @param {(id: string) => void} props.onDelete 删除错题
+ */
+export default function MistakeNotebook({ open, onClose, entries, storageKind, onReview, onDelete }) {
+  const { t } = useI18n();
+  const [tab, setTab] = useState('review'); // 'review', 'entries'
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <NotebookPen size={18} className="text-indigo-500" />
+            {t('notebook.title')}
+          </h2>
+          <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="px-4 pt-3 flex items-center gap-2 text-sm">
+          {[
+            { id: 'review', icon: <Layers size={14} /> },
+            { id: 'entries', icon: <BookMarked size={14} /> },
+          ].map(({ id, icon }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`flex items-center gap-1.5 px-3 py-1 rounded-full transition-colors ${tab === id ? 'bg-indigo-600 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+            >
+              {icon}
+              {t(`notebook.tabs.${id}`)}
+            </button>
+          ))}
+          <span className="ml-auto text-xs text-slate-400">
+            {storageKind === 'firestore' ? t('history.storageFirestore') : t('history.storageLocal')}
+          </span>
+        </div>
+
+        <div className="flex-1 min-h-0 p-4 overflow-y-auto custom-scrollbar">
+          {tab === 'review'
+            ? <ReviewSession entries={entries} onReview={onReview} />
+            : <EntryList entries={entries} onDelete={onDelete} />}
+        </div>
+      </div>
+    </div>
+  );
+}
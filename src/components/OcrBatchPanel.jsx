@@ -0,0 +1,242 @@
+import React, { useMemo, useState } from 'react';
+import { CheckCircle2, GripVertical, ImagePlus, Loader2, ScanText, Trash2, X, AlertCircle, Camera, SlidersHorizontal, HelpCircle } from 'lucide-react';
+import OcrReview from './OcrReview';
+import { buildReviewLines, listUncertainIds, resolveReview } from '../lib/transcription';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * 多页 OCR 面板：拖拽调整页序、逐页识别并显示状态，最后把拼接好的文本插入或替换到草稿中。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭面板
+ * @param {{id: string, name: string, original: string, dataUrl: string, status: string, text: string, error: string|null}[]} props.pages 页面列表
+ * @param {(updater: (pages: object[]) => object[]) => void} props.setPages 更新页面列表
+ * @param {boolean} props.loadingFiles 是否正在读取/渲染文件
+ * @param {() => void} props.onAddFiles 打开文件选择器
+ * @param {() => void} props.onCapture 打开摄像头拍照
+ * @param {(page: object) => void} props.onEditPage 打开图片预处理编辑器
+ * @param {(page: object, review: boolean) => Promise<string|object>} props.transcribePage 识别单页；审阅模式下返回结构化结果，失败时抛出错误
+ * @param {(text: string, mode: 'replace'|'insert') => void} props.onInsert 使用识别结果
+ */
+export default function OcrBatchPanel({ open, onClose, pages, setPages, loadingFiles, onAddFiles, onCapture, onEditPage, transcribePage, onInsert }) {
+  const { t } = useI18n();
+  const [dragId, setDragId] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [reviewMode, setReviewMode] = useState(true); // 标出不确定的词并要求人工核对
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const transcript = useMemo(
+    () => pages.filter(page => page.status === 'done').map(page => page.text).join('\n\n'),
+    [pages]
+  );
+
+  if (!open) return null;
+
+  const updatePage = (id, updates) => {
+    setPages(list => list.map(page => (page.id === id ? { ...page, ...updates } : page)));
+  };
+
+  const movePage = (fromId, toId) => {
+    if (fromId === toId) return;
+    setPages(list => {
+      const next = [...list];
+      const from = next.findIndex(page => page.id === fromId);
+      const to = next.findIndex(page => page.id === toId);
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const runTranscription = async () => {
+    setRunning(true);
+    // 逐页识别，保证每页状态清晰，也避免同时发出大量请求
+    for (const page of pages) {
+      if (page.status === 'done') continue;
+      if (page.status === 'review') continue;
+      updatePage(page.id, { status: 'running', error: null });
+      try {
+        if (reviewMode) {
+          const reviewLines = buildReviewLines(await transcribePage(page, true));
+          const needsReview = listUncertainIds(reviewLines).length > 0;
+          updatePage(page.id, { status: needsReview ? 'review' : 'done', text: resolveReview(reviewLines, {}), reviewLines });
+        } else {
+          const text = await transcribePage(page, false);
+          updatePage(page.id, { status: 'done', text });
+        }
+      } catch (error) {
+        updatePage(page.id, { status: 'error', error: error.message });
+      }
+    }
+    setRunning(false);
+  };
+
+  const pendingCount = pages.filter(page => page.status !== 'done' && page.status !== 'review').length;
+  const reviewCount = pages.filter(page => page.status === 'review').length;
+  // 有页面等待核对、尚未识别或识别失败时不能使用识别结果，否则这些页面会被悄悄漏掉
+  const canInsert = !running && Boolean(transcript) && reviewCount === 0 && pendingCount === 0;
+  const reviewingPage = pages.find(page => page.id === reviewingId);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <ScanText size={18} className="text-indigo-500" />
+            {t('ocr.title', { count: pages.length })}
+          </h2>
+          <button onClick={onClose} disabled={running} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto custom-scrollbar space-y-4">
+          <p className="text-xs text-slate-500">{t('ocr.hint')}</p>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {pages.map((page, index) => (
+              <div
+                key={page.id}
+                draggable={!running}
+                onDragStart={() => setDragId(page.id)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => {
+                  movePage(dragId, page.id);
+                  setDragId(null);
+                }}
+                onDragEnd={() => setDragId(null)}
+                className={`relative rounded-lg border-2 overflow-hidden bg-slate-50 ${dragId === page.id ? 'border-indigo-400 opacity-50' : 'border-slate-200'}`}
+              >
+                <img src={page.dataUrl} alt={page.name} className="w-full h-32 object-cover" />
+                <div className="p-2 text-xs">
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-1 font-semibold text-slate-700">
+                      <GripVertical size={12} className="text-slate-400 cursor-grab" />
+                      {index + 1}
+                    </span>
+                    <span className={`flex items-center gap-1 ${page.status === 'error' ? 'text-red-600' : page.status === 'done' ? 'text-green-600' : page.status === 'review' ? 'text-amber-600' : 'text-slate-500'}`}>
+                      {page.status === 'running' && <Loader2 size={12} className="animate-spin" />}
+                      {page.status === 'review' && <HelpCircle size={12} />}
+                      {page.status === 'done' && <CheckCircle2 size={12} />}
+                      {page.status === 'error' && <AlertCircle size={12} />}
+                      {t(`ocr.status.${page.status}`)}
+                    </span>
+                  </div>
+                  <p className="truncate text-slate-400 mt-1" title={page.name}>{page.name}</p>
+                  {page.error && <p className="text-red-600 mt-1 line-clamp-2">{page.error}</p>}
+                  {page.status === 'review' && (
+                    <button
+                      onClick={() => setReviewingId(page.id)}
+                      className="mt-1 w-full py-1 rounded bg-amber-100 text-amber-800 hover:bg-amber-200 font-medium"
+                    >
+                      {t('ocr.reviewWords')}
+                    </button>
+                  )}
+                </div>
+                <div className="absolute top-1 right-1 flex gap-1">
+                  <button
+                    onClick={() => onEditPage(page)}
+                    disabled={running}
+                    className="p-1 rounded bg-white/80 text-indigo-600 hover:bg-white"
+                    aria-label={t('ocr.editPage')}
+                    title={t('ocr.editPageTitle')}
+                  >
+                    <SlidersHorizontal size={12} />
+                  </button>
+                  <button
+                    onClick={() => setPages(list => list.filter(item => item.id !== page.id))}
+                    disabled={running}
+                    className="p-1 rounded bg-white/80 text-red-500 hover:bg-white"
+                    aria-label={t('common.remove')}
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              onClick={onAddFiles}
+              disabled={running || loadingFiles}
+              className="h-full min-h-[10rem] rounded-lg border-2 border-dashed border-slate-300 text-slate-500 hover:border-indigo-300 hover:text-indigo-600 flex flex-col items-center justify-center gap-1 text-xs transition-colors"
+            >
+              {loadingFiles ? <Loader2 size={20} className="animate-spin" /> : <ImagePlus size={20} />}
+              {loadingFiles ? t('ocr.readingFiles') : t('ocr.addFiles')}
+            </button>
+            <button
+              onClick={onCapture}
+              disabled={running}
+              className="h-full min-h-[10rem] rounded-lg border-2 border-dashed border-slate-300 text-slate-500 hover:border-indigo-300 hover:text-indigo-600 flex flex-col items-center justify-center gap-1 text-xs transition-colors"
+            >
+              <Camera size={20} />
+              {t('ocr.capture')}
+            </button>
+          </div>
+
+          {reviewCount > 0 && (
+            <p className="text-xs p-2 rounded-lg bg-amber-50 text-amber-800">
+              {t('ocr.reviewPending', { count: reviewCount })}
+            </p>
+          )}
+          {transcript && pendingCount > 0 && !running && (
+            <p className="text-xs p-2 rounded-lg bg-amber-50 text-amber-800">
+              {t('ocr.unfinishedPending', { count: pendingCount })}
+            </p>
+          )}
+
+          {transcript && (
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-1">{t('ocr.transcriptPreview')}</h3>
+              <p className="p-3 text-sm text-slate-700 bg-slate-50 border border-slate-200 rounded-lg whitespace-pre-wrap max-h-48 overflow-y-auto custom-scrollbar">
+                {transcript}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-200 flex flex-wrap justify-end gap-2">
+          <label className="mr-auto flex items-center gap-2 text-xs text-slate-600" title={t('ocr.reviewModeTitle')}>
+            <input
+              type="checkbox"
+              checked={reviewMode}
+              onChange={(e) => setReviewMode(e.target.checked)}
+              disabled={running}
+            />
+            {t('ocr.reviewMode')}
+          </label>
+          <button
+            onClick={runTranscription}
+            disabled={running || pendingCount === 0}
+            className={`flex items-center gap-1.5 text-sm font-medium px-4 py-2 rounded-lg transition-colors ${running || pendingCount === 0 ? 'bg-gray-100 text-gray-400' : 'bg-indigo-600 text-white hover:bg-indigo-700'}`}
+          >
+            {running ? <Loader2 size={16} className="animate-spin" /> : <ScanText size={16} />}
+            {t('ocr.run', { count: pendingCount })}
+          </button>
+          <button
+            onClick={() => onInsert(transcript, 'insert')}
+            disabled={!canInsert}
+            className="text-sm font-medium px-4 py-2 rounded-lg border border-indigo-300 text-indigo-600 hover:bg-indigo-50 disabled:opacity-40 transition-colors"
+          >
+            {t('ocr.insert')}
+          </button>
+          <button
+            onClick={() => onInsert(transcript, 'replace')}
+            disabled={!canInsert}
+            className="text-sm font-medium px-4 py-2 rounded-lg border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-40 transition-colors"
+          >
+            {t('ocr.replace')}
+          </button>
+        </div>
+      </div>
+
+      {reviewingPage && (
+        <OcrReview
+          page={reviewingPage}
+          onCancel={() => setReviewingId(null)}
+          onConfirm={(text) => {
+            updatePage(reviewingPage.id, { status: 'done', text });
+            setReviewingId(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
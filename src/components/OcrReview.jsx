@@ -0,0 +1,145 @@
+import React, { useMemo, useState } from 'react';
+import { Check, CheckCheck, HelpCircle, X } from 'lucide-react';
+import { listUncertainIds, resolveReview } from '../lib/transcription';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * OCR 审阅界面：左侧原图，右侧逐行识别结果。不确定的词以琥珀色标出，
+ * 用户选择候选词、手动改写或保留原识别，全部确认后才把文本交给润色流程。
+ * @param {object} props
+ * @param {{name: string, dataUrl: string, reviewLines: object[]}} props.page 待审阅的页面
+ * @param {() => void} props.onCancel 关闭
+ * @param {(text: string) => void} props.onConfirm 确认后的文本
+ */
+export default function OcrReview({ page, onCancel, onConfirm }) {
+  const { t } = useI18n();
+  const lines = page.reviewLines;
+  const uncertainIds = useMemo(() => listUncertainIds(lines), [lines]);
+  const [choices, setChoices] = useState({}); // 已确认的片段 id → 采用的词
+  const [activeId, setActiveId] = useState(uncertainIds[0] ?? null);
+  const [customValue, setCustomValue] = useState('');
+
+  const remaining = uncertainIds.filter(id => !(id in choices));
+
+  const choose = (id, value) => {
+    const nextChoices = { ...choices, [id]: value };
+    setChoices(nextChoices);
+    setCustomValue('');
+    // 自动跳到下一个尚未确认的词
+    setActiveId(uncertainIds.find(other => !(other in nextChoices)) ?? null);
+  };
+
+  const keepAll = () => {
+    const nextChoices = { ...choices };
+    lines.forEach(line => line.segments.forEach(segment => {
+      if (segment.kind === 'uncertain' && !(segment.id in nextChoices)) nextChoices[segment.id] = segment.word;
+    }));
+    setChoices(nextChoices);
+    setActiveId(null);
+  };
+
+  const activeSegment = lines.flatMap(line => line.segments).find(segment => segment.id === activeId);
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-slate-900/60 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-6xl h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <HelpCircle size={18} className="text-amber-500" />
+            {t('ocrReview.title', { name: page.name })}
+          </h2>
+          <button onClick={onCancel} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-2 gap-4 p-4">
+          <div className="overflow-auto custom-scrollbar bg-slate-100 rounded-lg">
+            <img src={page.dataUrl} alt={page.name} className="w-full" />
+          </div>
+
+          <div className="flex flex-col min-h-0">
+            <p className="text-xs text-slate-500 mb-2">
+              {t('ocrReview.hint')}
+            </p>
+            <div className="flex-1 overflow-y-auto custom-scrollbar p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm leading-8 text-slate-800">
+              {lines.map((line, lineIndex) => (
+                <div key={lineIndex} className="min-h-[1rem]">
+                  {line.segments.map((segment, index) => (segment.kind === 'text' ? (
+                    <span key={index}>{segment.text}</span>
+                  ) : (
+                    <button
+                      key={segment.id}
+                      onClick={() => setActiveId(segment.id)}
+                      className={`px-1 rounded border ${segment.id === activeId ? 'ring-2 ring-amber-400' : ''} ${segment.id in choices ? 'bg-green-50 border-green-300 text-green-800' : 'bg-amber-100 border-amber-300 text-amber-900'}`}
+                    >
+                      {choices[segment.id] ?? segment.word}
+                    </button>
+                  )))}
+                </div>
+              ))}
+            </div>
+
+            {activeSegment && (
+              <div className="mt-3 p-3 border border-amber-200 bg-amber-50 rounded-lg space-y-2">
+                <p className="text-xs text-amber-800">
+                  {t('ocrReview.recognizedAs')} <strong>{activeSegment.word}</strong>{t('ocrReview.chooseSpelling')}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  {[activeSegment.word, ...activeSegment.alternatives].map(option => (
+                    <button
+                      key={option}
+                      onClick={() => choose(activeSegment.id, option)}
+                      className="text-sm px-3 py-1 rounded-lg border border-amber-300 bg-white hover:bg-amber-100"
+                    >
+                      {option}
+                    </button>
+                  ))}
+                </div>
+                <form
+                  className="flex gap-2"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    if (customValue.trim()) choose(activeSegment.id, customValue.trim());
+                  }}
+                >
+                  <input
+                    value={customValue}
+                    onChange={(e) => setCustomValue(e.target.value)}
+                    placeholder={t('ocrReview.customPlaceholder')}
+                    className="flex-1 text-sm p-1.5 border border-amber-300 rounded-lg focus:ring-amber-400 focus:border-amber-400"
+                  />
+                  <button type="submit" className="text-sm px-3 py-1 rounded-lg bg-amber-500 text-white hover:bg-amber-600">
+                    {t('ocrReview.use')}
+                  </button>
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-slate-200 flex flex-wrap items-center justify-end gap-2">
+          <span className="mr-auto text-xs text-slate-500">
+            {remaining.length > 0 ? t('ocrReview.remaining', { count: remaining.length }) : t('ocrReview.allConfirmed')}
+          </span>
+          <button
+            onClick={keepAll}
+            disabled={remaining.length === 0}
+            className="flex items-center gap-1.5 text-sm px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:opacity-40"
+          >
+            <CheckCheck size={16} />
+            {t('ocrReview.keepRest')}
+          </button>
+          <button
+            onClick={() => onConfirm(resolveReview(lines, choices))}
+            disabled={remaining.length > 0}
+            className="flex items-center gap-1.5 text-sm font-medium px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+          >
+            <Check size={16} />
+            {t('ocrReview.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
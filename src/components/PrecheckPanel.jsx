@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Wand2, WifiOff } from 'lucide-react';
+import { applyCorrections, getIssueStyle, locateIssues } from '../lib/issues';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * 输入框下方的离线预检结果：列出规则发现的问题，可以逐条或全部直接改进原文。
+ * @param {object} props
+ * @param {string} props.text 输入框中的文本
+ * @param {object[]} props.issues runPrecheck 的结果
+ * @param {(text: string) => void} props.onChange 应用修正后的文本
+ * @param {boolean} props.disabled 分析进行中时禁止修改
+ */
+export default function PrecheckPanel({ text, issues, onChange, disabled }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  if (!text.trim()) return null;
+
+  const apply = (fixes) => {
+    const { located } = locateIssues(text, fixes);
+    const accepted = Object.fromEntries(fixes.map((_, index) => [index, 'accepted']));
+    onChange(applyCorrections(text, located, fixes, accepted).text);
+  };
+
+  return (
+    <div className="mt-2 border border-slate-200 rounded-lg text-xs">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setOpen(value => !value)}
+          disabled={issues.length === 0}
+          className="flex items-center gap-1.5 text-slate-600"
+          title={t('precheck.hint')}
+        >
+          <WifiOff size={12} className="text-slate-400" />
+          <span className="font-medium">{t('precheck.title')}</span>
+          <span className={issues.length > 0 ? 'text-amber-700' : 'text-green-700'}>
+            {issues.length > 0 ? t('precheck.count', { count: issues.length }) : t('precheck.none')}
+          </span>
+          {issues.length > 0 && (open ? <ChevronUp size={12} /> : <ChevronDown size={12} />)}
+        </button>
+        {issues.length > 0 && (
+          <button
+            onClick={() => apply(issues)}
+            disabled={disabled}
+            className="flex items-center gap-1 px-2 py-1 rounded text-indigo-600 hover:bg-indigo-50 disabled:text-gray-300"
+          >
+            <Wand2 size={12} />
+            {t('precheck.applyAll')}
+          </button>
+        )}
+      </div>
+
+      {open && issues.length > 0 && (
+        <ul className="border-t border-slate-200 max-h-40 overflow-y-auto custom-scrollbar divide-y divide-slate-100">
+          {issues.map(issue => (
+            <li key={`${issue.start}-${issue.original_phrase}`} className="flex items-center gap-2 px-3 py-1.5">
+              <span className={`shrink-0 font-bold px-2 py-0.5 rounded-full ${getIssueStyle(issue.type).badge}`}>
+                {getIssueStyle(issue.type).label}
+              </span>
+              <span className="flex-1 min-w-0 truncate text-slate-700" title={issue.explanation}>
+                <span className="line-through text-red-700">{issue.original_phrase}</span>
+                {' → '}
+                <span className="font-semibold text-green-700">{issue.correction}</span>
+                <span className="ml-2 text-slate-400">{issue.explanation}</span>
+              </span>
+              <button
+                onClick={() => apply([issue])}
+                disabled={disabled}
+                className="shrink-0 px-2 py-0.5 rounded text-indigo-600 hover:bg-indigo-50 disabled:text-gray-300"
+              >
+                {t('precheck.apply')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
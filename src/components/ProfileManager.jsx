@@ -0,0 +1,283 @@
+import React, { useRef, useState } from 'react';
+import { Download, Plus, Save, SlidersHorizontal, Trash2, Upload, X } from 'lucide-react';
+import { ISSUE_TYPES, getIssueStyle } from '../lib/issues';
+import { downloadBlob } from '../lib/exportReport';
+import {
+  GENRE_SUGGESTIONS,
+  LEVEL_SUGGESTIONS,
+  TONE_SUGGESTIONS,
+  deleteProfile,
+  exportProfiles,
+  importProfiles,
+  normalizeProfile,
+  saveProfile,
+} from '../lib/profiles';
+import { useI18n } from '../lib/i18n';
+
+const EMPTY_DRAFT = {
+  id: null,
+  name: '',
+  genre: GENRE_SUGGESTIONS[0],
+  level: LEVEL_SUGGESTIONS[2],
+  instructions: '',
+  ignoredIssueTypes: [],
+  tone: '',
+};
+
+/**
+ * 配置方案管理：新建、编辑、删除，以及导入/导出 JSON。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭面板
+ * @param {object[]} props.profiles 当前的方案列表
+ * @param {string|null} props.activeId 当前使用的方案
+ * @param {() => Promise<void>} props.onChange 方案被修改后重新加载列表
+ * @param {(profile: object) => void} props.onSelect 使用某个方案
+ */
+export default function ProfileManager({ open, onClose, profiles, activeId, onChange, onSelect }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [status, setStatus] = useState(null); // { kind: 'ok'|'error', text }
+  const [busy, setBusy] = useState(false);
+  const importRef = useRef(null);
+
+  if (!open) return null;
+
+  const update = (field, value) => setDraft(current => ({ ...current, [field]: value }));
+
+  const toggleIgnored = (type) => setDraft(current => ({
+    ...current,
+    ignoredIssueTypes: current.ignoredIssueTypes.includes(type)
+      ? current.ignoredIssueTypes.filter(item => item !== type)
+      : [...current.ignoredIssueTypes, type],
+  }));
+
+  const run = async (action) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Profile operation failed:", error);
+      setStatus({ kind: 'error', text: t('profiles.operationFailed') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const saved = await saveProfile(draft);
+    setDraft(saved);
+    await onChange();
+    setStatus({ kind: 'ok', text: t('profiles.saved', { name: saved.name }) });
+  });
+
+  const handleDelete = () => run(async () => {
+    await deleteProfile(draft.id);
+    setDraft(EMPTY_DRAFT);
+    await onChange();
+  });
+
+  const handleExport = () => {
+    downloadBlob(new Blob([exportProfiles(profiles)], { type: 'application/json' }), 'linguist-profiles.json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setStatus(null);
+    try {
+      const { added, updated } = await importProfiles(await file.text(), profiles);
+      await onChange();
+      setStatus({ kind: 'ok', text: t('profiles.imported', { added, updated }) });
+    } catch (error) {
+      console.error("Profile import failed:", error);
+      setStatus({ kind: 'error', text: t('profiles.importFailed') });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClasses = "w-full p-2 text-sm border border-slate-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 outline-none";
+  const labelClasses = "block text-xs font-medium text-slate-600 mb-1";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <SlidersHorizontal size={18} className="text-indigo-500" />
+            {t('profiles.title')}
+          </h2>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => importRef.current?.click()}
+              disabled={busy}
+              className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors"
+            >
+              <Upload size={14} />
+              {t('profiles.import')}
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={profiles.length === 0}
+              className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors disabled:opacity-40"
+            >
+              <Download size={14} />
+              {t('profiles.export')}
+            </button>
+            <input ref={importRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+            <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-3 gap-4 p-4 overflow-y-auto custom-scrollbar">
+          {/* 方案列表 */}
+          <div className="space-y-2">
+            <button
+              onClick={() => {
+                setDraft(EMPTY_DRAFT);
+                setStatus(null);
+              }}
+              className="w-full flex items-center justify-center gap-1 text-xs font-medium px-3 py-2 rounded-lg border border-dashed border-indigo-300 text-indigo-600 hover:bg-indigo-50"
+            >
+              <Plus size={14} />
+              {t('profiles.new')}
+            </button>
+            {profiles.map(profile => (
+              <button
+                key={profile.id}
+                onClick={() => {
+                  setDraft(profile);
+                  setStatus(null);
+                }}
+                className={`w-full text-left p-2 rounded-lg border transition-colors ${draft.id === profile.id ? 'border-indigo-400 bg-indigo-50' : 'border-slate-200 hover:border-indigo-300'}`}
+              >
+                <span className="block text-sm font-medium text-slate-700 truncate">
+                  {profile.name}
+                  {profile.id === activeId && <span className="ml-1 text-xs text-indigo-500">· {t('profiles.inUse')}</span>}
+                </span>
+                <span className="block text-xs text-slate-400 truncate">{profile.genre} · {profile.level}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* 编辑表单 */}
+          <div className="md:col-span-2 space-y-3">
+            <div>
+              <label className={labelClasses}>{t('profiles.fields.name')}</label>
+              <input
+                value={draft.name}
+                onChange={(e) => update('name', e.target.value)}
+                placeholder={t('profiles.namePlaceholder')}
+                className={inputClasses}
+              />
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div>
+                <label className={labelClasses}>{t('profiles.fields.genre')}</label>
+                <input list="profile-genres" value={draft.genre} onChange={(e) => update('genre', e.target.value)} className={inputClasses} />
+              </div>
+              <div>
+                <label className={labelClasses}>{t('profiles.fields.level')}</label>
+                <input list="profile-levels" value={draft.level} onChange={(e) => update('level', e.target.value)} className={inputClasses} />
+              </div>
+              <div>
+                <label className={labelClasses}>{t('profiles.fields.tone')}</label>
+                <input
+                  list="profile-tones"
+                  value={draft.tone}
+                  onChange={(e) => update('tone', e.target.value)}
+                  placeholder={t('profiles.tonePlaceholder')}
+                  className={inputClasses}
+                />
+              </div>
+              <datalist id="profile-genres">
+                {GENRE_SUGGESTIONS.map(value => <option key={value} value={value} />)}
+              </datalist>
+              <datalist id="profile-levels">
+                {LEVEL_SUGGESTIONS.map(value => <option key={value} value={value} />)}
+              </datalist>
+              <datalist id="profile-tones">
+                {TONE_SUGGESTIONS.map(value => <option key={value} value={value} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className={labelClasses}>{t('profiles.fields.instructions')}</label>
+              <textarea
+                value={draft.instructions}
+                onChange={(e) => update('instructions', e.target.value)}
+                placeholder={t('profiles.instructionsPlaceholder')}
+                className={`${inputClasses} h-20 resize-none`}
+              />
+            </div>
+            <div>
+              <span className={labelClasses}>{t('profiles.fields.ignoredIssueTypes')}</span>
+              <div className="flex flex-wrap gap-2">
+                {ISSUE_TYPES.map(type => {
+                  const ignored = draft.ignoredIssueTypes.includes(type);
+                  // 最后一种未忽略的类型不能再勾选
+                  const locked = !ignored && draft.ignoredIssueTypes.length === ISSUE_TYPES.length - 1;
+                  return (
+                    <label
+                      key={type}
+                      className={`flex items-center gap-1 text-xs px-2 py-1 rounded-full border ${locked ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'} ${ignored ? 'border-slate-400 bg-slate-100 text-slate-500 line-through' : 'border-slate-200 text-slate-700'}`}
+                      title={locked ? t('profiles.keepOneType') : undefined}
+                    >
+                      <input type="checkbox" checked={ignored} disabled={locked} onChange={() => toggleIgnored(type)} />
+                      {getIssueStyle(type).label}
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+
+            {status && (
+              <p className={`text-xs ${status.kind === 'error' ? 'text-red-600' : 'text-green-700'}`}>{status.text}</p>
+            )}
+
+            <div className="flex flex-wrap justify-end gap-2 pt-2">
+              {draft.id && (
+                <button
+                  onClick={handleDelete}
+                  disabled={busy}
+                  className="mr-auto flex items-center gap-1 text-sm px-3 py-2 rounded-lg text-red-600 hover:bg-red-50"
+                >
+                  <Trash2 size={14} />
+                  {t('common.delete')}
+                </button>
+              )}
+              {draft.id && (
+                <button
+                  onClick={() => {
+                    onSelect(draft);
+                    onClose();
+                  }}
+                  disabled={busy}
+                  className="text-sm px-4 py-2 rounded-lg border border-indigo-300 text-indigo-600 hover:bg-indigo-50"
+                >
+                  {t('profiles.use')}
+                </button>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={busy || !normalizeProfile(draft)}
+                className="flex items-center gap-1 text-sm font-medium px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+              >
+                <Save size={14} />
+                {t('profiles.save')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const SIZE = 260;
+const CENTER = SIZE / 2;
+const RADIUS = 90;
+
+const pointAt = (index, count, ratio) => {
+  const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+  return [CENTER + Math.cos(angle) * RADIUS * ratio, CENTER + Math.sin(angle) * RADIUS * ratio];
+};
+
+/**
+ * 各评分维度的雷达图（纯 SVG，不依赖图表库）。
+ * @param {object} props
+ * @param {{criterion: string, score: number}[]} props.criteria 各维度分数
+ * @param {number} props.max 量表满分
+ */
+export default function ScoreRadar({ criteria, max }) {
+  const { t } = useI18n();
+  const count = criteria.length;
+  if (count < 3) return null;
+
+  const rings = [0.25, 0.5, 0.75, 1];
+  const polygon = (ratios) => ratios.map((ratio, i) => pointAt(i, count, ratio).join(',')).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-xs mx-auto" role="img" aria-label={t('examScore.radar')}>
+      {rings.map(ring => (
+        <polygon key={ring} points={polygon(criteria.map(() => ring))} fill="none" stroke="#e2e8f0" />
+      ))}
+      {criteria.map((item, i) => {
+        const [x, y] = pointAt(i, count, 1);
+        return <line key={item.criterion} x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="#e2e8f0" />;
+      })}
+      <polygon
+        points={polygon(criteria.map(item => item.score / max))}
+        fill="rgba(99, 102, 241, 0.25)"
+        stroke="#6366f1"
+        strokeWidth="2"
+      />
+      {criteria.map((item, i) => {
+        const [x, y] = pointAt(i, count, 1.22);
+        return (
+          <text key={item.criterion} x={x} y={y} textAnchor="middle" dominantBaseline="middle" className="fill-slate-600" fontSize="9">
+            {item.criterion.split(' & ')[0]} ({item.score})
+          </text>
+        );
+      })}
+    </svg>
+  );
+}
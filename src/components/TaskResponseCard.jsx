@@ -0,0 +1,44 @@
+import React from 'react';
+import { ChevronRight } from 'lucide-react';
+import { useI18n } from '../lib/i18n';
+
+const VERDICT_CLASSES = {
+  fully_addressed: 'bg-green-50 border-green-200 text-green-700',
+  partially_addressed: 'bg-amber-50 border-amber-200 text-amber-700',
+  not_addressed: 'bg-red-50 border-red-200 text-red-700',
+};
+
+/**
+ * 展示模型对“是否回答了作文题目”的判断 (result.task_response)。
+ * @param {{taskResponse: {verdict: string, covered_points: string[], missing_points: string[], comment: string}}} props
+ */
+export default function TaskResponseCard({ taskResponse }) {
+  const { t } = useI18n();
+  const verdict = VERDICT_CLASSES[taskResponse.verdict] ? taskResponse.verdict : 'partially_addressed';
+
+  return (
+    <div className={`p-4 rounded-xl border ${VERDICT_CLASSES[verdict]}`}>
+      <h3 className="text-sm font-semibold mb-2 flex items-center">
+        <ChevronRight size={16} className="mr-1" />
+        {t('taskResponse.heading', { verdict: t(`taskResponse.verdicts.${verdict}`) })}
+      </h3>
+      <p className="text-slate-700 text-sm leading-relaxed mb-2">{taskResponse.comment}</p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs text-slate-700">
+        <div>
+          <p className="font-semibold text-green-700 mb-1">{t('taskResponse.covered')}</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {(taskResponse.covered_points || []).map((point, i) => <li key={i}>{point}</li>)}
+          </ul>
+        </div>
+        <div>
+          <p className="font-semibold text-red-700 mb-1">{t('taskResponse.missing')}</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {(taskResponse.missing_points || []).length === 0
+              ? <li>{t('taskResponse.none')}</li>
+              : taskResponse.missing_points.map((point, i) => <li key={i}>{point}</li>)}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useMemo, useState } from 'react';
+import { Library, X } from 'lucide-react';
+import { TOPIC_BANK, TOPIC_EXAMS } from '../lib/topicBank';
+import { useI18n } from '../lib/i18n';
+
+/**
+ * 作文题库浏览面板，按考试类型筛选并选择题目。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭面板
+ * @param {(prompt: string) => void} props.onPick 选择题目后的回调
+ */
+export default function TopicBank({ open, onClose, onPick }) {
+  const { t } = useI18n();
+  const [exam, setExam] = useState(TOPIC_EXAMS[1]);
+
+  const topics = useMemo(() => TOPIC_BANK.filter(topic => topic.exam === exam), [exam]);
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="flex items-center gap-2 font-bold text-slate-700">
+            <Library size={18} className="text-indigo-500" />
+            {t('topicBank.title')}
+          </h2>
+          <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="px-4 pt-3 flex gap-2">
+          {TOPIC_EXAMS.map(name => (
+            <button
+              key={name}
+              onClick={() => setExam(name)}
+              className={`px-3 py-1 text-xs rounded-full transition-colors ${exam === name ? 'bg-indigo-600 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+
+        <ul className="p-4 space-y-2 overflow-y-auto custom-scrollbar">
+          {topics.map(topic => (
+            <li key={topic.id}>
+              <button
+                onClick={() => {
+                  onPick(topic.prompt);
+                  onClose();
+                }}
+                className="w-full text-left p-3 rounded-lg border border-slate-200 hover:border-indigo-300 hover:bg-indigo-50 transition-colors"
+              >
+                <span className="text-xs font-semibold text-indigo-600">{topic.kind}</span>
+                <p className="text-sm text-slate-700 mt-1">{topic.prompt}</p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Dumbbell, Loader2, MessageCircle, Send, X } from 'lucide-react';
+import { getIssueStyle } from '../lib/issues';
+import { useI18n } from '../lib/i18n';
+
+const MAX_MESSAGE_CHARS = 2000;
+
+/**
+ * 讲解对话抽屉：针对一条问题或润色全文向老师追问，也可以请老师根据这个错误出练习题。
+ * @param {object} props
+ * @param {boolean} props.open 是否显示
+ * @param {() => void} props.onClose 关闭抽屉
+ * @param {object|null} props.issue 讨论的问题；为 null 时讨论润色全文
+ * @param {{role: 'user'|'assistant', content: string}[]} props.messages 当前对话
+ * @param {boolean} props.loading 正在等待回复
+ * @param {string|null} props.error 上一次发送失败的原因
+ * @param {(content: string) => Promise<boolean>} props.onSend 发送一条消息，成功时返回 true
+ * @param {() => void} props.onCancel 取消等待中的回复
+ */
+export default function TutorChat({ open, onClose, issue, messages, loading, error, onSend, onCancel }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // 新消息出现时滚动到底部
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages, loading]);
+
+  const send = async (content) => {
+    if (!content.trim() || loading) return;
+    if (await onSend(content.trim()) && content === draft) setDraft('');
+  };
+
+  return (
+    <aside
+      className={`fixed top-0 right-0 z-40 h-full w-full sm:w-96 bg-white border-l border-slate-200 shadow-2xl flex flex-col transition-transform duration-300 ${open ? 'translate-x-0' : 'translate-x-full'}`}
+      aria-hidden={!open}
+    >
+      <div className="p-4 border-b border-slate-200 flex items-center justify-between">
+        <h2 className="flex items-center gap-2 font-bold text-slate-700">
+          <MessageCircle size={18} className="text-indigo-500" />
+          {t('tutor.title')}
+        </h2>
+        <button onClick={onClose} className="p-1 rounded text-slate-500 hover:bg-slate-100" aria-label={t('common.close')}>
+          <X size={18} />
+        </button>
+      </div>
+
+      {/* 讨论的内容 */}
+      <div className="p-4 border-b border-slate-100 text-sm text-slate-700">
+        {issue ? (
+          <>
+            <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${getIssueStyle(issue.type).badge}`}>
+              {getIssueStyle(issue.type).label}
+            </span>
+            <p className="mt-2">
+              <span className="bg-yellow-200 px-1 rounded italic">{issue.original_phrase}</span>
+              <span className="mx-1 text-slate-400">→</span>
+              <span className="bg-green-200 px-1 rounded font-semibold">{issue.correction}</span>
+            </p>
+          </>
+        ) : (
+          <p>{t('tutor.aboutRevised')}</p>
+        )}
+      </div>
+
+      <div ref={listRef} className="flex-grow overflow-y-auto custom-scrollbar p-4 space-y-3">
+        {messages.length === 0 && !loading && (
+          <p className="text-sm text-center text-slate-400 py-8">{t('tutor.empty')}</p>
+        )}
+        {messages.map((message, index) => (
+          <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            <p
+              className={`max-w-[85%] px-3 py-2 rounded-xl text-sm whitespace-pre-wrap ${message.role === 'user' ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-700'}`}
+            >
+              {message.content}
+            </p>
+          </div>
+        ))}
+        {loading && (
+          <div className="flex items-center gap-2 text-sm text-indigo-500">
+            <Loader2 size={16} className="animate-spin" />
+            {t('tutor.thinking')}
+            <button onClick={onCancel} className="text-xs text-slate-500 hover:underline">
+              {t('common.cancel')}
+            </button>
+          </div>
+        )}
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </div>
+
+      <div className="p-4 border-t border-slate-200 space-y-2">
+        <button
+          onClick={() => send(t('tutor.practiceRequest'))}
+          disabled={loading}
+          className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:bg-indigo-50 px-3 py-1.5 rounded transition-colors disabled:text-gray-300"
+        >
+          <Dumbbell size={14} />
+          {t('tutor.practice')}
+        </button>
+        <div className="flex items-end gap-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                e.preventDefault();
+                send(draft);
+              }
+            }}
+            rows={2}
+            maxLength={MAX_MESSAGE_CHARS}
+            placeholder={t('tutor.placeholder')}
+            className="flex-grow resize-none px-3 py-2 text-sm border border-slate-300 rounded-lg outline-none focus:border-indigo-400"
+          />
+          <button
+            onClick={() => send(draft)}
+            disabled={loading || !draft.trim()}
+            className="p-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+            aria-label={t('tutor.send')}
+          >
+            <Send size={16} />
+          </button>
+        </div>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,618 @@
+// --- API 交互逻辑 ---
+// 负责构建提示词、调用 Provider、清理与校验模型输出；具体的网络请求由 ./providers 完成。
+
+import { withRetry } from './retry';
+import { CancelledError, describeError, HttpError, MalformedResponseError, normalizeError } from './errors';
+import { t } from './i18n';
+import { parsePartialJson } from './partialJson';
+import { buildExamScoreInstructions, buildExamScoreSchema, normalizeExamScore } from './examScoring';
+import { buildLanguageInstructions, buildTutorLanguageInstruction, findLanguageSplitProblems } from './feedbackLanguage';
+
+const errorText = (error) => {
+  const { key, params } = describeError(error);
+  return t(key, params);
+};
+
+/**
+ * 移除可能包裹 JSON 的 Markdown 围栏 (```json ... ```)
+ * @param {string} text 包含 JSON 的字符串
+ * @returns {string} 纯净的 JSON 字符串
+ */
+export const cleanJsonString = (text) => {
+    if (!text) return '{}';
+    // 移除开头和结尾的 Markdown 围栏
+    let cleaned = text.trim();
+    if (cleaned.startsWith('```json')) {
+        cleaned = cleaned.substring(7).trim();
+    }
+    // 兼容模型可能返回的其它语言标记
+    if (cleaned.startsWith('```json\n')) { 
+        cleaned = cleaned.substring(8).trim(); 
+    } else if (cleaned.startsWith('```')) {
+        cleaned = cleaned.substring(3).trim();
+    }
+    
+    if (cleaned.endsWith('```')) {
+        cleaned = cleaned.substring(0, cleaned.length - 3).trim();
+    }
+    return cleaned;
+};
+
+const reportTranscriptionError = (error, setErrorMessage) => {
+  setErrorMessage(error instanceof CancelledError ? errorText(error) : t('errors.transcriptionFailed', { reason: errorText(error) }));
+};
+
+// 1. 图片识别 (OCR)
+// options: { signal, onRetry }，见 withRetry
+export const transcribeImage = async (base64Image, mimeType, provider, setErrorMessage, { signal, onRetry } = {}) => {
+  setErrorMessage(null);
+
+  const prompt = "Please transcribe the text from this image and return only the raw, recognized text content, without any commentary or formatting.";
+
+  try {
+    return await withRetry('OCR API Call', async () => {
+      const text = await provider.transcribe({ prompt, base64Image, mimeType, signal });
+      if (text) return text.trim();
+      throw new MalformedResponseError("Received empty or malformed response from API.");
+    }, { signal, onRetry });
+  } catch (error) {
+    reportTranscriptionError(error, setErrorMessage);
+    return null;
+  }
+};
+
+const REVIEW_TRANSCRIPTION_PROMPT = `Please transcribe the text from this image line by line, exactly as written. Do NOT correct spelling or grammar: misspellings written by the author must be kept as they are.
+For every word you cannot read with confidence (unclear handwriting, smudges, cut-off letters), list it in 'uncertain_words' of its line, spelled exactly as it appears in that line's 'text', together with up to 3 other plausible readings in 'alternatives'.`;
+
+const TRANSCRIPTION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    lines: {
+      type: "ARRAY",
+      description: "The recognized lines of text, in reading order. Use an empty 'text' for blank lines between paragraphs.",
+      items: {
+        type: "OBJECT",
+        properties: {
+          text: { type: "STRING", description: "The line exactly as written." },
+          uncertain_words: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                word: { type: "STRING", description: "The uncertain word as it appears in 'text'." },
+                alternatives: { type: "ARRAY", items: { type: "STRING" }, description: "Other plausible readings." },
+              },
+              required: ["word", "alternatives"],
+            },
+          },
+        },
+        required: ["text", "uncertain_words"],
+      },
+    },
+  },
+  required: ["lines"],
+};
+
+const parseTranscription = (rawJsonString) => {
+  const parsedJson = JSON.parse(cleanJsonString(rawJsonString));
+  if (!Array.isArray(parsedJson?.lines) || parsedJson.lines.some(line => typeof line?.text !== 'string')) {
+    throw new MalformedResponseError("Parsed JSON is structurally invalid (missing lines array).");
+  }
+  return {
+    lines: parsedJson.lines.map(line => ({
+      text: line.text,
+      uncertain_words: (Array.isArray(line.uncertain_words) ? line.uncertain_words : [])
+        .filter(item => typeof item?.word === 'string' && item.word.trim())
+        .map(item => ({
+          word: item.word,
+          alternatives: (Array.isArray(item.alternatives) ? item.alternatives : [])
+            .filter(alt => typeof alt === 'string' && alt.trim() && alt !== item.word),
+        })),
+    })),
+  };
+};
+
+// 1b. 审阅模式的图片识别：逐行返回文本，并标出模型没有把握的词及其候选
+export const transcribeImageForReview = async (base64Image, mimeType, provider, setErrorMessage, { signal, onRetry } = {}) => {
+  setErrorMessage(null);
+
+  try {
+    return await withRetry('OCR Review API Call', async () => {
+      const raw = await provider.transcribe({
+        prompt: REVIEW_TRANSCRIPTION_PROMPT,
+        base64Image,
+        mimeType,
+        responseSchema: TRANSCRIPTION_SCHEMA,
+        signal,
+      });
+      if (!raw) throw new MalformedResponseError("Received empty or malformed response from API.");
+      return parseTranscription(raw);
+    }, { signal, onRetry });
+  } catch (error) {
+    reportTranscriptionError(error, setErrorMessage);
+    return null;
+  }
+};
+
+const REVISION_SYSTEM_PROMPT = `You are a world-class AI writing and revision assistant. Your task is to analyze, correct, and improve the user's provided text based on the specified target and difficulty.
+You MUST return a single JSON object structured exactly according to the provided schema. DO NOT include any explanatory text or markdown fences (like \`\`\`json) outside the JSON object.
+The analysis and improvement should be strictly professional and constructive.
+1. The 'summary' must provide a brief, high-level assessment.
+2. The 'issues' array must contain ALL identified grammar, spelling, and style errors.
+3. The 'improved_full_text' must be the fully revised and polished version of the original text.
+`;
+
+const REVISION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    summary: {
+      type: "OBJECT",
+      description: "High-level summary of the original text's main points and overall quality.",
+      properties: {
+        original_text: {
+          type: "STRING",
+          description: "A one-sentence summary of the original text's content."
+        },
+        overall_assessment: {
+          type: "STRING",
+          description: "A constructive, one-sentence assessment of the text's current state (e.g., 'The ideas are clear but the grammar needs improvement.')."
+        }
+      },
+      propertyOrdering: ["original_text", "overall_assessment"]
+    },
+    issues: {
+      type: "ARRAY",
+      description: "A list of grammar, spelling, or stylistic issues found in the original text, including the necessary correction.",
+      items: {
+        type: "OBJECT",
+        properties: {
+          type: {
+            type: "STRING",
+            enum: ["Grammar", "Spelling", "Punctuation", "Style", "Clarity"],
+            description: "The type of issue."
+          },
+          original_phrase: {
+            type: "STRING",
+            description: "The exact phrase or word from the original text that needs correction."
+          },
+          correction: {
+            type: "STRING",
+            description: "The corrected or improved phrase/word."
+          },
+          explanation: {
+            type: "STRING",
+            description: "A brief, helpful explanation of the error and correction (e.g., 'Verb tense mismatch' or 'More formal vocabulary')."
+          }
+        },
+        propertyOrdering: ["type", "original_phrase", "correction", "explanation"]
+      }
+    },
+    improved_full_text: {
+      type: "STRING",
+      description: "The complete, fully revised and polished version of the original text, incorporating all corrections and improvements."
+    }
+  },
+  required: ["summary", "issues", "improved_full_text"],
+  propertyOrdering: ["summary", "issues", "improved_full_text"]
+};
+
+// 题目切题度 (task response)，仅在提供了作文题目时加入 schema
+const TASK_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  description: "How well the text answers the given essay question.",
+  properties: {
+    verdict: {
+      type: "STRING",
+      enum: ["fully_addressed", "partially_addressed", "not_addressed"],
+      description: "Whether the text fully, partially, or does not answer the question."
+    },
+    covered_points: {
+      type: "ARRAY",
+      items: { type: "STRING" },
+      description: "Parts of the question the text does address (e.g., 'Discusses the view that hard work leads to success')."
+    },
+    missing_points: {
+      type: "ARRAY",
+      items: { type: "STRING" },
+      description: "Parts of the question the text ignores or handles inadequately (e.g., 'Does not discuss the opposing view', 'No clear personal opinion')."
+    },
+    comment: {
+      type: "STRING",
+      description: "A one- or two-sentence explanation of the verdict."
+    }
+  },
+  required: ["verdict", "covered_points", "missing_points", "comment"],
+  propertyOrdering: ["verdict", "covered_points", "missing_points", "comment"]
+};
+
+/**
+ * 根据设置在基础 schema 上追加可选字段，并从问题类型中去掉配置方案里忽略的类型。
+ * @param {{includeTaskResponse: boolean, exam: 'ielts'|'toefl'|null, ignoredIssueTypes: string[]}} options
+ * @returns {object} responseSchema
+ */
+const buildRevisionSchema = ({ includeTaskResponse, exam, ignoredIssueTypes }) => {
+  const properties = { ...REVISION_SCHEMA.properties };
+  const issueSchema = REVISION_SCHEMA.properties.issues;
+  const typeSchema = issueSchema.items.properties.type;
+  const allowedTypes = typeSchema.enum.filter(type => !ignoredIssueTypes.includes(type));
+  // 全部被忽略时保留完整的 enum：Gemini 不接受空的 enum，多出的问题由 parseRevision 过滤
+  if (ignoredIssueTypes.length > 0 && allowedTypes.length > 0) {
+    properties.issues = {
+      ...issueSchema,
+      items: {
+        ...issueSchema.items,
+        properties: {
+          ...issueSchema.items.properties,
+          type: { ...typeSchema, enum: allowedTypes },
+        },
+      },
+    };
+  }
+  const required = [...REVISION_SCHEMA.required];
+  const ordering = ["summary"];
+  if (includeTaskResponse) {
+    properties.task_response = TASK_RESPONSE_SCHEMA;
+    required.push("task_response");
+    ordering.push("task_response");
+  }
+  if (exam) {
+    properties.exam_score = buildExamScoreSchema(exam);
+    required.push("exam_score");
+    ordering.push("exam_score");
+  }
+  return { ...REVISION_SCHEMA, properties, required, propertyOrdering: [...ordering, "issues", "improved_full_text"] };
+};
+
+const TASK_RESPONSE_INSTRUCTIONS = `4. The 'task_response' must judge whether the text actually answers the essay question: check every part of the question (e.g., both views in a "discuss both views" question, the writer's own opinion when asked for it, all bullet points of a chart description) and list what is covered and what is missing.
+`;
+
+const ignoredTypesOf = (settings) => (Array.isArray(settings.ignoredIssueTypes) ? settings.ignoredIssueTypes : []);
+
+const buildRevisionPrompt = (text, settings, context) => `Analyze and improve the following text. 
+${settings.topic && !context ? `
+**Essay Question:**
+---
+${settings.topic}
+---
+` : ''}${context ? `
+This text is one section of a longer document. The surrounding text is given ONLY so that terminology, tone and corrections stay consistent across sections. Do NOT analyze, correct or include the surrounding text in your output.
+${settings.topic ? `
+The document was written in response to this question (for reference only): ${settings.topic}
+` : ''}
+**Preceding Context:**
+---
+${context.before || '(start of document)'}
+---
+
+**Following Context:**
+---
+${context.after || '(end of document)'}
+---
+` : ''}
+**Original Text:**
+---
+${text}
+---
+
+**Revision Goal:**
+- **Target Audience/Genre:** ${settings.analysisTarget}
+- **Difficulty/Level:** ${settings.difficulty}
+- **Preferred Tone:** ${settings.tone || 'Not specified'}
+- **Standing Instructions:** ${settings.standingInstructions || 'None'}
+- **Specific Instructions:** ${settings.userPrompt || 'None'}
+${ignoredTypesOf(settings).length > 0 ? `- **Do NOT report issues of these types:** ${ignoredTypesOf(settings).join(', ')} (still fix them in 'improved_full_text' if needed)
+` : ''}
+Please provide a structured response in the following JSON format.`;
+
+/**
+ * 组装一次润色请求。分段模式 (context 不为空) 下单个分块无法判断是否切题，也无法整体评分，
+ * 因此不要求 task_response 与 exam_score。
+ * @param {string} text 原文或分块
+ * @param {{topic?: string, analysisTarget: string, difficulty: string, tone?: string, standingInstructions?: string, ignoredIssueTypes?: string[], userPrompt?: string, scoringMode?: string, feedbackLanguage?: string}} settings
+ *   润色设置；tone、standingInstructions、ignoredIssueTypes 来自配置方案
+ * @param {{before: string, after: string}|null} context 分段模式下相邻分块的上下文
+ * @returns {{request: object, exam: string|null, check: object}} request 传给 provider.revise；exam 为评分模式；check 交给 parseRevision 过滤忽略的类型、交给 warnLanguageSplit 检查语言分工
+ */
+const buildRevisionRequest = (text, settings, context = null) => {
+  const includeTaskResponse = Boolean(settings.topic?.trim()) && !context;
+  const exam = !context && ['ielts', 'toefl'].includes(settings.scoringMode) ? settings.scoringMode : null;
+  return {
+    exam,
+    check: { text, feedbackLanguage: settings.feedbackLanguage, ignoredIssueTypes: ignoredTypesOf(settings) },
+    request: {
+      systemPrompt: REVISION_SYSTEM_PROMPT
+        + buildLanguageInstructions(settings.feedbackLanguage)
+        + (includeTaskResponse ? TASK_RESPONSE_INSTRUCTIONS : '')
+        + (exam ? buildExamScoreInstructions(exam) : ''),
+      prompt: buildRevisionPrompt(text, settings, context),
+      responseSchema: buildRevisionSchema({ includeTaskResponse, exam, ignoredIssueTypes: ignoredTypesOf(settings) }),
+      temperature: 0.5,
+      text,
+      feedbackLanguage: settings.feedbackLanguage,
+    },
+  };
+};
+
+/**
+ * 解析模型返回的完整 JSON 文本并做结构检查，不合格时抛出错误。
+ * @param {string} rawJsonString 模型返回的原始文本
+ * @param {string|null} exam 评分模式，用于校正 exam_score
+ * @param {{ignoredIssueTypes?: string[]}|null} [check] 去掉配置方案中忽略的问题类型
+ * @returns {object} 结构完整的分析结果
+ */
+const parseRevision = (rawJsonString, exam = null, check = null) => {
+  if (!rawJsonString) {
+    throw new MalformedResponseError("Received empty or malformed response from API.");
+  }
+
+  // 1. 清理字符串
+  const jsonToParse = cleanJsonString(rawJsonString);
+
+  // 2. 尝试解析 JSON
+  const parsedJson = JSON.parse(jsonToParse);
+
+  // 3. 严格检查 JSON 结构是否完整 (新增的防御性检查)
+  if (!parsedJson || typeof parsedJson !== 'object'
+      || !parsedJson.summary || !Array.isArray(parsedJson.issues) || typeof parsedJson.improved_full_text !== 'string') {
+      throw new MalformedResponseError("Parsed JSON is structurally invalid (missing summary, issues array, or improved_full_text string).");
+  }
+
+  // 4. 模型偶尔仍会返回被忽略的类型，这里直接过滤
+  if (check?.ignoredIssueTypes?.length) {
+    parsedJson.issues = parsedJson.issues.filter(issue => !check.ignoredIssueTypes.includes(issue?.type));
+  }
+
+  if (exam && parsedJson.exam_score) {
+    parsedJson.exam_score = normalizeExamScore(exam, parsedJson.exam_score);
+  }
+
+  return parsedJson;
+};
+
+/**
+ * 讲解应使用反馈语言、引用与改写应保持原文语言。模型没有遵守时不作废结果 (重新请求往往得到同样的输出)，
+ * 只提示学习者核对。
+ * @param {object} result parseRevision 的结果
+ * @param {{text: string, feedbackLanguage?: string}} check
+ * @param {(message: string|null) => void} setErrorMessage
+ */
+const warnLanguageSplit = (result, check, setErrorMessage) => {
+  const problems = findLanguageSplitProblems(result, check.text, check.feedbackLanguage);
+  if (problems.length === 0) return;
+  console.warn(`Response ignores the feedback language split: ${problems.slice(0, 3).join(', ')}`);
+  setErrorMessage(t('errors.languageSplit'));
+};
+
+const reportRevisionError = (error, setErrorMessage) => {
+  setErrorMessage(error instanceof CancelledError ? errorText(error) : t('errors.revisionFailed', { reason: errorText(error) }));
+};
+
+/**
+ * 从尚未接收完整的流式文本中提取可以展示的部分结果：
+ * 已收到的总结字段、已经完整闭合的问题条目，以及已收到的润色文本。
+ * @param {string} rawText 目前收到的原始文本
+ * @param {string|null} [exam] 评分模式
+ * @param {string[]} [ignoredIssueTypes] 配置方案中忽略的问题类型
+ * @returns {object|null} 与完整结果结构相同的部分结果；尚无可用内容或格式错误时返回 null
+ */
+export const toPartialRevision = (rawText, exam = null, ignoredIssueTypes = []) => {
+  let parsed;
+  try {
+    parsed = parsePartialJson(cleanJsonString(rawText));
+  } catch {
+    return null;
+  }
+  const { value, closed } = parsed;
+  if (!value || typeof value !== 'object') return null;
+  const partial = {
+    summary: value.summary && typeof value.summary === 'object' ? value.summary : null,
+    issues: Array.isArray(value.issues)
+      ? value.issues.filter(issue => closed.has(issue) && !ignoredIssueTypes.includes(issue.type))
+      : [],
+    improved_full_text: typeof value.improved_full_text === 'string' ? value.improved_full_text : '',
+  };
+  if (value.task_response && closed.has(value.task_response)) partial.task_response = value.task_response;
+  if (exam && value.exam_score && closed.has(value.exam_score)) partial.exam_score = normalizeExamScore(exam, value.exam_score);
+  return partial;
+};
+
+// 2. 润色与分析 (FIXED: Added JSON cleanup and structural check)
+// settings: { topic, analysisTarget, difficulty, tone, standingInstructions, ignoredIssueTypes, userPrompt, scoringMode, feedbackLanguage }
+// context: 分段模式下相邻分块的上下文 { before, after }，仅用于保持一致性
+// options: { signal, onRetry }，见 withRetry
+export const fetchImprovedText = async (text, settings, provider, setErrorMessage, context = null, { signal, onRetry } = {}) => {
+  setErrorMessage(null); 
+
+  try {
+    const { request, exam, check } = buildRevisionRequest(text, settings, context);
+    const result = await withRetry(
+      'Revision API Call',
+      async () => parseRevision(await provider.revise({ ...request, signal }), exam, check),
+      { signal, onRetry }
+    );
+    warnLanguageSplit(result, check, setErrorMessage);
+    return result;
+  } catch (error) {
+    reportRevisionError(normalizeError(error), setErrorMessage);
+    return null;
+  }
+};
+
+/**
+ * 流式润色：边接收边通过 onPartial 推送部分结果，结束后做与 fetchImprovedText 相同的结构检查。
+ * 流中途断开时不再重试，保留已收到的有效部分；完整接收但结构不合格时重新请求。
+ * @param {string} text 原文
+ * @param {{topic?: string, analysisTarget: string, difficulty: string, userPrompt?: string, feedbackLanguage?: string}} settings 润色设置
+ * @param {object} provider LLM Provider
+ * @param {(message: string|null) => void} setErrorMessage 错误提示
+ * @param {(partial: object) => void} onPartial 每次收到新内容时的回调
+ * @param {{signal?: AbortSignal, onRetry?: Function}} [options] 取消信号与重试通知，见 withRetry
+ * @returns {Promise<{result: object, complete: boolean}|null>} complete 为 false 表示流被中断，result 为部分结果
+ */
+export const streamImprovedText = async (text, settings, provider, setErrorMessage, onPartial, { signal, onRetry } = {}) => {
+  setErrorMessage(null);
+
+  const { request, exam, check } = buildRevisionRequest(text, settings);
+  let received = '';
+  let interrupted = false;
+
+  try {
+    const outcome = await withRetry('Revision Stream', async () => {
+      received = '';
+      let rawJsonString;
+      try {
+        rawJsonString = provider.reviseStream
+          ? await provider.reviseStream({
+            ...request,
+            signal,
+            onText: (delta) => {
+              received += delta;
+              const partial = toPartialRevision(received, exam, check.ignoredIssueTypes);
+              if (partial) onPartial(partial);
+            },
+          })
+          : await provider.revise({ ...request, signal });
+      } catch (error) {
+        // 已经收到内容后中断：不再重试，交给下面保留部分结果
+        if (received) return { interrupted: error };
+        throw error;
+      }
+      return { result: parseRevision(rawJsonString, exam, check) };
+    }, { signal, onRetry });
+
+    if (outcome.interrupted) {
+      interrupted = true;
+      throw outcome.interrupted;
+    }
+    warnLanguageSplit(outcome.result, check, setErrorMessage);
+    return { result: outcome.result, complete: true };
+  } catch (rawError) {
+    const error = normalizeError(rawError);
+    // 只有流中途断开时才保留部分结果；完整接收但多次结构检查不合格按普通的请求失败处理
+    const partial = interrupted ? toPartialRevision(received, exam, check.ignoredIssueTypes) : null;
+    if (partial && (partial.summary || partial.issues.length > 0 || partial.improved_full_text)) {
+      console.error("Revision stream interrupted, keeping partial result:", error);
+      setErrorMessage(error instanceof CancelledError
+        ? t('errors.cancelledKeptPartial')
+        : t('errors.interruptedKeptPartial', { reason: errorText(error) }));
+      return { result: partial, complete: false };
+    }
+    reportRevisionError(error, setErrorMessage);
+    return null;
+  }
+};
+
+const PING_SCHEMA = {
+  type: "OBJECT",
+  properties: { ok: { type: "BOOLEAN" } },
+  required: ["ok"],
+};
+
+/**
+ * 3. 测试 API Key：发送一个极小的请求，不重试。
+ * Gemini 对无效 Key 返回 400，因此 400/401/403 都视为 Key 无效。
+ * @param {object} provider LLM Provider
+ * @returns {Promise<'valid'|'invalid'|'over_quota'|'unreachable'>}
+ */
+export const verifyApiKey = async (provider) => {
+  try {
+    await provider.revise({
+      systemPrompt: 'Reply with the JSON object {"ok": true} and nothing else.',
+      prompt: 'ping',
+      responseSchema: PING_SCHEMA,
+      temperature: 0,
+      text: '',
+    });
+    return 'valid';
+  } catch (rawError) {
+    const error = normalizeError(rawError);
+    console.warn("API key check failed:", error);
+    if (error instanceof HttpError) {
+      if (error.status === 429) return 'over_quota';
+      if ([400, 401, 403].includes(error.status)) return 'invalid';
+    }
+    return 'unreachable';
+  }
+};
+
+// 4. 讲解对话：针对某条问题或润色全文的多轮追问
+const TUTOR_PRACTICE_INSTRUCTIONS = `When the learner asks for practice, write 3 short numbered exercises built from this exact mistake (for example: fill in the blank, choose the correct form, correct the sentence). Do NOT include the answers; check the learner's attempts when they reply, and give the answers only then or when they ask for them.`;
+
+// 讲解润色全文时原文与润色全文各自最多带上的字符数，长文档只发送开头部分 (代理服务器也限制了提示词长度)
+const TUTOR_TEXT_LIMIT = 6000;
+
+// 只发送最近的消息 (奇数条，保证以学习者的消息开头)；代理服务器最多接受 50 条
+const TUTOR_MAX_MESSAGES = 39;
+
+const excerpt = (text) => (text.length > TUTOR_TEXT_LIMIT ? `${text.slice(0, TUTOR_TEXT_LIMIT)}\n[… truncated]` : text);
+
+/**
+ * 讲解对话的系统提示词，包含学习者水平与所讨论内容的上下文。
+ * @param {object} context
+ * @param {'issue'|'revised'} context.kind 针对某条问题或针对润色全文
+ * @param {string} context.difficulty 学习者水平
+ * @param {string} [context.analysisTarget] 文体
+ * @param {string} [context.feedbackLanguage]
+ * @param {{type: string, original_phrase: string, correction: string, explanation: string}} [context.issue] kind 为 issue 时
+ * @param {string} [context.sentence] 问题所在的原句
+ * @param {string} [context.originalText] kind 为 revised 时的原文
+ * @param {string} [context.revisedText] kind 为 revised 时的润色全文
+ * @returns {string}
+ */
+export const buildTutorSystemPrompt = (context) => {
+  const subject = context.kind === 'issue'
+    ? `The conversation is about one mistake found in the learner's text:
+- Type: ${context.issue.type}
+- Original sentence: "${context.sentence || context.issue.original_phrase}"
+- Original phrase: "${context.issue.original_phrase}"
+- Correction: "${context.issue.correction}"
+- Explanation already given: "${context.issue.explanation}"
+Answer follow-up questions about this mistake: why it is wrong, the rule behind it, and more examples of correct and incorrect use.`
+    : `The conversation is about how the learner's text was revised.
+Original text:
+"""
+${excerpt(context.originalText)}
+"""
+Revised text:
+"""
+${excerpt(context.revisedText)}
+"""
+Answer follow-up questions about the changes: why a word or structure was changed, alternatives, and how to write this way on their own.`;
+
+  return `You are a patient English writing tutor. The learner's level is "${context.difficulty}"${context.analysisTarget ? ` and they are writing: ${context.analysisTarget}` : ''}. Keep every answer short, concrete and suited to that level. Use plain text without Markdown headings; short numbered lists are fine.
+${subject}
+${TUTOR_PRACTICE_INSTRUCTIONS}
+${buildTutorLanguageInstruction(context.feedbackLanguage)}`;
+};
+
+/**
+ * 发送一轮讲解对话，返回老师的回复。
+ * @param {{role: 'user'|'assistant', content: string}[]} messages 完整的对话 (最后一条为学习者的新问题)
+ * @param {object} context 见 buildTutorSystemPrompt
+ * @param {object} provider LLM Provider
+ * @param {(message: string|null) => void} setErrorMessage 错误提示
+ * @param {{signal?: AbortSignal, onRetry?: Function}} [options] 取消信号与重试通知，见 withRetry
+ * @returns {Promise<string|null>} 失败时为 null
+ */
+export const fetchTutorReply = async (messages, context, provider, setErrorMessage, { signal, onRetry } = {}) => {
+  setErrorMessage(null);
+  const request = {
+    systemPrompt: buildTutorSystemPrompt(context),
+    messages: messages.slice(-TUTOR_MAX_MESSAGES).map(({ role, content }) => ({ role, content })),
+    temperature: 0.4,
+    feedbackLanguage: context.feedbackLanguage,
+  };
+
+  try {
+    return await withRetry('Tutor API Call', async () => {
+      const reply = await provider.chat({ ...request, signal });
+      if (reply && reply.trim()) return reply.trim();
+      throw new MalformedResponseError("Received an empty tutor reply.");
+    }, { signal, onRetry });
+  } catch (rawError) {
+    const error = normalizeError(rawError);
+    console.error("Tutor request failed:", error);
+    setErrorMessage(error instanceof CancelledError ? errorText(error) : t('tutor.failed', { reason: errorText(error) }));
+    return null;
+  }
+};
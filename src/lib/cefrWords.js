@@ -0,0 +1,140 @@
+// --- CEFR 词汇等级表 ---
+// 精简的词表：按常见学习者词汇分级整理，每个词只记录原形，屈折形式 (复数、过去式、-ing 等)
+// 由 textMetrics 还原后再查表。表中没有的词 (专有名词、冷僻词) 归为“未收录”。
+// 这是粗略的参考，不能替代完整的 English Vocabulary Profile。
+
+const LEVEL_WORDS = {
+  A1: `a about after again age all also always am an and animal answer any apple april are arm ask at august autumn
+    baby back bad bag ball banana bank bath be beach beautiful because bed before begin behind best better between
+    big bike bird birthday black blue boat body book boring bottle box boy bread breakfast brother brown bus but buy
+    by cake call camera can car card cat chair cheap cheese chicken child choose cinema city class clean clock close
+    clothes coffee cold colour color come computer cook cool correct cost could country cup dad dance dark date
+    daughter day dear december desk dinner do doctor dog door down drink drive eat egg email end evening every example
+    exercise eye face family famous far farm fast father favourite favorite february film find fine first fish floor
+    flower fly food foot football for friday friend from fruit full fun game garden girl give glass go good great green
+    grey gray hair half hand happy hat have he head hello help her here hi him his holiday home horse hospital hot hotel
+    hour house how hungry husband i ice idea if in is it its january job juice july june just key kitchen know lake
+    language large last late learn left leg lesson letter library like listen little live long look lot love lunch make
+    man many map march market may me meat meet menu milk minute monday money month morning mother mountain mum music my
+    name near need never new news next nice night no not now number o'clock october of often old on one only open or
+    orange other our out page paper parent park party pen pencil people person phone photo picture place play please
+    potato present pretty problem put question quick rain read red restaurant rice right river road room run sad
+    salad same sandwich saturday say school sea see sell send september she shirt shoe shop short sing sister sit sleep
+    small snow so some sometimes son song sorry speak sport spring start station stop story street student study summer
+    sun sunday supermarket swim table take talk tea teach teacher team tell test than thank that the their them then
+    there they thing think this thursday ticket time tired to today tomorrow too town train tree tuesday tv under
+    understand up us use very visit wait walk want warm wash watch water way we wear weather wednesday week weekend well
+    what when where which white who why wife will window winter with woman word work world write year yellow yes
+    yesterday you young your these those into more much should would might something someone everything anyone
+    each such while off over around really whose myself yourself himself herself itself ourselves themselves`,
+  A2: `able accident across activity actor address adult adventure advice afraid afternoon against ago agree air
+    airport alone along already although amazing among angry another anything anyway appear area arrive art artist
+    as asleep attention aunt available away awful background badly band bank become bedroom believe belong below
+    beside bill bit blood board boat boil bone borrow boss both bottom brain brave break bridge bright bring build
+    burn business busy call calm camp care careful carry case castle catch cause celebrate centre center certain
+    chance change character chat check chemistry choice church clever climb cloud coast collect competition complete
+    condition contact continue conversation copy corner cough count course cousin crazy cross crowd cry culture
+    customer cut danger dangerous dead deal decide degree delicious department describe design detail diet
+    difference different difficult direction dirty discover discuss disease dream dress drop dry during early earn
+    easy education either else empty engine enjoy enough enter environment especially event ever everyone exam
+    excellent excited expensive experience explain extra fail fair fall false fashion feel festival few fight fill
+    finally finish fire fit flat follow foreign forest forget form free fresh front future gift glad global goal
+    government grow guess guest guide gym habit happen hard hate health healthy hear heart heat heavy hill hobby
+    hold hole hope however huge hurt ill imagine important improve include information instead interest interesting
+    internet invite island journey keep kill kind king knowledge land law lazy leave less lie life light list local
+    lose loud luck lucky machine magazine main manager match matter maybe mean medicine member message middle mind
+    miss mistake modern moment most move museum must nature necessary neighbour neighbor nervous noise normal note
+    nothing notice ocean offer office online opinion order own pain pair pass past pay perfect perhaps pet pick piece
+    plan plant plastic point police polite poor popular possible post practice prefer prepare price prize probably
+    product programme program project promise protect public pull push quiet race reach ready real realize reason
+    receive recent relax remember rent repeat reply report rest result return rich ride ring rule safe save scared
+    science score search season seat secret seem sense serious share shower sick side sign similar simple since
+    single skill sky smile smoke soft soldier solve sound space special spend staff stay still strange stress strong
+    subject succeed success sudden suggest sure surprise symbol system task taste terrible theatre thick thin though
+    through throw tidy tiny together tonight tool top tour tourist traffic travel trip trouble true trust try turn
+    type ugly uncle unfortunately until useful usual usually village voice wake war waste whole wide win wish without
+    wonderful worry worse worst wrong basic stuff inside outside`,
+  B1: `absolutely accept access account achieve action actually admire admit advantage advertise affect afford
+    aim allow alternative amount ancient announce annoy anxious apart apologize apply approach argue argument
+    arrange article aspect attack attempt attend attitude attract audience author average avoid aware basis behave
+    behaviour behavior benefit beyond blame bother budget campaign candidate capable career cancel category
+    challenge characteristic claim climate comfortable comment communicate community compare complain concentrate
+    concern confident confirm confuse connect consider construct contain content contrast contribute control
+    convince crime critic crisis current damage debate decrease deep defend definitely deliver demand deny depend
+    depressed deserve desire despite destroy determine develop device disadvantage disappear disappointed
+    discipline distance divide effect effective efficient effort element emotion emphasize employ encourage
+    energy entertain equal equipment escape essential estimate evidence exactly examine exist expect expert
+    express extreme factor familiar feature figure financial focus force former fortune frequently generation
+    generous gradually guarantee harm hide identify ignore illness image impact impress income increase indeed
+    individual industry influence injury insist instance intend involve issue judge labour labor lack likely limit
+    link literature manage material measure media mental method minor mood moreover motivate natural negative
+    nevertheless obvious occur opportunity option ordinary organize original otherwise patient peace percentage
+    period permanent permit personal persuade physical pollution positive potential poverty pressure prevent
+    previous principle private process produce professional profit progress proper propose prove provide purpose
+    quality quantity raise range rate rather react realistic recognize recommend reduce refer reflect refuse regard
+    region regular relationship relevant rely remain remove replace represent require research resource respect
+    responsible reveal risk role routine satisfy scene schedule security select sensible separate series service
+    set severe shortage significant situation social society solution source specific stable standard statement
+    status strategy structure suffer suitable supply support suppose survey survive tend tension theory therefore
+    threat tradition treat trend typical unless upset value variety various version victim view violent volunteer
+    wealth whereas witness`,
+  B2: `abandon abstract academic accurate acknowledge acquire adapt adequate adjust administration adopt
+    advocate aggressive allocate ambiguous analyse analyze anticipate apparent appreciate appropriate approve
+    arbitrary assess asset assign assume assumption assure attribute authority automatic barrier bias bond boost
+    breakthrough capacity cease challenge chaos circumstance cite civil clarify coherent collapse commission
+    commitment compensate compete complex component comprehensive comprise concept conclude conduct conflict
+    consequence consequently considerable consistent constant constitute consume contemporary controversial
+    conventional cooperate core correspond crucial decline dedicate define demonstrate derive detect diminish
+    dimension distinct distribute diverse domestic dominate dramatic dynamic economy eliminate emerge emphasis
+    enable enhance ensure establish ethical evaluate eventually evolve exceed exclude expand explicit exploit
+    expose facilitate feasible flexible fluctuate framework fundamental furthermore generate guideline
+    highlight hypothesis ideology illustrate implement implication imply impose incentive incorporate indicate
+    inevitable infrastructure inherent initial initiative innovation insight inspect integrate integrity
+    interpret intervene invest investigate justify legislation likewise logic maintain maximize mechanism
+    minimize modify monitor mutual neutral nonetheless norm notion objective obtain ongoing output overall
+    overcome paradigm parallel participate perceive perspective phenomenon philosophy policy portion precise
+    predominantly preliminary presume prior priority proceed prohibit prominent promote proportion prospect
+    pursue radical rational reinforce reject reluctant remarkable resolve restrict retain scenario scope sector
+    sequence shift simulate sole somewhat sophisticated stimulate subsequent substantial sufficient sustain
+    sustainable tackle target technique temporary thereby transform transition ultimately undergo undermine
+    uniform utilize valid vary vehicle venture vital widespread`,
+  C1: `aberration accentuate accountability acquisition adjacent adverse aesthetic affluent aggregate alleviate
+    allegation ambivalent amend analogous anomaly apprehensive articulate ascertain assertion augment autonomy
+    benevolent bolster bureaucracy catalyst censorship coerce cognitive cohesion collaborate commence compatible
+    compelling complacent complement comply concede conceive concise confer consensus conspicuous constrain
+    contemplate contend contradict conversely credible culminate curb cynical deduce deficiency deficit degrade
+    delegate deliberate depict deteriorate deviate devise discourse discrepancy discrete disparity disperse
+    disposition disrupt dissent distort elicit eloquent embody empirical encompass endorse entail entity
+    erode exacerbate exemplify explicitly extrapolate fabricate fallacy foster formulate hinder holistic
+    homogeneous hostile imminent impartial impede implicit incentivize incidence incompatible indispensable
+    induce inherently inhibit innate intrinsic intuitive invoke jeopardize legitimate leverage lucrative
+    marginal mediate meticulous mitigate negate notwithstanding nuance obsolete paramount pervasive plausible
+    pragmatic precedent predominant presumably proficient profound proliferate propensity prudent quantify
+    ramification rationale reconcile rectify redundant refute reiterate relinquish repercussion replicate
+    resilient rhetoric rigorous salient scrutiny skeptical sceptical substantiate succinct supersede
+    susceptible tangible tentative trajectory transparent undeniably underlying unprecedented versatile
+    viable volatile`,
+  C2: `abrogate acquiesce admonish alacrity ameliorate anachronism antithesis apocryphal approbation
+    assiduous assuage audacious austere axiomatic belie bellicose bombastic cacophony capricious castigate
+    circumlocution circumspect clandestine cogent commensurate conflagration conundrum corroborate
+    countervail credulous debacle deleterious demagogue denigrate deprecate desultory diatribe didactic
+    disingenuous dogmatic ebullient efficacious egregious elucidate emollient enervate ephemeral equanimity
+    equivocal esoteric exculpate exigency expedient extant facetious fastidious fortuitous garrulous
+    gregarious harbinger hegemony idiosyncratic immutable impecunious implacable inchoate incontrovertible
+    indefatigable ineffable inexorable insidious intransigent inveterate laconic largesse loquacious
+    magnanimous malfeasance mendacious mercurial misanthrope munificent nefarious obdurate obfuscate obsequious
+    onerous ostensibly ostentatious panacea paradigmatic parsimonious penchant perfunctory pernicious
+    perspicacious precipitous proclivity prodigious propitious quintessential recalcitrant recondite
+    sagacious sanguine spurious supercilious sycophant tacit tenuous truculent ubiquitous vacillate
+    verisimilitude vicissitude vindicate zealous`,
+};
+
+export const CEFR_LEVELS = Object.keys(LEVEL_WORDS);
+
+/** 单词 (小写原形) → 等级；同一个词出现在多个等级时取较低的等级 */
+export const CEFR_WORDS = new Map();
+CEFR_LEVELS.forEach(level => {
+  LEVEL_WORDS[level].split(/\s+/).filter(Boolean).forEach(word => {
+    if (!CEFR_WORDS.has(word)) CEFR_WORDS.set(word, level);
+  });
+});
@@ -0,0 +1,122 @@
+// --- 长文档分段 ---
+
+// 句子：以句末标点（可带引号/括号）结尾，连同其后的空白；或文本末尾没有标点的剩余部分。
+// 句首的标点 (如 "... nothing"、"?Really") 归入该句，单独的一串标点自成一段，保证每个字符都被匹配到
+const SENTENCE_REGEX = /[.!?。！？]*[^.!?。！？]+(?:[.!?。！？]+["'”’)）]*\s*|$)|[.!?。！？]+["'”’)）]*\s*/g;
+
+/**
+ * 把超长的片段在空白处硬切分，作为没有句子边界时的兜底。
+ * @param {string} text 片段
+ * @param {number} maxChars 每段最大字符数
+ * @returns {string[]}
+ */
+const hardSplit = (text, maxChars) => {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    // 空格留在前一段末尾，因此最晚在 maxChars - 1 处切分；找不到空格时直接在 maxChars 处切
+    const space = rest.lastIndexOf(' ', maxChars - 1);
+    const end = space > 0 ? space + 1 : maxChars;
+    pieces.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+};
+
+/**
+ * 把文本拆成不超过 maxChars 的“单元”：优先整段，段落过长时按句子，句子过长时按空白。
+ * 单元首尾相接，拼起来就是原文。
+ */
+const splitUnits = (text, maxChars) => {
+  const paragraphs = text.match(/[^\n]*(?:\n\s*|$)/g).filter(Boolean);
+  const units = [];
+  paragraphs.forEach(paragraph => {
+    if (paragraph.length <= maxChars) {
+      units.push(paragraph);
+      return;
+    }
+    const sentences = paragraph.match(SENTENCE_REGEX) || [];
+    // 分块的 start/end 是各单元长度的累加，拼不回原段落时退回按空白切分，避免偏移错位、丢失文字
+    if (sentences.join('') !== paragraph) {
+      units.push(...hardSplit(paragraph, maxChars));
+      return;
+    }
+    sentences.forEach(sentence => {
+      if (sentence.length <= maxChars) units.push(sentence);
+      else units.push(...hardSplit(sentence, maxChars));
+    });
+  });
+  return units;
+};
+
+/**
+ * 在段落和句子边界处把文本切成若干块，每块不超过 maxChars。
+ * @param {string} text 完整文本
+ * @param {number} maxChars 每块最大字符数
+ * @returns {{index: number, start: number, end: number, text: string}[]} 首尾相接、覆盖全文的分块
+ */
+export const splitIntoChunks = (text, maxChars) => {
+  const chunks = [];
+  let current = '';
+  let start = 0;
+
+  const flush = () => {
+    if (!current) return;
+    chunks.push({ index: chunks.length, start, end: start + current.length, text: current });
+    start += current.length;
+    current = '';
+  };
+
+  splitUnits(text, maxChars).forEach(unit => {
+    if (current.length + unit.length > maxChars) flush();
+    current += unit;
+  });
+  flush();
+  return chunks;
+};
+
+/**
+ * 以有限并发执行一组异步任务，返回的结果顺序与任务顺序一致。
+ * @param {(() => Promise<any>)[]} tasks 任务列表
+ * @param {number} limit 最大并发数
+ * @returns {Promise<any[]>}
+ */
+export const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const current = next++;
+      results[current] = await tasks[current]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+};
+
+/**
+ * 合并各分块的分析结果。失败的分块在润色全文中保留原文。
+ * @param {{text: string}[]} chunks splitIntoChunks 的分块
+ * @param {(object|null)[]} results 每块的分析结果，失败为 null
+ * @returns {object} 与单次分析结构相同的结果
+ */
+export const mergeChunkResults = (chunks, results) => {
+  const succeeded = results.filter(Boolean);
+  const improved = chunks.map((chunk, i) => {
+    const result = results[i];
+    if (!result) return chunk.text;
+    // 模型通常会去掉末尾空白，这里补回原分块的段落/句子分隔
+    const trailing = chunk.text.match(/\s*$/)[0];
+    return result.improved_full_text.replace(/\s*$/, '') + trailing;
+  }).join('');
+
+  return {
+    summary: {
+      original_text: succeeded.map(r => r.summary?.original_text).filter(Boolean).join(' '),
+      overall_assessment: succeeded.map(r => r.summary?.overall_assessment).filter(Boolean).join(' '),
+    },
+    issues: succeeded.flatMap(r => r.issues),
+    improved_full_text: improved,
+  };
+};
@@ -0,0 +1,214 @@
+// --- 词级差异比较 (Myers diff) ---
+
+// 单词（含撇号、连字符）、单个汉字、空白、单个标点各自成为一个 token
+const TOKEN_REGEX = /[㐀-鿿豈-﫿]|[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*|\s+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * 将文本切分为词、标点和空白 token，并记录每个 token 在原文中的偏移。
+ * @param {string} text 输入文本
+ * @returns {{text: string, start: number}[]}
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_REGEX)) {
+    tokens.push({ text: match[0], start: match.index });
+  }
+  return tokens;
+};
+
+/**
+ * 线性空间的 Myers 算法：同时从两端搜索，找到最短编辑路径上的中间点后对两半递归。
+ * 只保存当前一步的对角线，内存为 O(N+M)；保存每一步的完整快照再回溯需要 O((N+M)·D)，
+ * 改动较多的长文档会占用数 GB 内存。
+ * @param {string[]} a 原 token 序列
+ * @param {string[]} b 新 token 序列
+ * @returns {{type: 'equal'|'delete'|'insert', aIndex: number, bIndex: number}[]} 逐 token 的操作
+ */
+const myers = (a, b) => {
+  const ops = [];
+
+  // 在 a[aLo, aHi) 与 b[bLo, bHi) 中寻找最短编辑路径经过的一个中间点 [x, y]；没有任何相同 token 时返回 null
+  const findSplit = (aLo, aHi, bLo, bHi) => {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const length = 2 * maxD + 2;
+    const forward = new Int32Array(length).fill(-1);
+    const backward = new Int32Array(length).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    const delta = n - m;
+    // 差为奇数时两个方向的路径在正向搜索中相遇，否则在反向搜索中相遇
+    const front = delta % 2 !== 0;
+    // 越过边界的对角线不再搜索
+    let k1Start = 0;
+    let k1End = 0;
+    let k2Start = 0;
+    let k2End = 0;
+
+    for (let d = 0; d < maxD; d++) {
+      for (let k1 = -d + k1Start; k1 <= d - k1End; k1 += 2) {
+        const k1Offset = offset + k1;
+        let x1 = k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1])
+          ? forward[k1Offset + 1]
+          : forward[k1Offset - 1] + 1;
+        let y1 = x1 - k1;
+        while (x1 < n && y1 < m && a[aLo + x1] === b[bLo + y1]) {
+          x1++;
+          y1++;
+        }
+        forward[k1Offset] = x1;
+        if (x1 > n) {
+          k1End += 2;
+        } else if (y1 > m) {
+          k1Start += 2;
+        } else if (front) {
+          const k2Offset = offset + delta - k1;
+          if (k2Offset >= 0 && k2Offset < length && backward[k2Offset] !== -1 && x1 >= n - backward[k2Offset]) {
+            return [x1, y1];
+          }
+        }
+      }
+
+      for (let k2 = -d + k2Start; k2 <= d - k2End; k2 += 2) {
+        const k2Offset = offset + k2;
+        let x2 = k2 === -d || (k2 !== d && backward[k2Offset - 1] < backward[k2Offset + 1])
+          ? backward[k2Offset + 1]
+          : backward[k2Offset - 1] + 1;
+        let y2 = x2 - k2;
+        while (x2 < n && y2 < m && a[aHi - x2 - 1] === b[bHi - y2 - 1]) {
+          x2++;
+          y2++;
+        }
+        backward[k2Offset] = x2;
+        if (x2 > n) {
+          k2End += 2;
+        } else if (y2 > m) {
+          k2Start += 2;
+        } else if (!front) {
+          const k1Offset = offset + delta - k2;
+          if (k1Offset >= 0 && k1Offset < length && forward[k1Offset] !== -1) {
+            const x1 = forward[k1Offset];
+            if (x1 >= n - x2) return [x1, x1 - (k1Offset - offset)];
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  const diffRange = (aLo, aHi, bLo, bHi) => {
+    // 去掉相同的开头与结尾
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      ops.push({ type: 'equal', aIndex: aLo, bIndex: bLo });
+      aLo++;
+      bLo++;
+    }
+    let suffix = 0;
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+      suffix++;
+    }
+
+    const split = aLo < aHi && bLo < bHi ? findSplit(aLo, aHi, bLo, bHi) : null;
+    if (split) {
+      diffRange(aLo, aLo + split[0], bLo, bLo + split[1]);
+      diffRange(aLo + split[0], aHi, bLo + split[1], bHi);
+    } else {
+      for (let x = aLo; x < aHi; x++) ops.push({ type: 'delete', aIndex: x, bIndex: bLo });
+      for (let y = bLo; y < bHi; y++) ops.push({ type: 'insert', aIndex: aHi, bIndex: y });
+    }
+
+    for (let i = 0; i < suffix; i++) ops.push({ type: 'equal', aIndex: aHi + i, bIndex: bHi + i });
+  };
+
+  diffRange(0, a.length, 0, b.length);
+  return ops;
+};
+
+/**
+ * 计算两段文本之间的词级差异，并把连续的删除/插入归并为“改动块”。
+ * @param {string} original 原文
+ * @param {string} revised 修改后的文本
+ * @returns {{parts: {type: 'equal'|'delete'|'insert', text: string, changeId: number|null}[],
+ *   changes: {id: number, deleted: string, inserted: string, start: number, end: number}[]}}
+ *   parts 按阅读顺序排列；changes 中 start/end 为改动在原文中的字符区间
+ */
+export const diffWords = (original, revised) => {
+  const aTokens = tokenize(original);
+  const bTokens = tokenize(revised);
+  const ops = myers(aTokens.map(t => t.text), bTokens.map(t => t.text));
+
+  const parts = [];
+  const changes = [];
+  let current = null;
+
+  const pushPart = (type, text, changeId) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type && last.changeId === changeId) {
+      last.text += text;
+    } else {
+      parts.push({ type, text, changeId });
+    }
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'equal') {
+      current = null;
+      pushPart('equal', aTokens[op.aIndex].text, null);
+      return;
+    }
+    const position = op.aIndex < aTokens.length ? aTokens[op.aIndex].start : original.length;
+    if (!current) {
+      current = { id: changes.length, deleted: '', inserted: '', start: position, end: position };
+      changes.push(current);
+    }
+    if (op.type === 'delete') {
+      const token = aTokens[op.aIndex];
+      current.deleted += token.text;
+      current.end = token.start + token.text.length;
+      pushPart('delete', token.text, current.id);
+    } else {
+      current.inserted += bTokens[op.bIndex].text;
+      pushPart('insert', bTokens[op.bIndex].text, current.id);
+    }
+  });
+
+  return { parts, changes };
+};
+
+const normalize = (value) => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * 找出 result.issues 无法解释的改动（模型“悄悄”做的重写）。
+ * 若改动落在某条问题的原文区间内，或改动内容包含在某条问题的原文/修正中，则视为已解释；
+ * 纯空白的改动不计入。
+ * @param {{id: number, deleted: string, inserted: string, start: number, end: number}[]} changes diffWords 的改动块
+ * @param {object[]} issues result.issues
+ * @param {{index: number, start: number, end: number}[]} located locateIssues 的定位结果
+ * @returns {Set<number>} 未被解释的改动 id
+ */
+export const findUnexplainedChanges = (changes, issues, located) => {
+  const unexplained = new Set();
+  changes.forEach(change => {
+    if (!change.deleted.trim() && !change.inserted.trim()) return;
+
+    const coveredBySpan = located.some(span =>
+      change.start < change.end
+        ? change.start < span.end && span.start < change.end
+        : change.start >= span.start && change.start <= span.end
+    );
+    if (coveredBySpan) return;
+
+    const deleted = normalize(change.deleted);
+    const inserted = normalize(change.inserted);
+    const coveredByText = issues.some(issue =>
+      (!deleted || normalize(issue.original_phrase).includes(deleted)) &&
+      (!inserted || normalize(issue.correction).includes(inserted))
+    );
+    if (!coveredByText) unexplained.add(change.id);
+  });
+  return unexplained;
+};
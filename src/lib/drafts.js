@@ -0,0 +1,82 @@
+// --- 草稿版本 ---
+// 每次分析保存为一条历史会话 (一个版本)。同一篇文档的版本共享 documentId，
+// parentId 指向它所基于的版本；从旧版本继续修改就形成分支。
+// 旧的会话没有这两个字段，视为只有一个版本的文档 (documentId 即自身 id)。
+
+import { ISSUE_TYPES } from './issues';
+
+/** 会话所属的文档 */
+export const documentIdOf = (session) => session.documentId || session.id;
+
+/**
+ * 按类型统计问题数量。
+ * @param {object} result
+ * @returns {Record<string, number>}
+ */
+export const countIssuesByType = (result) => {
+  const counts = {};
+  (result?.issues || []).forEach(issue => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * 两个版本之间各类型问题数量的变化，包含任一版本出现过的全部类型。
+ * @param {object} before 较早版本的 result
+ * @param {object} after 较新版本的 result
+ * @returns {{type: string, before: number, after: number, change: number}[]} 按 ISSUE_TYPES 的顺序
+ */
+export const compareIssueCounts = (before, after) => {
+  const a = countIssuesByType(before);
+  const b = countIssuesByType(after);
+  const types = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort((x, y) => {
+    const rank = (type) => (ISSUE_TYPES.includes(type) ? ISSUE_TYPES.indexOf(type) : ISSUE_TYPES.length);
+    return rank(x) - rank(y) || x.localeCompare(y);
+  });
+  return types.map(type => ({
+    type,
+    before: a[type] || 0,
+    after: b[type] || 0,
+    change: (b[type] || 0) - (a[type] || 0),
+  }));
+};
+
+/**
+ * 把一篇文档的版本排成时间线：先序遍历版本树，兄弟版本按时间排序。
+ * 父版本已被删除的版本作为新的根。
+ * @param {object[]} sessions 全部历史会话
+ * @param {string} documentId
+ * @returns {{session: object, parent: object|null, depth: number, number: number}[]}
+ *   number 为按创建时间的版本号 (从 1 开始)
+ */
+export const buildTimeline = (sessions, documentId) => {
+  const versions = sessions
+    .filter(session => documentIdOf(session) === documentId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const byId = new Map(versions.map(session => [session.id, session]));
+  const numbers = new Map(versions.map((session, index) => [session.id, index + 1]));
+  const children = new Map();
+  const roots = [];
+  versions.forEach(session => {
+    if (session.parentId && byId.has(session.parentId)) {
+      if (!children.has(session.parentId)) children.set(session.parentId, []);
+      children.get(session.parentId).push(session);
+    } else {
+      roots.push(session);
+    }
+  });
+
+  const timeline = [];
+  const visit = (session, depth) => {
+    timeline.push({
+      session,
+      parent: byId.get(session.parentId) || null,
+      depth,
+      number: numbers.get(session.id),
+    });
+    (children.get(session.id) || []).forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(root => visit(root, 0));
+  return timeline;
+};
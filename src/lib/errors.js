@@ -0,0 +1,98 @@
+// --- 按原因分类的请求错误 ---
+// 重试策略与界面提示都依据错误类型判断，而不是匹配 error.message 中的字符串。
+
+/** 服务端返回非 2xx 状态码 */
+export class HttpError extends Error {
+  /**
+   * @param {number} status HTTP 状态码
+   * @param {number|null} retryAfterMs Retry-After 头换算出的等待时间
+   */
+  constructor(status, retryAfterMs = null) {
+    super(`HTTP error! status: ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** 请求没有到达服务器或连接中途断开 */
+export class NetworkError extends Error {
+  constructor(cause) {
+    super(cause?.message || 'Network request failed.');
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+/** 模型返回的内容为空、不是合法 JSON 或结构不完整 */
+export class MalformedResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MalformedResponseError';
+  }
+}
+
+/** 用户主动取消 */
+export class CancelledError extends Error {
+  constructor() {
+    super('Request was cancelled.');
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * 把 fetch / 流读取抛出的原生错误转换为上面的类型。
+ * @param {unknown} error
+ * @returns {Error}
+ */
+export const normalizeError = (error) => {
+  if (error instanceof HttpError || error instanceof NetworkError
+    || error instanceof MalformedResponseError || error instanceof CancelledError) {
+    return error;
+  }
+  if (error?.name === 'AbortError') return new CancelledError();
+  if (error instanceof TypeError) return new NetworkError(error); // fetch 的网络失败表现为 TypeError
+  if (error instanceof SyntaxError) return new MalformedResponseError(error.message);
+  return error;
+};
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）。
+ * @param {string|null} header
+ * @returns {number|null} 毫秒
+ */
+export const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * 是否值得重试：限流、服务端错误、网络故障和格式错误可以重试；
+ * 400/401/403 等客户端错误重试也不会成功。
+ */
+export const isRetryable = (error) => {
+  if (error instanceof HttpError) return error.status === 429 || error.status >= 500;
+  return error instanceof NetworkError || error instanceof MalformedResponseError;
+};
+
+/**
+ * 面向用户的错误描述，返回语言包中的键与插值参数（本模块也运行在 Node 代理中，不直接依赖语言包）。
+ * @param {Error} error
+ * @returns {{key: string, params?: object}}
+ */
+export const describeError = (error) => {
+  if (error instanceof CancelledError) return { key: 'errors.cancelled' };
+  if (error instanceof HttpError) {
+    if (error.status === 400) return { key: 'errors.badRequest' };
+    if (error.status === 401 || error.status === 403) return { key: 'errors.unauthorized', params: { status: error.status } };
+    if (error.status === 429) return { key: 'errors.rateLimited' };
+    if (error.status >= 500) return { key: 'errors.serverError', params: { status: error.status } };
+    return { key: 'errors.httpError', params: { status: error.status } };
+  }
+  if (error instanceof NetworkError) return { key: 'errors.network' };
+  if (error instanceof MalformedResponseError) return { key: 'errors.malformed' };
+  return { key: 'errors.unknown', params: { message: error?.message || '' } };
+};
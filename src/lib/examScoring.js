@@ -0,0 +1,111 @@
+// --- 考试评分量表 ---
+
+/**
+ * IELTS 与 TOEFL 写作评分维度。criteria 的顺序即雷达图的顺序。
+ */
+export const EXAM_RUBRICS = {
+  ielts: {
+    label: 'IELTS',
+    scaleLabel: 'Band 0–9',
+    min: 0,
+    max: 9,
+    step: 0.5,
+    criteria: [
+      'Task Response',
+      'Coherence & Cohesion',
+      'Lexical Resource',
+      'Grammatical Range & Accuracy',
+    ],
+    guidance: `Score each of the four official IELTS Writing criteria on the 0-9 band scale in 0.5 steps, following the public band descriptors. For Task 1 reports, treat "Task Response" as "Task Achievement".`,
+  },
+  toefl: {
+    label: 'TOEFL',
+    scaleLabel: '0–5',
+    min: 0,
+    max: 5,
+    step: 1,
+    criteria: [
+      'Task Fulfillment & Development',
+      'Organization & Coherence',
+      'Vocabulary & Idiomaticity',
+      'Grammar & Sentence Variety',
+    ],
+    guidance: `Score each criterion on the official TOEFL iBT Writing 0-5 scale in whole points, following the public TOEFL writing rubrics (Academic Discussion / Independent).`,
+  },
+};
+
+export const SCORING_MODES = ['off', 'ielts', 'toefl'];
+
+/**
+ * 为指定考试生成 exam_score 的 responseSchema 片段。
+ * @param {'ielts'|'toefl'} exam 考试类型
+ * @returns {object}
+ */
+export const buildExamScoreSchema = (exam) => {
+  const rubric = EXAM_RUBRICS[exam];
+  return {
+    type: "OBJECT",
+    description: `${rubric.label} writing score with a per-criterion breakdown (${rubric.scaleLabel}).`,
+    properties: {
+      criteria: {
+        type: "ARRAY",
+        description: `Exactly one entry for each of: ${rubric.criteria.join('; ')}.`,
+        items: {
+          type: "OBJECT",
+          properties: {
+            criterion: { type: "STRING", enum: rubric.criteria },
+            score: { type: "NUMBER", description: `Score from ${rubric.min} to ${rubric.max} in steps of ${rubric.step}.` },
+            justification: { type: "STRING", description: "Why the text earns this score, citing concrete features of the text." },
+            next_band_advice: { type: "STRING", description: "Concrete, actionable advice for reaching the next score level on this criterion." }
+          },
+          required: ["criterion", "score", "justification", "next_band_advice"],
+          propertyOrdering: ["criterion", "score", "justification", "next_band_advice"]
+        }
+      },
+      overall_score: { type: "NUMBER", description: "The overall score derived from the criteria." }
+    },
+    required: ["criteria", "overall_score"],
+    propertyOrdering: ["criteria", "overall_score"]
+  };
+};
+
+export const buildExamScoreInstructions = (exam) =>
+  `5. The 'exam_score' must assess the text as a ${EXAM_RUBRICS[exam].label} writing response. ${EXAM_RUBRICS[exam].guidance} Each justification must refer to the text, and each piece of advice must say what to change to reach the next level.
+`;
+
+const roundToStep = (value, step) => Math.round(value / step) * step;
+
+/**
+ * 按官方规则由各维度分数计算总分：IELTS 取平均后四舍五入到 0.5，TOEFL 取平均后四舍五入到整数。
+ * @param {'ielts'|'toefl'} exam 考试类型
+ * @param {{score: number}[]} criteria 各维度分数
+ * @returns {number|null}
+ */
+export const computeOverallScore = (exam, criteria) => {
+  if (!criteria.length) return null;
+  const mean = criteria.reduce((sum, item) => sum + item.score, 0) / criteria.length;
+  return roundToStep(mean, EXAM_RUBRICS[exam].step);
+};
+
+/**
+ * 校正模型返回的分数：限制在量表范围内并对齐步长，按量表顺序排列并丢弃未知维度，
+ * 再用本地规则重新计算总分，避免模型的算术错误。
+ * @param {'ielts'|'toefl'} exam 考试类型
+ * @param {object} examScore 模型返回的 exam_score
+ * @returns {{exam: string, criteria: object[], overall_score: number|null}}
+ */
+export const normalizeExamScore = (exam, examScore) => {
+  const rubric = EXAM_RUBRICS[exam];
+  // 模型偶尔返回 null 或非对象的条目，先过滤掉
+  const returned = Array.isArray(examScore?.criteria)
+    ? examScore.criteria.filter(item => item && typeof item === 'object')
+    : [];
+  const criteria = rubric.criteria
+    .map(name => returned.find(item => item.criterion === name))
+    .filter(item => item && typeof item.score === 'number')
+    .map(item => ({
+      ...item,
+      score: Math.min(rubric.max, Math.max(rubric.min, roundToStep(item.score, rubric.step))),
+    }));
+  return { exam, criteria, overall_score: computeOverallScore(exam, criteria) };
+};
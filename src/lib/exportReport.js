@@ -0,0 +1,313 @@
+// --- 修改报告导出 (Markdown / DOCX / 可打印 PDF) ---
+// 全部在浏览器中生成，不经过任何服务器。
+
+import { buildSegments, getIssueStyle } from './issues';
+import { EXAM_RUBRICS } from './examScoring';
+import { t } from './i18n';
+
+const verdictLabel = (verdict) => (['fully_addressed', 'partially_addressed', 'not_addressed'].includes(verdict)
+  ? t(`taskResponse.verdicts.${verdict}`)
+  : verdict);
+
+const scoreHeading = (rubric, examScore) =>
+  t('report.scoreHeading', { exam: rubric.label, score: examScore.overall_score, max: rubric.max });
+
+const issueColumns = () => ['#', t('report.columns.type'), t('report.columns.original'), t('report.columns.correction'), t('report.columns.explanation')];
+const scoreColumns = () => [t('report.columns.criterion'), t('report.columns.score'), t('report.columns.justification'), t('report.columns.advice')];
+
+// 报告中标注错误使用的颜色（与界面中的问题类型颜色一致）
+const TYPE_COLORS = {
+  Grammar: 'DC2626',
+  Spelling: 'EA580C',
+  Punctuation: '0284C7',
+  Style: '7C3AED',
+  Clarity: '059669',
+};
+const typeColor = (type) => TYPE_COLORS[type] || '475569';
+
+/**
+ * 把分析结果整理成与输出格式无关的报告结构。
+ * @param {{topic: string, text: string, result: object, placement: {located: object[]}}} input
+ * @returns {object} 报告
+ */
+export const buildReport = ({ topic, text, result, placement }) => ({
+  createdAt: new Date(),
+  topic: topic?.trim() || '',
+  // 原文分段：带 issueNumber 的片段在报告中被标注
+  original: buildSegments(text, placement.located).map(segment => {
+    const index = segment.issueIndexes[0];
+    return index === undefined
+      ? { text: segment.text }
+      : { text: segment.text, issueNumber: index + 1, type: result.issues[index]?.type };
+  }),
+  issues: result.issues.map((issue, index) => ({ number: index + 1, ...issue })),
+  summary: result.summary,
+  taskResponse: result.task_response || null,
+  examScore: result.exam_score || null,
+  revisedText: result.improved_full_text,
+});
+
+const escapeMarkdown = (value) => (value || '').replace(/([\\`*_[\]|<>])/g, '\\$1');
+// 表格单元格不能跨行，换行改为 <br>
+const escapeCell = (value) => escapeMarkdown(value).replace(/\r?\n/g, '<br>');
+const escapeHtml = (value) => (value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 生成 Markdown 报告。标注的错误以粗体 + 上标编号表示，编号对应问题表格。
+ * @param {object} report buildReport 的结果
+ * @returns {string}
+ */
+export const toMarkdown = (report) => {
+  const lines = [`# ${t('report.title')}`, '', t('report.generatedAt', { time: report.createdAt.toLocaleString() }), ''];
+
+  if (report.topic) lines.push(`## ${t('report.topic')}`, '', escapeMarkdown(report.topic), '');
+
+  // 相邻的同一问题片段只在最后一段后标注编号
+  const marked = report.original.map((segment, i) => {
+    if (!segment.issueNumber) return escapeMarkdown(segment.text);
+    const next = report.original[i + 1];
+    const suffix = next?.issueNumber === segment.issueNumber ? '' : `<sup>${segment.issueNumber}</sup>`;
+    return `**${escapeMarkdown(segment.text)}**${suffix}`;
+  }).join('');
+  lines.push(`## ${t('report.original')}`, '', marked.replace(/\n/g, '  \n'), '');
+
+  lines.push(`## ${t('report.issues')}`, '');
+  if (report.issues.length === 0) {
+    lines.push(t('report.noIssues'), '');
+  } else {
+    lines.push(`| ${issueColumns().join(' | ')} |`, '|---|---|---|---|---|');
+    report.issues.forEach(issue => {
+      lines.push(`| ${issue.number} | ${escapeCell(getIssueStyle(issue.type).label)} | ${escapeCell(issue.original_phrase)} | ${escapeCell(issue.correction)} | ${escapeCell(issue.explanation)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## ${t('report.summary')}`, '', `**${t('report.contentSummary')}** ${escapeMarkdown(report.summary?.original_text)}`, '', `**${t('report.assessment')}** ${escapeMarkdown(report.summary?.overall_assessment)}`, '');
+
+  if (report.taskResponse) {
+    lines.push(`**${t('report.taskResponse')}** ${verdictLabel(report.taskResponse.verdict)} — ${escapeMarkdown(report.taskResponse.comment)}`, '');
+    (report.taskResponse.missing_points || []).forEach(point => lines.push(`- ${t('report.missingPoint', { point: escapeMarkdown(point) })}`));
+    lines.push('');
+  }
+
+  if (report.examScore) {
+    const rubric = EXAM_RUBRICS[report.examScore.exam];
+    lines.push(`## ${scoreHeading(rubric, report.examScore)}`, '');
+    lines.push(`| ${scoreColumns().join(' | ')} |`, '|---|---|---|---|');
+    report.examScore.criteria.forEach(item => {
+      lines.push(`| ${item.criterion} | ${item.score} | ${escapeCell(item.justification)} | ${escapeCell(item.next_band_advice)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## ${t('report.revised')}`, '', escapeMarkdown(report.revisedText).replace(/\n/g, '  \n'), '');
+  return lines.join('\n');
+};
+
+/**
+ * 生成可打印的 HTML 报告，通过浏览器的“另存为 PDF”得到 PDF。
+ * 使用系统字体渲染，中英文都能正确显示。
+ * @param {object} report buildReport 的结果
+ * @returns {string} 完整的 HTML 文档
+ */
+export const toPrintHtml = (report) => {
+  const original = report.original.map((segment, i) => {
+    const text = escapeHtml(segment.text).replace(/\n/g, '<br>');
+    if (!segment.issueNumber) return text;
+    const next = report.original[i + 1];
+    const suffix = next?.issueNumber === segment.issueNumber ? '' : `<sup>${segment.issueNumber}</sup>`;
+    return `<span class="mark" style="text-decoration-color:#${typeColor(segment.type)}">${text}</span>${suffix}`;
+  }).join('');
+
+  const issueRows = report.issues.map(issue => `
+      <tr>
+        <td>${issue.number}</td>
+        <td><span class="badge" style="color:#${typeColor(issue.type)}">${escapeHtml(getIssueStyle(issue.type).label)}</span></td>
+        <td class="del">${escapeHtml(issue.original_phrase)}</td>
+        <td class="ins">${escapeHtml(issue.correction)}</td>
+        <td>${escapeHtml(issue.explanation)}</td>
+      </tr>`).join('');
+
+  const rubric = report.examScore ? EXAM_RUBRICS[report.examScore.exam] : null;
+  const scoreRows = report.examScore ? report.examScore.criteria.map(item => `
+      <tr>
+        <td>${escapeHtml(item.criterion)}</td>
+        <td>${item.score}</td>
+        <td>${escapeHtml(item.justification)}</td>
+        <td>${escapeHtml(item.next_band_advice)}</td>
+      </tr>`).join('') : '';
+
+  return `<!doctype html>
+<html lang="${t('report.htmlLang')}">
+<head>
+<meta charset="utf-8">
+<title>${t('report.title')}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  body { font-family: "Inter", "PingFang SC", "Microsoft YaHei", sans-serif; color: #1e293b; font-size: 11pt; line-height: 1.6; }
+  h1 { font-size: 18pt; color: #4338ca; margin-bottom: 0; }
+  h2 { font-size: 13pt; color: #334155; border-bottom: 1px solid #e2e8f0; padding-bottom: 2pt; margin-top: 18pt; }
+  .meta { color: #64748b; font-size: 9pt; }
+  .mark { text-decoration: underline wavy; text-decoration-thickness: 1.5pt; }
+  sup { color: #4338ca; font-weight: bold; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+  th, td { border: 1px solid #cbd5e1; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  tr { page-break-inside: avoid; }
+  .del { text-decoration: line-through; color: #b91c1c; }
+  .ins { color: #15803d; font-weight: bold; }
+  .badge { font-weight: bold; }
+  .box { padding: 8pt; background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 4pt; }
+</style>
+</head>
+<body>
+  <h1>${t('report.title')}</h1>
+  <p class="meta">${escapeHtml(t('report.generatedAt', { time: report.createdAt.toLocaleString() }))}</p>
+  ${report.topic ? `<h2>${t('report.topic')}</h2><p>${escapeHtml(report.topic)}</p>` : ''}
+  <h2>${t('report.original')}</h2>
+  <p class="box">${original}</p>
+  <h2>${t('report.issues')}</h2>
+  ${report.issues.length === 0 ? `<p>${t('report.noIssues')}</p>` : `
+  <table>
+    <thead><tr>${issueColumns().map(name => `<th>${name}</th>`).join('')}</tr></thead>
+    <tbody>${issueRows}</tbody>
+  </table>`}
+  <h2>${t('report.summary')}</h2>
+  <p><strong>${t('report.contentSummary')}</strong>${escapeHtml(report.summary?.original_text)}</p>
+  <p><strong>${t('report.assessment')}</strong>${escapeHtml(report.summary?.overall_assessment)}</p>
+  ${report.taskResponse ? `<p><strong>${t('report.taskResponse')}</strong>${escapeHtml(verdictLabel(report.taskResponse.verdict))} — ${escapeHtml(report.taskResponse.comment)}</p>` : ''}
+  ${rubric ? `
+  <h2>${scoreHeading(rubric, report.examScore)}</h2>
+  <table>
+    <thead><tr>${scoreColumns().map(name => `<th>${name}</th>`).join('')}</tr></thead>
+    <tbody>${scoreRows}</tbody>
+  </table>` : ''}
+  <h2>${t('report.revised')}</h2>
+  <p class="box">${escapeHtml(report.revisedText).replace(/\n/g, '<br>')}</p>
+</body>
+</html>`;
+};
+
+/**
+ * 生成 DOCX 报告。docx 库体积较大，仅在导出时按需加载。
+ * @param {object} report buildReport 的结果
+ * @returns {Promise<Blob>}
+ */
+export const toDocx = async (report) => {
+  const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, UnderlineType,
+  } = await import('docx');
+
+  const heading = (text, level = HeadingLevel.HEADING_2) => new Paragraph({ text, heading: level, spacing: { before: 240, after: 120 } });
+  const paragraph = (children) => new Paragraph({ children, spacing: { after: 120 } });
+  // docx 中的换行需要显式的 break
+  const textRuns = (text, options = {}) => text.split('\n').map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0, ...options }));
+  const cell = (text, options = {}) => new TableCell({ children: [paragraph(textRuns(String(text ?? ''), options))] });
+  const table = (header, rows) => new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: header.map(title => cell(title, { bold: true })) }),
+      ...rows.map(row => new TableRow({ children: row })),
+    ],
+  });
+
+  const originalRuns = report.original.flatMap((segment, i) => {
+    if (!segment.issueNumber) return textRuns(segment.text);
+    const runs = textRuns(segment.text, {
+      underline: { type: UnderlineType.WAVE, color: typeColor(segment.type) },
+      color: typeColor(segment.type),
+    });
+    if (report.original[i + 1]?.issueNumber !== segment.issueNumber) {
+      runs.push(new TextRun({ text: String(segment.issueNumber), superScript: true, bold: true }));
+    }
+    return runs;
+  });
+
+  const children = [
+    heading(t('report.title'), HeadingLevel.TITLE),
+    paragraph([new TextRun({ text: t('report.generatedAt', { time: report.createdAt.toLocaleString() }), color: '64748B', size: 18 })]),
+  ];
+  if (report.topic) children.push(heading(t('report.topic')), paragraph(textRuns(report.topic)));
+  children.push(heading(t('report.original')), paragraph(originalRuns));
+
+  children.push(heading(t('report.issues')));
+  if (report.issues.length === 0) {
+    children.push(paragraph(textRuns(t('report.noIssues'))));
+  } else {
+    children.push(table(issueColumns(), report.issues.map(issue => [
+      cell(issue.number),
+      cell(getIssueStyle(issue.type).label, { color: typeColor(issue.type), bold: true }),
+      cell(issue.original_phrase, { strike: true, color: 'B91C1C' }),
+      cell(issue.correction, { bold: true, color: '15803D' }),
+      cell(issue.explanation),
+    ])));
+  }
+
+  children.push(
+    heading(t('report.summary')),
+    paragraph([new TextRun({ text: t('report.contentSummary'), bold: true }), ...textRuns(report.summary?.original_text || '')]),
+    paragraph([new TextRun({ text: t('report.assessment'), bold: true }), ...textRuns(report.summary?.overall_assessment || '')]),
+  );
+  if (report.taskResponse) {
+    children.push(paragraph([
+      new TextRun({ text: t('report.taskResponse'), bold: true }),
+      new TextRun(`${verdictLabel(report.taskResponse.verdict)} — ${report.taskResponse.comment}`),
+    ]));
+  }
+
+  if (report.examScore) {
+    const rubric = EXAM_RUBRICS[report.examScore.exam];
+    children.push(
+      heading(scoreHeading(rubric, report.examScore)),
+      table(scoreColumns(), report.examScore.criteria.map(item => [
+        cell(item.criterion),
+        cell(item.score),
+        cell(item.justification),
+        cell(item.next_band_advice),
+      ])),
+    );
+  }
+
+  children.push(heading(t('report.revised')), paragraph(textRuns(report.revisedText)));
+
+  return Packer.toBlob(new Document({ sections: [{ children }] }));
+};
+
+/**
+ * 触发浏览器下载。
+ * @param {Blob} blob 文件内容
+ * @param {string} filename 文件名
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * 在隐藏的 iframe 中打开打印对话框，用户可选择“另存为 PDF”。
+ * @param {string} html toPrintHtml 生成的文档
+ */
+export const printHtml = (html) => {
+  const iframe = document.createElement('iframe');
+  iframe.style.position = 'fixed';
+  iframe.style.width = '0';
+  iframe.style.height = '0';
+  iframe.style.border = '0';
+  document.body.appendChild(iframe);
+  iframe.onload = () => {
+    iframe.contentWindow.focus();
+    iframe.contentWindow.print();
+    setTimeout(() => document.body.removeChild(iframe), 1000);
+  };
+  iframe.srcdoc = html;
+};
@@ -0,0 +1,88 @@
+// --- 反馈语言 ---
+// 讲解类字段 (总结、评估、每条问题的解释) 使用学习者选择的语言；
+// 引用与改写类字段 (original_phrase、correction、improved_full_text) 始终保持作文本身的语言。
+
+// 'same' 表示与作文语言一致 (原有行为)
+export const DEFAULT_FEEDBACK_LANGUAGE = 'same';
+
+// name 写进提示词；script 用于粗略检查模型是否按要求使用了对应的文字
+export const FEEDBACK_LANGUAGES = {
+  same: null,
+  'zh-CN': { name: 'Simplified Chinese', script: 'han' },
+  'zh-TW': { name: 'Traditional Chinese', script: 'han' },
+  en: { name: 'English', script: 'latin' },
+  ja: { name: 'Japanese', script: 'kana' },
+  ko: { name: 'Korean', script: 'hangul' },
+  es: { name: 'Spanish', script: 'latin' },
+  fr: { name: 'French', script: 'latin' },
+  de: { name: 'German', script: 'latin' },
+};
+
+const SCRIPT_PATTERNS = {
+  han: /\p{Script=Han}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  hangul: /\p{Script=Hangul}/u,
+  latin: /\p{Script=Latin}/u,
+};
+
+const getLanguage = (id) => FEEDBACK_LANGUAGES[id] || null;
+
+/**
+ * 系统提示词中关于输出语言的规则。
+ * @param {string} [feedbackLanguage] FEEDBACK_LANGUAGES 的键
+ * @returns {string}
+ */
+export const buildLanguageInstructions = (feedbackLanguage) => {
+  const language = getLanguage(feedbackLanguage);
+  if (!language) {
+    return "The language of the output (summary, issues, and improved text) must be the same as the user's input text (or the specified target language).\n";
+  }
+  return `The learner reads feedback in ${language.name}. Write every explanatory field in ${language.name}: 'summary.original_text', 'summary.overall_assessment', each issue's 'explanation', and any comments, points, justifications or advice in the other sections.
+Quoted and rewritten text must stay in the language of the user's input text and must NEVER be translated: each issue's 'original_phrase' (copied exactly from the input), each issue's 'correction', and 'improved_full_text'.
+`;
+};
+
+/**
+ * 讲解对话中回复所用的语言：选了反馈语言时使用它，否则跟随学习者提问的语言。
+ * @param {string} [feedbackLanguage]
+ * @returns {string}
+ */
+export const buildTutorLanguageInstruction = (feedbackLanguage) => {
+  const language = getLanguage(feedbackLanguage);
+  return language
+    ? `Reply in ${language.name}. Quote English words, phrases and example sentences in English.`
+    : "Reply in the language the learner uses in their questions. Quote English words, phrases and example sentences in English.";
+};
+
+/**
+ * 检查模型是否遵守了语言分工。只能按文字系统判断，同一文字的语言之间 (如英语与西班牙语) 无法区分，
+ * 此时不报告问题。
+ * - 讲解类字段应包含反馈语言的文字；
+ * - 原文中没有出现过反馈语言的文字时，修正与润色全文中也不应出现 (说明被翻译了)。
+ * @param {object} result 解析后的分析结果
+ * @param {string} text 提交分析的原文
+ * @param {string} [feedbackLanguage]
+ * @returns {string[]} 违反分工的字段路径，为空表示通过
+ */
+export const findLanguageSplitProblems = (result, text, feedbackLanguage) => {
+  const language = getLanguage(feedbackLanguage);
+  if (!language) return [];
+  const pattern = SCRIPT_PATTERNS[language.script];
+  const problems = [];
+
+  const expectFeedback = (value, path) => {
+    if (typeof value === 'string' && value.trim() && !pattern.test(value)) problems.push(path);
+  };
+  expectFeedback(result.summary?.original_text, 'summary.original_text');
+  expectFeedback(result.summary?.overall_assessment, 'summary.overall_assessment');
+  result.issues.forEach((issue, index) => expectFeedback(issue?.explanation, `issues[${index}].explanation`));
+
+  if (!pattern.test(text)) {
+    const expectEssay = (value, path) => {
+      if (typeof value === 'string' && pattern.test(value)) problems.push(path);
+    };
+    result.issues.forEach((issue, index) => expectEssay(issue?.correction, `issues[${index}].correction`));
+    expectEssay(result.improved_full_text, 'improved_full_text');
+  }
+  return problems;
+};
@@ -0,0 +1,40 @@
+// --- Firebase 初始化 ---
+
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+/**
+ * 读取 Canvas 注入的全局配置；本地运行时可以用 VITE_FIREBASE_CONFIG 提供同样的 JSON。
+ * 设置 VITE_FIRESTORE_EMULATOR_HOST (如 "localhost:8080") 与 VITE_AUTH_EMULATOR_URL
+ * (如 "http://localhost:9099") 时连接本地模拟器。
+ * @returns {{app: object, auth: object, db: object, appId: string, initialAuthToken: string|null}|null}
+ *   未提供配置或初始化失败时返回 null，调用方应退回到本地存储
+ */
+export const initFirebase = () => {
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+  const rawConfig = typeof __firebase_config !== 'undefined' ? __firebase_config : import.meta.env.VITE_FIREBASE_CONFIG;
+  const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+  if (!rawConfig) return null;
+
+  try {
+    const app = initializeApp(JSON.parse(rawConfig));
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+
+    const { VITE_FIRESTORE_EMULATOR_HOST, VITE_AUTH_EMULATOR_URL } = import.meta.env;
+    if (VITE_FIRESTORE_EMULATOR_HOST) {
+      const [host, port] = VITE_FIRESTORE_EMULATOR_HOST.split(':');
+      connectFirestoreEmulator(db, host, Number(port));
+    }
+    if (VITE_AUTH_EMULATOR_URL) {
+      connectAuthEmulator(auth, VITE_AUTH_EMULATOR_URL, { disableWarnings: true });
+    }
+
+    return { app, auth, db, appId, initialAuthToken };
+  } catch (e) {
+    console.error("Firebase Initialization Error:", e);
+    return null;
+  }
+};
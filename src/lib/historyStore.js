@@ -0,0 +1,96 @@
+// --- 按用户保存的数据：润色历史与错题本 ---
+// 有 Firebase 时保存在 Firestore (artifacts/{appId}/users/{userId}/{name})，否则退回到 IndexedDB
+// 中同名的对象仓库 (按 userId 索引)。
+
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  updateDoc,
+} from 'firebase/firestore';
+import { idbDelete, idbGet, idbGetAllByIndex, idbPut } from './idb';
+
+const HISTORY_LIMIT = 200;
+const NOTEBOOK_LIMIT = 1000;
+
+// Firestore 不接受 undefined 字段，统一做一次 JSON 往返
+const toPlainData = (value) => JSON.parse(JSON.stringify(value));
+
+const createFirestoreStore = (db, appId, userId, name, maxItems) => {
+  const items = collection(db, 'artifacts', appId, 'users', userId, name);
+  return {
+    kind: 'firestore',
+
+    async list() {
+      const snapshot = await getDocs(query(items, orderBy('createdAt', 'desc'), limit(maxItems)));
+      return snapshot.docs.map(item => ({ ...item.data(), id: item.id }));
+    },
+
+    async save(item) {
+      const data = toPlainData({ ...item, createdAt: Date.now() });
+      const ref = await addDoc(items, data);
+      return { ...data, id: ref.id };
+    },
+
+    async update(id, changes) {
+      await updateDoc(doc(items, id), toPlainData(changes));
+    },
+
+    async remove(id) {
+      await deleteDoc(doc(items, id));
+    },
+  };
+};
+
+const createIndexedDbStore = (userId, name, maxItems) => ({
+  kind: 'indexeddb',
+
+  async list() {
+    const items = await idbGetAllByIndex(name, 'userId', userId);
+    return items.sort((a, b) => b.createdAt - a.createdAt).slice(0, maxItems);
+  },
+
+  async save(item) {
+    const data = toPlainData({ ...item, id: crypto.randomUUID(), userId, createdAt: Date.now() });
+    await idbPut(name, data);
+    return data;
+  },
+
+  async update(id, changes) {
+    const existing = await idbGet(name, id);
+    if (!existing) return;
+    await idbPut(name, toPlainData({ ...existing, ...changes }));
+  },
+
+  async remove(id) {
+    await idbDelete(name, id);
+  },
+});
+
+/** 没有 Firebase 登录时，本地会话使用的固定用户 ID */
+export const LOCAL_USER_ID = 'local-user';
+
+const createUserStore = (name, maxItems, { db, appId, userId }) => (
+  db && userId
+    ? createFirestoreStore(db, appId, userId, name, maxItems)
+    : createIndexedDbStore(userId || LOCAL_USER_ID, name, maxItems)
+);
+
+/**
+ * 创建历史存储。两种实现接口相同：list() / save(session) / update(id, changes) / remove(id)。
+ * @param {{db: object|null, appId: string, userId: string|null}} options
+ * @returns {{kind: string, list: Function, save: Function, update: Function, remove: Function}}
+ */
+export const createHistoryStore = (options) => createUserStore('sessions', HISTORY_LIMIT, options);
+
+/**
+ * 创建错题本存储，接口与历史存储相同，每条记录是一个错题及其复习进度。
+ * @param {{db: object|null, appId: string, userId: string|null}} options
+ * @returns {{kind: string, list: Function, save: Function, update: Function, remove: Function}}
+ */
+export const createNotebookStore = (options) => createUserStore('notebook', NOTEBOOK_LIMIT, options);
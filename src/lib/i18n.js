@@ -0,0 +1,69 @@
+// --- 界面国际化 ---
+// 文案集中在 src/locales 的语言包里，键用点号分隔 (如 'header.settings')，
+// 插值写作 {name}；需要区分单复数的文案写成 { one, other } 对象，按 params.count 选择。
+// npm run i18n:check 会列出各语言包缺失的键。
+
+import { createContext, useContext } from 'react';
+import zhCN from '../locales/zh-CN';
+import en from '../locales/en';
+
+export const LOCALES = {
+  'zh-CN': { label: '简体中文', messages: zhCN },
+  en: { label: 'English', messages: en },
+};
+export const DEFAULT_LOCALE = 'zh-CN';
+const STORAGE_KEY = 'linguist-ai.locale';
+
+/** 读取上次选择的语言；第一次访问时按浏览器语言猜测 */
+export const detectLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && LOCALES[stored]) return stored;
+  } catch {
+    // 隐私模式下 localStorage 可能不可用
+  }
+  return typeof navigator !== 'undefined' && /^zh/i.test(navigator.language) ? 'zh-CN' : 'en';
+};
+
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // 忽略：只是下次访问时不记得语言
+  }
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * 查找并插值文案。当前语言缺失时回退到默认语言，仍缺失时返回键本身。
+ * @param {string} locale
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// 非 React 模块 (api、导出报告等) 通过 t() 使用当前语言，由 App 在切换语言时同步
+let activeLocale = DEFAULT_LOCALE;
+
+export const setActiveLocale = (locale) => {
+  activeLocale = locale;
+};
+
+export const t = (key, params) => translate(activeLocale, key, params);
+
+export const I18nContext = createContext({ locale: DEFAULT_LOCALE, setLocale: () => {}, t });
+
+/** 组件中获取 { locale, setLocale, t } */
+export const useI18n = () => useContext(I18nContext);
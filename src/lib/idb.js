@@ -0,0 +1,69 @@
+// --- IndexedDB 小型封装 ---
+// 所有本地存储共用一个数据库；新增对象仓库时在 STORES 中登记并提升 DB_VERSION。
+
+const DB_NAME = 'linguist-ai';
+const DB_VERSION = 5;
+
+const STORES = {
+  sessions: { keyPath: 'id', indexes: ['userId'] },
+  resultCache: { keyPath: 'key' },
+  keyVault: { keyPath: 'providerId' },
+  profiles: { keyPath: 'id' },
+  notebook: { keyPath: 'id', indexes: ['userId'] },
+};
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 打开（必要时创建/升级）数据库，结果会被缓存。
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this environment.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath });
+          (indexes || []).forEach(index => store.createIndex(index, index));
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(action(tx.objectStore(storeName)));
+};
+
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+/** 按索引精确查询 */
+export const idbGetAllByIndex = (storeName, indexName, value) =>
+  withStore(storeName, 'readonly', store => store.index(indexName).getAll(value));
+
+export const idbPut = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const idbClear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
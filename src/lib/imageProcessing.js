@@ -0,0 +1,166 @@
+// --- OCR 前的图片预处理 ---
+// 旋转、裁剪/透视校正、灰度与对比度、缩小尺寸，全部在浏览器的 canvas 上完成。
+
+export const MAX_UPLOAD_DIMENSION = 1600;
+const OUTPUT_QUALITY = 0.85;
+
+/** 默认处理参数：不裁剪、不旋转，只做尺寸限制 */
+export const DEFAULT_ADJUSTMENTS = {
+  rotation: 0, // 角度，顺时针
+  // 四个角点 (左上、右上、右下、左下)，坐标为旋转后图片的 0–1 归一化值
+  corners: [[0, 0], [1, 0], [1, 1], [0, 1]],
+  grayscale: false,
+  contrast: 1,
+};
+
+/**
+ * 加载 Data URL 为图片元素。
+ * @param {string} dataUrl
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Failed to load image.'));
+  image.src = dataUrl;
+});
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+};
+
+/**
+ * 按任意角度旋转图片，画布会扩大以容纳整张旋转后的图片。
+ * @param {CanvasImageSource & {width: number, height: number}} source
+ * @param {number} degrees 顺时针角度
+ * @returns {HTMLCanvasElement}
+ */
+export const rotateImage = (source, degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  const canvas = createCanvas(source.width * cos + source.height * sin, source.width * sin + source.height * cos);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(radians);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
+
+/**
+ * 求解把单位正方形映射到四边形的单应矩阵 (Heckbert 的闭式解)。
+ * @param {number[][]} quad 四个角点 (左上、右上、右下、左下)，像素坐标
+ * @returns {number[]} 3x3 矩阵的 8 个参数 [a, b, c, d, e, f, g, h]
+ */
+const squareToQuad = (quad) => {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = quad;
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const sx = x0 - x1 + x2 - x3;
+  const sy = y0 - y1 + y2 - y3;
+  if (sx === 0 && sy === 0) {
+    return [x1 - x0, x3 - x0, x0, y1 - y0, y3 - y0, y0, 0, 0];
+  }
+  const det = dx1 * dy2 - dx2 * dy1;
+  const g = (sx * dy2 - dx2 * sy) / det;
+  const h = (dx1 * sy - sx * dy1) / det;
+  return [x1 - x0 + g * x1, x3 - x0 + h * x3, x0, y1 - y0 + g * y1, y3 - y0 + h * y3, y0, g, h];
+};
+
+const distance = ([ax, ay], [bx, by]) => Math.hypot(ax - bx, ay - by);
+
+const isAxisAligned = (corners) => {
+  const [[lx, ty], [rx, ty2], [rx2, by], [lx2, by2]] = corners;
+  return lx === lx2 && rx === rx2 && ty === ty2 && by === by2;
+};
+
+/**
+ * 把四边形区域校正为矩形（透视校正）。角点构成轴对齐矩形时退化为普通裁剪。
+ * 输出尺寸会被限制在 maxDimension 以内，以控制逐像素采样的开销。
+ * @param {HTMLCanvasElement} source 源画布
+ * @param {number[][]} corners 归一化角点
+ * @param {number} maxDimension 输出最长边
+ * @returns {HTMLCanvasElement}
+ */
+export const warpQuad = (source, corners, maxDimension) => {
+  const quad = corners.map(([x, y]) => [x * source.width, y * source.height]);
+  const width = Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2]));
+  const height = Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2]));
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  const canvas = createCanvas(width * scale, height * scale);
+  const ctx = canvas.getContext('2d');
+
+  if (isAxisAligned(corners)) {
+    ctx.drawImage(source, quad[0][0], quad[0][1], width, height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  const src = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  const out = ctx.createImageData(canvas.width, canvas.height);
+  const [a, b, c, d, e, f, g, h] = squareToQuad(quad);
+
+  for (let y = 0; y < canvas.height; y++) {
+    const v = (y + 0.5) / canvas.height;
+    for (let x = 0; x < canvas.width; x++) {
+      const u = (x + 0.5) / canvas.width;
+      const w = g * u + h * v + 1;
+      const sx = Math.min(source.width - 1, Math.max(0, Math.round((a * u + b * v + c) / w)));
+      const sy = Math.min(source.height - 1, Math.max(0, Math.round((d * u + e * v + f) / w)));
+      const si = (sy * source.width + sx) * 4;
+      const oi = (y * canvas.width + x) * 4;
+      out.data[oi] = src.data[si];
+      out.data[oi + 1] = src.data[si + 1];
+      out.data[oi + 2] = src.data[si + 2];
+      out.data[oi + 3] = 255;
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return canvas;
+};
+
+/**
+ * 就地应用灰度与对比度调整。
+ * @param {HTMLCanvasElement} canvas
+ * @param {{grayscale: boolean, contrast: number}} options
+ */
+export const applyFilters = (canvas, { grayscale, contrast }) => {
+  if (!grayscale && contrast === 1) return;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = image;
+  const clamp = (value) => Math.min(255, Math.max(0, value));
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+    if (grayscale) {
+      r = g = b = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    data[i] = clamp((r - 128) * contrast + 128);
+    data[i + 1] = clamp((g - 128) * contrast + 128);
+    data[i + 2] = clamp((b - 128) * contrast + 128);
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+/**
+ * 完整的预处理流程：旋转 → 裁剪/透视校正 (同时缩小) → 灰度/对比度 → JPEG 压缩。
+ * @param {string} dataUrl 原始图片
+ * @param {object} [adjustments] 见 DEFAULT_ADJUSTMENTS
+ * @param {number} [maxDimension] 输出最长边
+ * @returns {Promise<string>} 处理后的 JPEG Data URL
+ */
+export const processImage = async (dataUrl, adjustments = DEFAULT_ADJUSTMENTS, maxDimension = MAX_UPLOAD_DIMENSION) => {
+  const image = await loadImage(dataUrl);
+  const rotated = rotateImage(image, adjustments.rotation);
+  const warped = warpQuad(rotated, adjustments.corners, maxDimension);
+  applyFilters(warped, adjustments);
+  return warped.toDataURL('image/jpeg', OUTPUT_QUALITY);
+};
@@ -0,0 +1,24 @@
+// --- 图片与文件读取工具 ---
+
+/**
+ * 读取文件为 Data URL。
+ * @param {Blob} file 图片文件
+ * @returns {Promise<string>}
+ */
+export const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * 把 Data URL 拆成 MIME 类型与 base64 数据，供 transcribeImage 使用。
+ * DataURL looks like: data:image/png;base64,...
+ * @param {string} dataUrl
+ * @returns {{mimeType: string, base64: string}}
+ */
+export const splitDataUrl = (dataUrl) => {
+  const [mimeTypePart, dataPart] = dataUrl.split(';');
+  return { mimeType: mimeTypePart.split(':')[1], base64: dataPart.split(',')[1] };
+};
@@ -0,0 +1,209 @@
+// --- 问题 (issues) 相关的共享常量与工具 ---
+
+import { t } from './i18n';
+
+/** 模型返回的问题类型，与 responseSchema 中的 enum 保持一致 */
+export const ISSUE_TYPES = ["Grammar", "Spelling", "Punctuation", "Style", "Clarity"];
+
+/**
+ * 各问题类型的展示样式。
+ * Tailwind 只会打包源码中出现的完整类名，因此这里必须写出完整字符串。
+ */
+export const ISSUE_TYPE_STYLES = {
+  Grammar: {
+    underline: 'decoration-red-500',
+    highlight: 'bg-red-100',
+    badge: 'text-red-700 bg-red-200',
+    dot: 'bg-red-500',
+  },
+  Spelling: {
+    underline: 'decoration-orange-500',
+    highlight: 'bg-orange-100',
+    badge: 'text-orange-700 bg-orange-200',
+    dot: 'bg-orange-500',
+  },
+  Punctuation: {
+    underline: 'decoration-sky-500',
+    highlight: 'bg-sky-100',
+    badge: 'text-sky-700 bg-sky-200',
+    dot: 'bg-sky-500',
+  },
+  Style: {
+    underline: 'decoration-violet-500',
+    highlight: 'bg-violet-100',
+    badge: 'text-violet-700 bg-violet-200',
+    dot: 'bg-violet-500',
+  },
+  Clarity: {
+    underline: 'decoration-emerald-500',
+    highlight: 'bg-emerald-100',
+    badge: 'text-emerald-700 bg-emerald-200',
+    dot: 'bg-emerald-500',
+  },
+};
+
+/** 模型返回了 enum 之外的类型时使用的兜底样式 */
+const FALLBACK_STYLE = {
+  underline: 'decoration-slate-500',
+  highlight: 'bg-slate-100',
+  badge: 'text-slate-700 bg-slate-200',
+  dot: 'bg-slate-500',
+};
+
+/** 样式与当前语言下的类型名称 */
+export const getIssueStyle = (type) => {
+  const known = Boolean(ISSUE_TYPE_STYLES[type]);
+  return {
+    ...(known ? ISSUE_TYPE_STYLES[type] : FALLBACK_STYLE),
+    label: t(known ? `issueTypes.${type}` : 'issueTypes.Other'),
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 在 text 中查找 phrase 的所有出现位置。
+ * 先做精确匹配；若没有结果，再做忽略大小写、空白宽松的匹配（模型经常会改动换行或大小写）。
+ * @param {string} text 原文
+ * @param {string} phrase 要查找的片段
+ * @returns {{start: number, end: number}[]} 所有匹配区间
+ */
+const findOccurrences = (text, phrase) => {
+  const occurrences = [];
+  let from = text.indexOf(phrase);
+  while (from !== -1) {
+    occurrences.push({ start: from, end: from + phrase.length });
+    from = text.indexOf(phrase, from + 1);
+  }
+  if (occurrences.length > 0) return occurrences;
+
+  const pattern = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  if (!pattern) return occurrences;
+  const regex = new RegExp(pattern, 'gi');
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    occurrences.push({ start: match.index, end: match.index + match[0].length });
+    regex.lastIndex = match.index + 1;
+  }
+  return occurrences;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * 将 result.issues 中的 original_phrase 映射到原文的字符偏移。
+ *
+ * 模型通常按出现顺序列出问题，因此优先选择上一个问题之后、且不与已定位区间重叠的出现位置；
+ * 同一片段多次出现时，依次分配给不同的问题。
+ * @param {string} text 分析时提交的原文
+ * @param {object[]} issues 模型返回的问题列表
+ * @returns {{located: {index: number, start: number, end: number}[], unmatched: number[]}}
+ *   located 按 start 排序；unmatched 为原文中找不到的问题下标（模型臆造的片段）
+ */
+export const locateIssues = (text, issues) => {
+  const located = [];
+  const unmatched = [];
+  let cursor = 0;
+
+  (issues || []).forEach((issue, index) => {
+    const phrase = issue?.original_phrase || '';
+    // 离线预检的问题带有 start 偏移，原文未改动时直接使用
+    const hinted = Number.isInteger(issue?.start) && phrase && text.startsWith(phrase, issue.start);
+    const occurrences = hinted
+      ? [{ start: issue.start, end: issue.start + phrase.length }]
+      : (phrase.trim() ? findOccurrences(text, phrase) : []);
+    if (occurrences.length === 0) {
+      unmatched.push(index);
+      return;
+    }
+
+    const isFree = (occ) => !located.some(span => overlaps(span, occ));
+    const chosen =
+      occurrences.find(occ => occ.start >= cursor && isFree(occ)) ||
+      occurrences.find(isFree) ||
+      occurrences.find(occ => occ.start >= cursor) ||
+      occurrences[0];
+
+    located.push({ index, start: chosen.start, end: chosen.end });
+    cursor = chosen.end;
+  });
+
+  located.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { located, unmatched };
+};
+
+/**
+ * 把原文切分成连续片段，每个片段记录覆盖它的问题下标，供标注视图渲染。
+ * 重叠的问题会被拆分成多个片段，片段之间不会重叠。
+ * @param {string} text 原文
+ * @param {{index: number, start: number, end: number}[]} located locateIssues 的定位结果
+ * @returns {{start: number, end: number, text: string, issueIndexes: number[]}[]}
+ */
+export const buildSegments = (text, located) => {
+  const boundaries = new Set([0, text.length]);
+  located.forEach(span => {
+    boundaries.add(span.start);
+    boundaries.add(span.end);
+  });
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    if (start === end) continue;
+    const issueIndexes = located
+      .filter(span => span.start <= start && span.end >= end)
+      // 较短（更具体）的问题排在前面，决定片段的颜色
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start))
+      .map(span => span.index);
+    segments.push({ start, end, text: text.slice(start, end), issueIndexes });
+  }
+  return segments;
+};
+
+/**
+ * 只应用用户接受的修正，基于原文重建文本。
+ * 与已应用的修正重叠的区间会被跳过并记录为冲突；找不到原文位置的问题无法应用。
+ * @param {string} text 分析时提交的原文
+ * @param {{index: number, start: number, end: number}[]} located locateIssues 的定位结果（按 start 排序）
+ * @param {object[]} issues result.issues
+ * @param {Record<number, 'accepted'|'rejected'>} decisions 每条问题的审阅结果
+ * @returns {{text: string, applied: number[], conflicts: number[]}}
+ */
+export const applyCorrections = (text, located, issues, decisions) => {
+  const applied = [];
+  const conflicts = [];
+  let output = '';
+  let cursor = 0;
+
+  located.forEach(span => {
+    if (decisions[span.index] !== 'accepted') return;
+    if (span.start < cursor) {
+      conflicts.push(span.index);
+      return;
+    }
+    output += text.slice(cursor, span.start) + (issues[span.index]?.correction ?? '');
+    cursor = span.end;
+    applied.push(span.index);
+  });
+
+  output += text.slice(cursor);
+  return { text: output, applied, conflicts };
+};
+
+/**
+ * 取出 [start, end) 所在的完整句子 (以句末标点或换行为界)。
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+export const findSentence = (text, start, end) => {
+  let from = start;
+  while (from > 0 && !/[.!?\n]/.test(text[from - 1])) from--;
+  let to = end;
+  while (to < text.length && !/[.!?\n]/.test(text[to])) to++;
+  if (to < text.length && text[to] !== '\n') to++;
+  return text.slice(from, to).trim();
+};
@@ -0,0 +1,87 @@
+// --- API Key 加密保存 ---
+// 用户口令经 PBKDF2 派生出 AES-GCM 密钥，只有密文、盐和 IV 写入 IndexedDB。
+// 解密后的 Key 只保存在内存中，刷新页面后需要重新输入口令解锁。
+
+import { idbDelete, idbGet, idbPut } from './idb';
+
+const STORE = 'keyVault';
+const PBKDF2_ITERATIONS = 310_000;
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('The passphrase does not match the saved key.');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * 读取某个 Provider 的保存记录（不含明文）。
+ * @param {string} providerId
+ * @returns {Promise<{providerId: string, savedAt: number, lastVerifiedAt: number|null, lastStatus: string|null}|null>}
+ */
+export const getVaultEntry = async (providerId) => {
+  const entry = await idbGet(STORE, providerId);
+  if (!entry) return null;
+  const { providerId: id, savedAt, lastVerifiedAt, lastStatus } = entry;
+  return { providerId: id, savedAt, lastVerifiedAt, lastStatus };
+};
+
+/**
+ * 用口令加密并保存 API Key，覆盖同一 Provider 之前保存的 Key。
+ * @param {string} providerId
+ * @param {string} apiKey
+ * @param {string} passphrase
+ */
+export const saveApiKey = async (providerId, apiKey, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+  await idbPut(STORE, {
+    providerId,
+    salt,
+    iv,
+    ciphertext: new Uint8Array(ciphertext),
+    savedAt: Date.now(),
+    lastVerifiedAt: null,
+    lastStatus: null,
+  });
+};
+
+/**
+ * 用口令解密已保存的 API Key。口令错误时 AES-GCM 校验失败，抛出 WrongPassphraseError。
+ * @param {string} providerId
+ * @param {string} passphrase
+ * @returns {Promise<string|null>} 没有保存记录时为 null
+ */
+export const unlockApiKey = async (providerId, passphrase) => {
+  const entry = await idbGet(STORE, providerId);
+  if (!entry) return null;
+  const key = await deriveKey(passphrase, entry.salt);
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, key, entry.ciphertext);
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new WrongPassphraseError();
+  }
+};
+
+/** 记录最近一次“测试 Key”的结果 */
+export const recordVerification = async (providerId, status) => {
+  const entry = await idbGet(STORE, providerId);
+  if (!entry) return;
+  await idbPut(STORE, { ...entry, lastVerifiedAt: Date.now(), lastStatus: status });
+};
+
+export const forgetApiKey = (providerId) => idbDelete(STORE, providerId);
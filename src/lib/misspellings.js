@@ -0,0 +1,138 @@
+// --- 离线预检使用的拼写词典 ---
+// 只收录学习者常见的拼写错误 (错误写法 → 正确写法)，全部小写。
+// 不使用完整词表：体积太大，而且会把专有名词、缩写误报为拼写错误。
+
+export const MISSPELLINGS = {
+  abit: 'a bit',
+  accomodate: 'accommodate',
+  accomodation: 'accommodation',
+  acheive: 'achieve',
+  acheived: 'achieved',
+  acknowlege: 'acknowledge',
+  adress: 'address',
+  agressive: 'aggressive',
+  alot: 'a lot',
+  allready: 'already',
+  amoung: 'among',
+  apparantly: 'apparently',
+  appearence: 'appearance',
+  arguement: 'argument',
+  athelete: 'athlete',
+  basicly: 'basically',
+  becasue: 'because',
+  becuase: 'because',
+  begining: 'beginning',
+  beleive: 'believe',
+  belive: 'believe',
+  buisness: 'business',
+  calender: 'calendar',
+  carefuly: 'carefully',
+  catagory: 'category',
+  cheif: 'chief',
+  childs: 'children',
+  collegue: 'colleague',
+  comming: 'coming',
+  commited: 'committed',
+  comittee: 'committee',
+  completly: 'completely',
+  concious: 'conscious',
+  convienient: 'convenient',
+  definately: 'definitely',
+  definatly: 'definitely',
+  develope: 'develop',
+  diffrent: 'different',
+  dissapear: 'disappear',
+  dissapoint: 'disappoint',
+  embarass: 'embarrass',
+  enviroment: 'environment',
+  environement: 'environment',
+  exagerate: 'exaggerate',
+  excercise: 'exercise',
+  existance: 'existence',
+  experiance: 'experience',
+  familar: 'familiar',
+  finaly: 'finally',
+  foriegn: 'foreign',
+  freind: 'friend',
+  freinds: 'friends',
+  futher: 'further',
+  goverment: 'government',
+  grammer: 'grammar',
+  gaurd: 'guard',
+  happend: 'happened',
+  harrass: 'harass',
+  hight: 'height',
+  immediatly: 'immediately',
+  independant: 'independent',
+  intresting: 'interesting',
+  interesed: 'interested',
+  knowlege: 'knowledge',
+  libary: 'library',
+  lisence: 'license',
+  maintainance: 'maintenance',
+  mispell: 'misspell',
+  neccessary: 'necessary',
+  necesary: 'necessary',
+  noticable: 'noticeable',
+  occassion: 'occasion',
+  occured: 'occurred',
+  occurence: 'occurrence',
+  oppurtunity: 'opportunity',
+  oportunity: 'opportunity',
+  peice: 'piece',
+  persue: 'pursue',
+  posession: 'possession',
+  prefered: 'preferred',
+  probaly: 'probably',
+  pronounciation: 'pronunciation',
+  publically: 'publicly',
+  realy: 'really',
+  reccomend: 'recommend',
+  recomend: 'recommend',
+  recieve: 'receive',
+  recieved: 'received',
+  refered: 'referred',
+  relevent: 'relevant',
+  religous: 'religious',
+  remeber: 'remember',
+  responsability: 'responsibility',
+  rythm: 'rhythm',
+  seperate: 'separate',
+  seperately: 'separately',
+  sieze: 'seize',
+  similiar: 'similar',
+  sincerly: 'sincerely',
+  studing: 'studying',
+  succesful: 'successful',
+  successfull: 'successful',
+  suprise: 'surprise',
+  tecnology: 'technology',
+  technolgy: 'technology',
+  teh: 'the',
+  thier: 'their',
+  tommorow: 'tomorrow',
+  tomorow: 'tomorrow',
+  tounge: 'tongue',
+  truely: 'truly',
+  untill: 'until',
+  usefull: 'useful',
+  wich: 'which',
+  wierd: 'weird',
+  writting: 'writing',
+  wether: 'whether',
+};
+
+/**
+ * 本身是正确单词、但在特定搭配中几乎总是拼错的词：
+ * 例如 "vary" 是动词，后面紧跟形容词时应为 "very"。
+ */
+export const CONTEXT_MISSPELLINGS = {
+  vary: {
+    correction: 'very',
+    before: ['hot', 'cold', 'good', 'bad', 'big', 'small', 'happy', 'sad', 'important', 'difficult', 'easy', 'hard', 'interesting', 'useful', 'beautiful', 'busy', 'long', 'much', 'many', 'well', 'nice', 'high', 'low', 'popular', 'expensive', 'cheap', 'different', 'similar', 'helpful', 'tired', 'excited', 'often', 'quickly', 'slowly'],
+  },
+  loose: {
+    correction: 'lose',
+    before: ['weight', 'money', 'time', 'my', 'your', 'his', 'her', 'our', 'their', 'control', 'interest', 'confidence'],
+  },
+};
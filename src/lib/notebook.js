@@ -0,0 +1,237 @@
+// --- 错题本 ---
+// 审阅时接受的修正会收进错题本：同一个错误 (原片段 → 修正) 只保存一条，再次出现时记一次重犯并提前复习。
+// 每条错题按类型与错误模式分组，并生成“填空”和“改正句子”两种卡片，各自按间隔重复安排复习。
+
+import { diffWords } from './diff';
+import { ISSUE_TYPES } from './issues';
+import { isDue, newReviewState } from './spacedRepetition';
+
+/** 错误模式，顺序即错题本中的展示顺序 */
+export const MISTAKE_PATTERNS = [
+  'subjectVerbAgreement',
+  'verbTense',
+  'articles',
+  'prepositions',
+  'plurals',
+  'wordOrder',
+  'capitalization',
+  'punctuation',
+  'spelling',
+  'wordChoice',
+  'otherGrammar',
+];
+
+export const CARD_KINDS = ['fillIn', 'correct'];
+
+const BLANK = '____';
+
+// 根据解释中的关键词判断模式 (中英文解释都可能出现)，按顺序匹配
+const EXPLANATION_PATTERNS = [
+  ['subjectVerbAgreement', /agree|agreement|third[- ]person|主谓一致|第三人称/i],
+  ['articles', /\barticles?\b|冠词/i],
+  ['prepositions', /preposition|介词/i],
+  ['verbTense', /\btenses?\b|past participle|present perfect|past simple|simple past|时态|过去式|完成时/i],
+  ['plurals', /plural|countable|复数|可数/i],
+  ['wordOrder', /word order|语序|词序/i],
+];
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+const PREPOSITIONS = new Set([
+  'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'at', 'before', 'behind', 'below',
+  'beside', 'between', 'by', 'during', 'for', 'from', 'in', 'into', 'of', 'off', 'on', 'onto', 'over', 'since',
+  'through', 'to', 'toward', 'towards', 'under', 'until', 'upon', 'with', 'within', 'without',
+]);
+// 只在主谓一致中互换的动词形式
+const AGREEMENT_PAIRS = [['is', 'are'], ['was', 'were'], ['has', 'have'], ['does', 'do'], ["doesn't", "don't"], ["isn't", "aren't"], ["wasn't", "weren't"]];
+
+const wordsOf = (text) => (text.toLowerCase().match(/[a-z]+(?:'[a-z]+)*/g) || []);
+
+/** 原片段与修正之间删去与新增的单词 */
+const changedWords = (original, correction) => {
+  const before = wordsOf(original);
+  const after = wordsOf(correction);
+  const removed = [...before];
+  const added = [];
+  after.forEach(word => {
+    const index = removed.indexOf(word);
+    if (index >= 0) removed.splice(index, 1);
+    else added.push(word);
+  });
+  return { removed, added, before, after };
+};
+
+/**
+ * 判断一个问题属于哪种错误模式。先看问题类型和大小写/标点，再看解释中的关键词，最后根据改动的单词推断。
+ * @param {{type: string, original_phrase: string, correction: string, explanation?: string}} issue
+ * @returns {string} MISTAKE_PATTERNS 之一
+ */
+export const classifyMistake = (issue) => {
+  const original = issue.original_phrase || '';
+  const correction = issue.correction || '';
+  if (issue.type === 'Spelling') return 'spelling';
+  if (original !== correction && original.toLowerCase() === correction.toLowerCase()) return 'capitalization';
+  if (issue.type === 'Punctuation') return 'punctuation';
+
+  const explained = EXPLANATION_PATTERNS.find(([, pattern]) => pattern.test(issue.explanation || ''));
+  if (explained) return explained[0];
+
+  const { removed, added, before, after } = changedWords(original, correction);
+  const changed = [...removed, ...added];
+  if (changed.length === 0) {
+    if (before.length > 1 && before.join(' ') !== after.join(' ')) return 'wordOrder';
+    return wordsOf(original).join('') === wordsOf(correction).join('') ? 'punctuation' : 'otherGrammar';
+  }
+  if (changed.every(word => ARTICLES.has(word))) return 'articles';
+  if (changed.every(word => PREPOSITIONS.has(word))) return 'prepositions';
+  if (removed.length === 1 && added.length === 1) {
+    const [from] = removed;
+    const [to] = added;
+    if (AGREEMENT_PAIRS.some(pair => pair.includes(from) && pair.includes(to))) return 'subjectVerbAgreement';
+    if (from === `${to}s` || from === `${to}es` || to === `${from}s` || to === `${from}es`) {
+      return issue.type === 'Grammar' ? 'subjectVerbAgreement' : 'plurals';
+    }
+    if (to === `${from}ed` || to === `${from}d` || from === `${to}ed` || from === `${to}d`) return 'verbTense';
+  }
+  return issue.type === 'Grammar' ? 'otherGrammar' : 'wordChoice';
+};
+
+/** 同一个错误的识别键：不区分大小写与多余空白 */
+export const mistakeKey = (issue) => [issue.original_phrase, issue.correction]
+  .map(value => (value || '').toLowerCase().replace(/\s+/g, ' ').trim())
+  .join('→');
+
+/**
+ * 填空卡片：把修正后的句子中改动的部分挖空。只有一处改动时只挖改动的单词，否则挖掉整个修正。
+ * @returns {{prompt: string, answer: string}|null} 修正只是删除内容 (无可填写) 时返回 null
+ */
+const buildFillIn = (entry) => {
+  const { parts, changes } = diffWords(entry.original_phrase, entry.correction);
+  let blanked = entry.correction;
+  let answer = entry.correction;
+  if (changes.length === 1 && changes[0].inserted.trim()) {
+    blanked = parts
+      .filter(part => part.type !== 'delete')
+      .reduce((text, part, index, list) => {
+        if (part.type !== 'insert') return text + part.text;
+        return list[index - 1]?.type === 'insert' ? text : text + BLANK;
+      }, '');
+    answer = changes[0].inserted.trim();
+    // 插入块首尾的空白不属于答案，放回挖空两侧
+    const leading = changes[0].inserted.match(/^\s*/)[0];
+    const trailing = changes[0].inserted.match(/\s*$/)[0];
+    blanked = blanked.replace(BLANK, `${leading}${BLANK}${trailing}`);
+  }
+  if (!answer.trim()) return null;
+  const start = entry.sentence.indexOf(entry.original_phrase);
+  const prompt = start >= 0
+    ? entry.sentence.slice(0, start) + blanked + entry.sentence.slice(start + entry.original_phrase.length)
+    : blanked;
+  return { prompt, answer };
+};
+
+/** 把句子中的原片段换成修正 */
+const correctSentence = (sentence, original, correction) => {
+  const start = sentence.indexOf(original);
+  return start >= 0 ? sentence.slice(0, start) + correction + sentence.slice(start + original.length) : correction;
+};
+
+/**
+ * 由一条被接受的问题生成新的错题。
+ * @param {object} issue result.issues 中的一项
+ * @param {string} sentence 问题所在的原句，找不到时用原片段
+ * @param {number} now
+ * @returns {object} 待保存的错题 (不含 id)
+ */
+export const buildNotebookEntry = (issue, sentence, now) => {
+  const entry = {
+    key: mistakeKey(issue),
+    type: ISSUE_TYPES.includes(issue.type) ? issue.type : 'Other',
+    pattern: classifyMistake(issue),
+    original_phrase: issue.original_phrase,
+    correction: issue.correction,
+    explanation: issue.explanation || '',
+    sentence: sentence || issue.original_phrase,
+    occurrences: 1,
+    lastSeenAt: now,
+  };
+  const kinds = CARD_KINDS.filter(kind => kind !== 'fillIn' || buildFillIn(entry));
+  return { ...entry, reviews: Object.fromEntries(kinds.map(kind => [kind, newReviewState(now)])) };
+};
+
+/**
+ * 同一个错误在新的句子中再次出现：计一次重犯，换用最新的例句，并让全部卡片立即到期。
+ * 同一句子重复接受 (如撤销后再接受) 不算重犯。
+ * @returns {object|null} 要更新的字段，不需要更新时为 null
+ */
+export const recordRepeat = (entry, sentence, now) => {
+  if (!sentence || sentence === entry.sentence) return null;
+  return {
+    sentence,
+    occurrences: entry.occurrences + 1,
+    lastSeenAt: now,
+    reviews: Object.fromEntries(Object.entries(entry.reviews).map(([kind, state]) => [
+      kind,
+      { ...state, due: Math.min(state.due, now) },
+    ])),
+  };
+};
+
+/**
+ * 一张卡片的题面与答案。
+ * @param {object} entry
+ * @param {'fillIn'|'correct'} kind
+ * @returns {{id: string, entry: object, kind: string, prompt: string, answer: string, review: object}}
+ */
+export const buildCard = (entry, kind) => {
+  const content = kind === 'fillIn'
+    ? buildFillIn(entry)
+    : { prompt: entry.sentence, answer: correctSentence(entry.sentence, entry.original_phrase, entry.correction) };
+  return { id: `${entry.id}:${kind}`, entry, kind, review: entry.reviews[kind], ...content };
+};
+
+/**
+ * 已到期的卡片，最早到期的在前。
+ * @param {object[]} entries
+ * @param {number} now
+ * @returns {object[]}
+ */
+export const dueCards = (entries, now) => entries
+  .flatMap(entry => Object.keys(entry.reviews || {})
+    .filter(kind => isDue(entry.reviews[kind], now))
+    .map(kind => buildCard(entry, kind)))
+  .filter(card => card.prompt !== undefined)
+  .sort((a, b) => a.review.due - b.review.due);
+
+const normalizeAnswer = (value) => value
+  .toLowerCase()
+  .replace(/[’‘]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .replace(/\s*([,.!?;:])/g, '$1')
+  .replace(/[.!?]+$/, '')
+  .trim();
+
+/** 学习者的回答是否与答案一致 (忽略大小写、多余空白和句末标点) */
+export const checkAnswer = (card, answer) => normalizeAnswer(answer) === normalizeAnswer(card.answer);
+
+/**
+ * 按问题类型、再按错误模式分组，重犯次数多的错题在前。
+ * @param {object[]} entries
+ * @returns {{type: string, patterns: {pattern: string, entries: object[]}[], count: number}[]}
+ */
+export const groupEntries = (entries) => {
+  const typeRank = (type) => (ISSUE_TYPES.includes(type) ? ISSUE_TYPES.indexOf(type) : ISSUE_TYPES.length);
+  const types = [...new Set(entries.map(entry => entry.type))].sort((a, b) => typeRank(a) - typeRank(b));
+  return types.map(type => {
+    const ofType = entries.filter(entry => entry.type === type);
+    const patterns = MISTAKE_PATTERNS
+      .map(pattern => ({
+        pattern,
+        entries: ofType
+          .filter(entry => entry.pattern === pattern)
+          .sort((a, b) => b.occurrences - a.occurrences || b.lastSeenAt - a.lastSeenAt),
+      }))
+      .filter(group => group.entries.length > 0);
+    return { type, patterns, count: ofType.length };
+  });
+};
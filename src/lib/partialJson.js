@@ -0,0 +1,141 @@
+// --- 增量 JSON 解析 ---
+// 流式输出时，模型返回的 JSON 在任意位置都可能被截断。这里的解析器在遇到文本结尾时
+// 不会报错，而是返回“到目前为止”能确定的值，并记录哪些对象/数组已经完整闭合。
+
+const MISSING = Symbol('missing');
+
+class TruncatedError extends Error {}
+
+/**
+ * 解析可能被截断的 JSON 文本。
+ * - 未闭合的字符串按已收到的部分返回；
+ * - 未完成的数字、true/false/null 以及没有值的键会被丢弃；
+ * - 语法错误（不是因为截断）会抛出 SyntaxError。
+ * @param {string} text 目前收到的 JSON 文本
+ * @returns {{value: any, closed: WeakSet<object>}} value 为解析结果（可能为 undefined）；
+ *   closed 包含所有已经完整闭合的对象与数组
+ */
+export const parsePartialJson = (text) => {
+  const closed = new WeakSet();
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseString = () => {
+    // 调用时 text[pos] === '"'
+    pos++;
+    let out = '';
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '"') {
+        pos++;
+        return { value: out, complete: true };
+      }
+      if (ch === '\\') {
+        const next = text[pos + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = text.slice(pos + 2, pos + 6);
+          if (hex.length < 4) break;
+          out += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+          continue;
+        }
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+        out += escapes[next] ?? next;
+        pos += 2;
+        continue;
+      }
+      out += ch;
+      pos++;
+    }
+    pos = text.length;
+    return { value: out, complete: false };
+  };
+
+  const parseLiteral = () => {
+    const match = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos));
+    // 字面量恰好位于文本末尾时可能尚未完整（例如 "12" 之后还会收到 "3"）
+    if (!match || pos + match[0].length >= text.length) {
+      if (/^[-\d.eE+truefalsn]*$/.test(text.slice(pos))) throw new TruncatedError();
+      throw new SyntaxError(`Unexpected token at position ${pos}`);
+    }
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    if (pos >= text.length) return MISSING;
+    const ch = text[pos];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"') return parseString().value;
+    try {
+      return parseLiteral();
+    } catch (error) {
+      if (error instanceof TruncatedError) return MISSING;
+      throw error;
+    }
+  };
+
+  const parseObject = () => {
+    const obj = {};
+    pos++;
+    for (;;) {
+      skipWhitespace();
+      if (pos >= text.length) return obj;
+      if (text[pos] === '}') {
+        pos++;
+        closed.add(obj);
+        return obj;
+      }
+      if (text[pos] !== '"') throw new SyntaxError(`Expected key at position ${pos}`);
+      const key = parseString();
+      if (!key.complete) return obj;
+      skipWhitespace();
+      if (pos >= text.length) return obj;
+      if (text[pos] !== ':') throw new SyntaxError(`Expected ':' at position ${pos}`);
+      pos++;
+      const value = parseValue();
+      if (value === MISSING) return obj;
+      obj[key.value] = value;
+      skipWhitespace();
+      if (pos >= text.length) return obj;
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== '}') {
+        throw new SyntaxError(`Expected ',' or '}' at position ${pos}`);
+      }
+    }
+  };
+
+  const parseArray = () => {
+    const arr = [];
+    pos++;
+    for (;;) {
+      skipWhitespace();
+      if (pos >= text.length) return arr;
+      if (text[pos] === ']') {
+        pos++;
+        closed.add(arr);
+        return arr;
+      }
+      const value = parseValue();
+      if (value === MISSING) return arr;
+      arr.push(value);
+      skipWhitespace();
+      if (pos >= text.length) return arr;
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== ']') {
+        throw new SyntaxError(`Expected ',' or ']' at position ${pos}`);
+      }
+    }
+  };
+
+  const value = parseValue();
+  return { value: value === MISSING ? undefined : value, closed };
+};
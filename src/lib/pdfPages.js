@@ -0,0 +1,48 @@
+// --- PDF 页面渲染 ---
+// 使用 pdf.js 在本地把每一页渲染成图片，PDF 不会离开浏览器。
+
+import { t } from './i18n';
+
+const PDF_RENDER_SCALE = 2;
+
+let pdfjsPromise = null;
+
+// pdf.js 体积较大，只在用户选择 PDF 时才加载
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * 将 PDF 的每一页渲染为 JPEG Data URL。
+ * @param {File} file PDF 文件
+ * @returns {Promise<{name: string, dataUrl: string}[]>} 按页码排列的页面图片
+ */
+export const renderPdfPages = async (file) => {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+      pages.push({ name: t('ocr.pdfPageName', { file: file.name, number }), dataUrl: canvas.toDataURL('image/jpeg', 0.9) });
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return pages;
+};
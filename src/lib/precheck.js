@@ -0,0 +1,291 @@
+// --- 离线预检 ---
+// 基于规则的本地检查，不需要联网，在输入时运行。只检查把握较大的常见错误：
+// 拼写词典、重复单词、大小写与空格、代词主谓一致、情态动词后的动词形式以及 a/an。
+// 结果与 result.issues 形状相同，另外带有 source: 'local' 和 start (在原文中的偏移)。
+
+import { t } from './i18n';
+import { locateIssues } from './issues';
+import { CONTEXT_MISSPELLINGS, MISSPELLINGS } from './misspellings';
+
+export const LOCAL_SOURCE = 'local';
+
+/** 按原词的大小写调整替换词：全大写、首字母大写或保持小写 */
+const matchCase = (word, replacement) => {
+  if (word.length > 1 && word === word.toUpperCase()) return replacement.toUpperCase();
+  if (word[0] !== word[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+const makeIssue = (type, start, original, correction, explanation) => ({
+  type,
+  original_phrase: original,
+  correction,
+  explanation,
+  source: LOCAL_SOURCE,
+  start,
+});
+
+/** 紧挨在 index 之前的单词 (小写)，没有时返回空字符串 */
+const previousWord = (text, index) => {
+  const match = text.slice(Math.max(0, index - 40), index).match(/([A-Za-z]+(?:['’][a-z]+)?)\s+$/);
+  return match ? match[1].toLowerCase().replace('’', "'") : '';
+};
+
+// --- 拼写 ---
+
+const checkSpelling = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/\b[A-Za-z]+\b/g)) {
+    const word = match[0];
+    const correction = MISSPELLINGS[word.toLowerCase()];
+    if (!correction) continue;
+    const fixed = matchCase(word, correction);
+    issues.push(makeIssue('Spelling', match.index, word, fixed, t('precheck.spelling', { word, correction: fixed })));
+  }
+  for (const match of text.matchAll(/\b([A-Za-z]+)(\s+)([A-Za-z]+)\b/g)) {
+    const [phrase, word, space, next] = match;
+    const rule = CONTEXT_MISSPELLINGS[word.toLowerCase()];
+    if (!rule || !rule.before.includes(next.toLowerCase())) continue;
+    const fixed = matchCase(word, rule.correction);
+    issues.push(makeIssue('Spelling', match.index, phrase, `${fixed}${space}${next}`, t('precheck.confusedWord', { word, correction: fixed })));
+  }
+  return issues;
+};
+
+// --- 重复单词 ---
+
+// 这些词连续出现两次在语法上是成立的 (had had、that that、is is)
+const ALLOWED_REPEATS = new Set(['had', 'that', 'is']);
+
+const checkRepeatedWords = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/\b([A-Za-z]+)\s+\1\b/gi)) {
+    const [phrase, word] = match;
+    if (ALLOWED_REPEATS.has(word.toLowerCase())) continue;
+    issues.push(makeIssue('Grammar', match.index, phrase, word, t('precheck.repeatedWord', { word })));
+  }
+  return issues;
+};
+
+// --- 大小写 ---
+
+// 常见缩写，以及 e.g、U.S 这类由单个字母加点组成的缩写
+const ABBREVIATION_BEFORE_DOT = /\b(?:(?:[a-z]\.)+[a-z]|etc|vs|cf|approx|mr|mrs|ms|dr|st|no)$/i;
+
+const checkCapitalization = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/(^\s*|[.!?]["'”’)]?\s+)([a-z][A-Za-z'’]*)/gm)) {
+    const [, lead, word] = match;
+    const start = match.index + lead.length;
+    // i 由下面的规则处理；iPhone、e.g. 这类词保持原样
+    if (word === 'i' || /[A-Z]/.test(word) || (word.length === 1 && text[start + 1] === '.')) continue;
+    if (lead.startsWith('.') && ABBREVIATION_BEFORE_DOT.test(text.slice(0, match.index))) continue;
+    // 引语以 ? 或 ! 结束后的小写词通常是对话标签 ("Where are you going?" he asked.)
+    if (/^[?!]["'”’]/.test(lead)) continue;
+    const fixed = word[0].toUpperCase() + word.slice(1);
+    issues.push(makeIssue('Spelling', start, word, fixed, t('precheck.sentenceStart')));
+  }
+  for (const match of text.matchAll(/(?<![\w'’.-])i(?=\s|['’](?:m|ve|d|ll)\b|[,;:!?]|$)/gm)) {
+    issues.push(makeIssue('Spelling', match.index, 'i', 'I', t('precheck.pronounI')));
+  }
+  return issues;
+};
+
+// --- 空格 ---
+
+const checkSpacing = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/(\S*[^\s.!?])( {2,})(\S+)/g)) {
+    const [phrase, before, , after] = match;
+    issues.push(makeIssue('Punctuation', match.index, phrase, `${before} ${after}`, t('precheck.doubleSpace')));
+  }
+  for (const match of text.matchAll(/([A-Za-z]+)( +)([,;:!?]|\.(?=\s|$))/g)) {
+    const [phrase, word, , mark] = match;
+    issues.push(makeIssue('Punctuation', match.index, phrase, `${word}${mark}`, t('precheck.spaceBefore', { mark })));
+  }
+  for (const match of text.matchAll(/([A-Za-z]{2,})([,;:!?])([A-Za-z]{2,})|([a-z]{2,})\.([A-Z][a-z]+)/g)) {
+    const [phrase] = match;
+    const before = match[1] ?? match[4];
+    const mark = match[2] ?? '.';
+    const after = match[3] ?? match[5];
+    issues.push(makeIssue('Punctuation', match.index, phrase, `${before}${mark} ${after}`, t('precheck.spaceAfter', { mark })));
+  }
+  return issues;
+};
+
+// --- 主谓一致与动词形式 ---
+
+// 这些词后面的代词 + 动词原形是合法的 (does it have、let it go、make him go)
+const AUXILIARIES = new Set([
+  'do', 'does', 'did', 'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must',
+  "don't", "doesn't", "didn't", "won't", "can't", "couldn't", "wouldn't", "shouldn't",
+  'let', 'lets', 'make', 'makes', 'made', 'help', 'helps', 'helped', 'see', 'saw', 'watch', 'watched', 'hear', 'heard',
+  'have', 'has', 'had', 'if', 'that',
+]);
+
+const COMMON_VERBS = [
+  'go', 'do', 'have', 'want', 'like', 'need', 'make', 'take', 'get', 'come', 'say', 'know', 'think', 'see', 'give',
+  'use', 'work', 'play', 'live', 'study', 'try', 'feel', 'look', 'love', 'hope', 'seem', 'become', 'believe', 'keep',
+  'learn', 'write', 'read', 'speak', 'find', 'tell', 'watch', 'enjoy', 'prefer', 'agree', 'mean',
+];
+
+const thirdPerson = (verb) => {
+  if (verb === 'have') return 'has';
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+  if (/(?:s|sh|ch|x|o)$/.test(verb)) return `${verb}es`;
+  return `${verb}s`;
+};
+
+const THIRD_PERSON = Object.fromEntries(COMMON_VERBS.map(verb => [verb, thirdPerson(verb)]));
+const BASE_FORMS = {
+  ...Object.fromEntries(COMMON_VERBS.map(verb => [THIRD_PERSON[verb], verb])),
+  is: 'be',
+  am: 'be',
+  are: 'be',
+  was: 'be',
+  went: 'go',
+  came: 'come',
+  took: 'take',
+  gave: 'give',
+  got: 'get',
+  wrote: 'write',
+  knew: 'know',
+  thought: 'think',
+  bought: 'buy',
+  felt: 'feel',
+  found: 'find',
+  told: 'tell',
+};
+
+const PLURAL_SUBJECT = {
+  has: 'have', is: 'are', am: 'are', was: 'were', does: 'do', "doesn't": "don't",
+  ...Object.fromEntries(COMMON_VERBS.map(verb => [THIRD_PERSON[verb], verb])),
+};
+const SINGULAR_SUBJECT = {
+  have: 'has', are: 'is', am: 'is', do: 'does', "don't": "doesn't",
+  // read 的过去式与原形相同 (he read a book)
+  ...Object.fromEntries(COMMON_VERBS.filter(verb => !['do', 'have', 'read'].includes(verb)).map(verb => [verb, THIRD_PERSON[verb]])),
+};
+
+// it 后面的动词原形常见于 let it go、make it work，因此只检查 be/have/do
+const AGREEMENT = {
+  i: { ...PLURAL_SUBJECT, is: 'am', are: 'am', was: null },
+  you: PLURAL_SUBJECT,
+  we: PLURAL_SUBJECT,
+  they: PLURAL_SUBJECT,
+  he: SINGULAR_SUBJECT,
+  she: SINGULAR_SUBJECT,
+  it: { have: 'has', are: 'is', am: 'is', do: 'does', "don't": "doesn't" },
+};
+
+// 并列主语 (my sister and I are、he and she have) 的动词跟随整个主语，不检查
+const COORDINATORS = new Set(['and', 'or', 'nor']);
+// you 和 it 也可以作宾语 (the book I gave you is great)，只在句首、标点之后或从属连词之后检查
+const OBJECT_PRONOUNS = new Set(['you', 'it']);
+const CLAUSE_OPENERS = new Set(['', 'but', 'so', 'because', 'when', 'while', 'although', 'though', 'since', 'unless', 'until', 'where', 'then']);
+
+const checkAgreement = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/\b(I|[Yy]ou|[Ww]e|[Tt]hey|[Hh]e|[Ss]he|[Ii]t)(\s+)([A-Za-z]+(?:n['’]t)?)(?![\w'’])/g)) {
+    const [phrase, subject, space, verb] = match;
+    const fixed = AGREEMENT[subject.toLowerCase()][verb.toLowerCase().replace('’', "'")];
+    if (!fixed) continue;
+    const before = previousWord(text, match.index);
+    if (AUXILIARIES.has(before) || COORDINATORS.has(before)) continue;
+    if (OBJECT_PRONOUNS.has(subject.toLowerCase()) && !CLAUSE_OPENERS.has(before)) continue;
+    const correction = `${subject}${space}${matchCase(verb, fixed)}`;
+    issues.push(makeIssue('Grammar', match.index, phrase, correction, t('precheck.agreement', { subject, verb: fixed })));
+  }
+  return issues;
+};
+
+// 情态动词与 do 之后应使用动词原形 (will goes → will go、didn't went → didn't go)
+const MODALS = /\b(will|would|can|could|shall|should|may|might|must|do|does|did|don['’]t|doesn['’]t|didn['’]t|won['’]t|can['’]t|cannot)(\s+(?:not\s+)?)([A-Za-z]+)\b/gi;
+// 这些词之后的 will/can/may 等是名词 (free will、a can)；首字母大写的通常是人名或月份 (Will、May)
+const DETERMINERS = new Set(['a', 'the', 'his', 'her', 'my', 'your', 'our', 'their', 'its', 'free', 'this', 'that']);
+
+const checkBaseForm = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(MODALS)) {
+    const [phrase, modal, space, verb] = match;
+    const base = BASE_FORMS[verb.toLowerCase()];
+    if (!base || /^[A-Z]/.test(modal) || DETERMINERS.has(previousWord(text, match.index))) continue;
+    // do/does/did 之后的 be 动词不成立，但 "did was" 这类通常是别的错误，交给 AI 判断
+    if (base === 'be' && /^d/i.test(modal)) continue;
+    const correction = `${modal}${space}${matchCase(verb, base)}`;
+    issues.push(makeIssue('Grammar', match.index, phrase, correction, t('precheck.baseForm', { modal, verb: base })));
+  }
+  return issues;
+};
+
+// --- a / an ---
+
+// 按读音而不是字母判断：an hour、a university
+const AN_PREFIXES = ['hour', 'honest', 'honor', 'honour', 'heir', 'unin', 'unim', 'unid'];
+const A_PREFIXES = ['one', 'once', 'uni', 'unan', 'use', 'usa', 'usu', 'uti', 'ute', 'ura', 'uri', 'uro', 'eu', 'ewe', 'ubiq'];
+
+const expectedArticle = (word) => {
+  const lower = word.toLowerCase();
+  if (AN_PREFIXES.some(prefix => lower.startsWith(prefix))) return 'an';
+  if (A_PREFIXES.some(prefix => lower.startsWith(prefix))) return 'a';
+  return /^[aeiou]/.test(lower) ? 'an' : 'a';
+};
+
+const checkArticles = (text) => {
+  const issues = [];
+  for (const match of text.matchAll(/\b(a|an)(\s+)([A-Za-z][\w-]*)/gi)) {
+    const [phrase, article, space, word] = match;
+    // 单个字母、缩写 (an FBI agent) 与字母开头的复合词 (an X-ray、a U-turn) 按字母名称发音，无法从拼写判断
+    if (word.length < 2 || word === word.toUpperCase() || /^[A-Z]-/.test(word)) continue;
+    // 句中大写的 A 通常是编号 (Plan A is …)
+    if (article === 'A' && !/(?:^|[.!?]["'”’)]?)\s*$/.test(text.slice(0, match.index))) continue;
+    const expected = expectedArticle(word);
+    if (article.toLowerCase() === expected) continue;
+    const correction = `${matchCase(article, expected)}${space}${word}`;
+    issues.push(makeIssue('Grammar', match.index, phrase, correction, t(expected === 'an' ? 'precheck.articleAn' : 'precheck.articleA', { word })));
+  }
+  return issues;
+};
+
+const RULES = [checkSpelling, checkRepeatedWords, checkAgreement, checkBaseForm, checkArticles, checkCapitalization, checkSpacing];
+
+/**
+ * 对文本运行全部规则。
+ * 重叠的问题只保留一个：位置靠前的优先，同一位置时保留较长 (更具体) 的片段。
+ * @param {string} text
+ * @param {string[]} [ignoredIssueTypes] 配置方案中忽略的问题类型
+ * @returns {object[]} 按位置排序的问题
+ */
+export const runPrecheck = (text, ignoredIssueTypes = []) => {
+  if (!text || !text.trim()) return [];
+  const found = RULES.flatMap(rule => rule(text))
+    .filter(issue => !ignoredIssueTypes.includes(issue.type))
+    .sort((a, b) => a.start - b.start || b.original_phrase.length - a.original_phrase.length);
+
+  const kept = [];
+  let cursor = 0;
+  found.forEach(issue => {
+    if (issue.start < cursor) return;
+    kept.push(issue);
+    cursor = issue.start + issue.original_phrase.length;
+  });
+  return kept;
+};
+
+/**
+ * 把离线预检的问题合并到 AI 的问题列表之后。
+ * 与 AI 问题在原文中位置重叠的预检结果视为重复，丢弃 (以 AI 的解释为准)。
+ * AI 的问题保持原有顺序与下标，已有的审阅结果仍然对应。
+ * @param {string} text 分析时提交的原文
+ * @param {object[]} aiIssues result.issues
+ * @param {object[]} localIssues runPrecheck(text) 的结果
+ * @returns {object[]}
+ */
+export const mergeIssues = (text, aiIssues, localIssues) => {
+  const { located } = locateIssues(text, aiIssues);
+  const extra = localIssues.filter(issue => {
+    const end = issue.start + issue.original_phrase.length;
+    return !located.some(span => span.start < end && issue.start < span.end);
+  });
+  return [...aiIssues, ...extra];
+};
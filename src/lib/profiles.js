@@ -0,0 +1,206 @@
+// --- 润色配置方案 ---
+// 一个方案保存文体、水平、常用指令、忽略的问题类型和语气，保存在本机 IndexedDB 中，
+// 可以导出为 JSON 文件，由老师分发给全班后导入。
+
+import { idbDelete, idbGetAll, idbPut } from './idb';
+import { ISSUE_TYPES } from './issues';
+import { t } from './i18n';
+
+const STORE = 'profiles';
+const SELECTED_KEY = 'linguist-ai.profile';
+export const PROFILE_FILE_VERSION = 1;
+
+// 文体与水平都可以自由填写，这些只是输入时的建议
+export const GENRE_SUGGESTIONS = [
+  'Academic Essay (E.g., IELTS/TOEFL)',
+  'Business Email/Report',
+  'Creative Story/Poem',
+  'Casual Conversation/Social Media',
+  'Technical Documentation',
+];
+export const LEVEL_SUGGESTIONS = ['Elementary/A2', 'Intermediate/B1-B2', 'College/Advanced', 'Native/Professional'];
+export const TONE_SUGGESTIONS = ['Neutral', 'Formal', 'Friendly', 'Persuasive', 'Concise'];
+
+/**
+ * 第一次使用时写入的方案，用户可以随意修改或删除。名称在写入时按当前界面语言翻译，
+ * 指令会直接发给模型，因此保持英文。
+ */
+export const DEFAULT_PROFILES = [
+  { nameKey: 'profiles.defaults.academic', genre: GENRE_SUGGESTIONS[0], level: 'College/Advanced', instructions: '', ignoredIssueTypes: [], tone: 'Formal' },
+  { nameKey: 'profiles.defaults.businessEmail', genre: GENRE_SUGGESTIONS[1], level: 'Native/Professional', instructions: 'Use British English spelling and conventions.', ignoredIssueTypes: [], tone: 'Formal' },
+  { nameKey: 'profiles.defaults.creative', genre: GENRE_SUGGESTIONS[2], level: 'Intermediate/B1-B2', instructions: '', ignoredIssueTypes: ['Style'], tone: 'Friendly' },
+];
+
+/** 方案中对润色结果有影响的字段 */
+const PROFILE_FIELDS = ['name', 'genre', 'level', 'instructions', 'ignoredIssueTypes', 'tone'];
+
+/** 是否为学术写作，只有学术写作才提供考试评分 */
+export const isAcademicGenre = (genre) => /academic|essay|ielts|toefl|论文|作文/i.test(genre || '');
+
+/**
+ * 清理一个来自表单或导入文件的方案，缺失或类型不对的字段使用默认值。
+ * @param {object} raw
+ * @returns {{name: string, genre: string, level: string, instructions: string, ignoredIssueTypes: string[], tone: string}|null} 没有名称时返回 null
+ */
+export const normalizeProfile = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const name = text(raw.name);
+  if (!name) return null;
+  const ignored = Array.isArray(raw.ignoredIssueTypes)
+    ? ISSUE_TYPES.filter(type => raw.ignoredIssueTypes.includes(type))
+    : [];
+  return {
+    name,
+    genre: text(raw.genre) || GENRE_SUGGESTIONS[0],
+    level: text(raw.level) || LEVEL_SUGGESTIONS[2],
+    instructions: text(raw.instructions),
+    // 忽略全部类型时问题列表的 type 无值可选 (Gemini 不接受空的 enum)，按不忽略处理
+    ignoredIssueTypes: ignored.length < ISSUE_TYPES.length ? ignored : [],
+    tone: text(raw.tone),
+  };
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/** 生成一组带 id 的默认方案 (尚未保存) */
+export const buildDefaultProfiles = () => {
+  const now = Date.now();
+  return DEFAULT_PROFILES.map(({ nameKey, ...profile }) => ({
+    ...profile,
+    name: t(nameKey),
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+  }));
+};
+
+/**
+ * 读取全部方案；本机还没有任何方案时写入默认方案。
+ * @returns {Promise<object[]>} 按名称排序
+ */
+export const listProfiles = async () => {
+  const profiles = await idbGetAll(STORE);
+  if (profiles.length > 0) return profiles.sort(byName);
+  const seeded = buildDefaultProfiles();
+  await Promise.all(seeded.map(profile => idbPut(STORE, profile)));
+  return seeded.sort(byName);
+};
+
+/**
+ * 新建或更新方案 (有 id 时更新)。
+ * @param {object} profile
+ * @returns {Promise<object>} 保存后的方案
+ */
+export const saveProfile = async (profile) => {
+  const normalized = normalizeProfile(profile);
+  if (!normalized) throw new Error('A profile needs a name.');
+  const now = Date.now();
+  const saved = {
+    ...normalized,
+    id: profile.id || crypto.randomUUID(),
+    createdAt: profile.createdAt || now,
+    updatedAt: now,
+  };
+  await idbPut(STORE, saved);
+  return saved;
+};
+
+export const deleteProfile = (id) => idbDelete(STORE, id);
+
+/**
+ * 导出为可分享的 JSON 文本，不包含本机的 id 与时间戳。
+ * @param {object[]} profiles
+ * @returns {string}
+ */
+export const exportProfiles = (profiles) => JSON.stringify({
+  version: PROFILE_FILE_VERSION,
+  profiles: profiles.map(profile => Object.fromEntries(PROFILE_FIELDS.map(field => [field, profile[field]]))),
+}, null, 2);
+
+/**
+ * 导入 exportProfiles 生成的 JSON。与已有方案同名的会被覆盖，其余作为新方案加入。
+ * @param {string} json 文件内容
+ * @param {object[]} existing 当前的方案列表
+ * @returns {Promise<{added: number, updated: number}>}
+ * @throws {Error} 文件不是有效的方案文件时
+ */
+export const importProfiles = async (json, existing) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  const list = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(list)) throw new Error('The file does not contain a profiles list.');
+  const profiles = list.map(normalizeProfile).filter(Boolean);
+  if (profiles.length === 0) throw new Error('The file does not contain any valid profile.');
+
+  let added = 0;
+  let updated = 0;
+  for (const profile of profiles) {
+    const match = existing.find(item => item.name === profile.name);
+    await saveProfile(match ? { ...match, ...profile } : profile);
+    if (match) updated++;
+    else added++;
+  }
+  return { added, updated };
+};
+
+/** 上次选中的方案 id，保存在 localStorage */
+export const loadSelectedProfileId = () => {
+  try {
+    return localStorage.getItem(SELECTED_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const saveSelectedProfileId = (id) => {
+  try {
+    localStorage.setItem(SELECTED_KEY, id);
+  } catch {
+    // 忽略：只是下次打开时不记得选择
+  }
+};
+
+/**
+ * 把方案转换为发送给 api 层的润色设置字段。
+ * @param {object} profile
+ * @returns {{analysisTarget: string, difficulty: string, standingInstructions: string, tone: string, ignoredIssueTypes: string[]}}
+ */
+export const profileToSettings = (profile) => ({
+  analysisTarget: profile.genre,
+  difficulty: profile.level,
+  standingInstructions: profile.instructions,
+  tone: profile.tone,
+  ignoredIssueTypes: profile.ignoredIssueTypes,
+});
+
+const sameSettings = (a, b) => a.analysisTarget === b.analysisTarget
+  && a.difficulty === b.difficulty
+  && (a.standingInstructions || '') === (b.standingInstructions || '')
+  && (a.tone || '') === (b.tone || '')
+  && [...(a.ignoredIssueTypes || [])].sort().join() === [...(b.ignoredIssueTypes || [])].sort().join();
+
+/**
+ * 从历史会话的设置还原方案：优先找到设置完全相同的已保存方案，否则生成一个未保存的临时方案。
+ * @param {object[]} profiles 已保存的方案
+ * @param {object} settings 会话中保存的润色设置
+ * @param {string} fallbackName 临时方案的名称
+ * @returns {object} 临时方案的 id 为 null
+ */
+export const profileFromSettings = (profiles, settings, fallbackName) => {
+  const match = profiles.find(profile => sameSettings(profileToSettings(profile), settings));
+  if (match) return match;
+  return {
+    id: null,
+    name: fallbackName,
+    genre: settings.analysisTarget,
+    level: settings.difficulty,
+    instructions: settings.standingInstructions || '',
+    ignoredIssueTypes: settings.ignoredIssueTypes || [],
+    tone: settings.tone || '',
+  };
+};
@@ -0,0 +1,73 @@
+import { postJson, postStream, readSse, trimBaseUrl } from './shared.js';
+
+export const GEMINI_DEFAULT_MODEL = "gemini-2.5-flash-preview-09-2025";
+export const GEMINI_DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+const extractText = (result) => result.candidates?.[0]?.content?.parts?.[0]?.text || '';
+
+/**
+ * Google Gemini (generateContent) 实现。
+ * @param {{apiKey?: string, baseUrl?: string, model?: string}} config
+ */
+export const createGeminiProvider = ({ apiKey, baseUrl, model }) => {
+  const endpoint = (method, params = '') =>
+    `${trimBaseUrl(baseUrl || GEMINI_DEFAULT_BASE_URL)}/models/${model || GEMINI_DEFAULT_MODEL}:${method}?${params}key=${apiKey || ''}`;
+
+  const revisionPayload = ({ systemPrompt, prompt, responseSchema, temperature }) => ({
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema,
+      temperature,
+    },
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+  });
+
+  return {
+    id: 'gemini',
+    model: model || GEMINI_DEFAULT_MODEL,
+
+    async revise(request) {
+      const result = await postJson(endpoint('generateContent'), revisionPayload(request), {}, request.signal);
+      return extractText(result);
+    },
+
+    async reviseStream({ onText, ...request }) {
+      const response = await postStream(endpoint('streamGenerateContent', 'alt=sse&'), revisionPayload(request), {}, request.signal);
+      let full = '';
+      await readSse(response, (data) => {
+        const delta = extractText(data);
+        if (!delta) return;
+        full += delta;
+        onText(delta);
+      });
+      return full;
+    },
+
+    // Gemini 的对话角色为 user / model
+    async chat({ systemPrompt, messages, temperature, signal }) {
+      const result = await postJson(endpoint('generateContent'), {
+        contents: messages.map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }],
+        })),
+        generationConfig: { temperature },
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+      }, {}, signal);
+      return extractText(result);
+    },
+
+    async transcribe({ prompt, base64Image, mimeType, responseSchema, signal }) {
+      const result = await postJson(endpoint('generateContent'), {
+        contents: [{
+          parts: [
+            { text: prompt },
+            { inlineData: { mimeType, data: base64Image } },
+          ],
+        }],
+        ...(responseSchema && { generationConfig: { responseMimeType: "application/json", responseSchema } }),
+      }, {}, signal);
+      return extractText(result);
+    },
+  };
+};
@@ -0,0 +1,59 @@
+// --- LLM Provider 注册表 ---
+// 每个 Provider 实现同一接口：
+//   revise({ systemPrompt, prompt, responseSchema, temperature, text, feedbackLanguage }) => Promise<string>  (模型返回的原始 JSON 文本)
+//     text 与 feedbackLanguage 只供离线模拟使用，真实 Provider 只需要提示词
+//   reviseStream({ ...revise 参数, onText }) => Promise<string>  (每收到一段文本调用 onText，结束时返回完整文本)
+//   transcribe({ prompt, base64Image, mimeType, responseSchema? }) => Promise<string>
+//   chat({ systemPrompt, messages, temperature, feedbackLanguage }) => Promise<string>  (多轮对话的纯文本回复)
+//     messages 为 [{ role: 'user'|'assistant', content }]；feedbackLanguage 同样只供离线模拟使用
+// 所有方法都接受可选的 signal (AbortSignal) 用于取消；失败时抛出 ../errors 中的 HttpError 等类型。
+// 单次调用只发起一次请求，重试由 api 层统一处理。
+// 本目录同时被 server/ 中的 Node 代理直接导入，因此相对导入需写明 .js 扩展名。
+
+import { createGeminiProvider, GEMINI_DEFAULT_BASE_URL, GEMINI_DEFAULT_MODEL } from './gemini.js';
+import { createOpenAIProvider, OPENAI_DEFAULT_BASE_URL, OPENAI_DEFAULT_MODEL } from './openai.js';
+import { createOllamaProvider, OLLAMA_DEFAULT_BASE_URL, OLLAMA_DEFAULT_MODEL } from './ollama.js';
+import { createMockProvider, MOCK_MODEL } from './mock.js';
+
+export const PROVIDERS = {
+  gemini: {
+    create: createGeminiProvider,
+    defaultBaseUrl: GEMINI_DEFAULT_BASE_URL,
+    defaultModel: GEMINI_DEFAULT_MODEL,
+    usesApiKey: true,
+  },
+  openai: {
+    create: createOpenAIProvider,
+    defaultBaseUrl: OPENAI_DEFAULT_BASE_URL,
+    defaultModel: OPENAI_DEFAULT_MODEL,
+    usesApiKey: true,
+  },
+  ollama: {
+    create: createOllamaProvider,
+    defaultBaseUrl: OLLAMA_DEFAULT_BASE_URL,
+    defaultModel: OLLAMA_DEFAULT_MODEL,
+    usesApiKey: false,
+  },
+  mock: {
+    create: createMockProvider,
+    defaultBaseUrl: '',
+    defaultModel: MOCK_MODEL,
+    usesApiKey: false,
+  },
+};
+
+export const DEFAULT_PROVIDER_ID = 'gemini';
+
+/**
+ * 根据设置面板中的配置创建 Provider 实例。
+ * @param {{providerId: string, apiKey?: string, baseUrl?: string, model?: string}} config
+ * @returns {object} Provider 实例
+ */
+export const createProvider = ({ providerId, apiKey, baseUrl, model }) => {
+  const entry = PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+  return entry.create({
+    apiKey,
+    baseUrl: baseUrl || entry.defaultBaseUrl,
+    model: model || entry.defaultModel,
+  });
+};
@@ -0,0 +1,141 @@
+// --- 离线模拟 Provider ---
+// 不发起任何网络请求，对同样的输入总是返回同样的结果，便于本地演示和测试。
+
+import { CancelledError } from '../errors.js';
+
+export const MOCK_MODEL = "mock-reviser-1";
+const MOCK_STREAM_CHUNK = 24;
+const MOCK_STREAM_DELAY = 30;
+
+/** 一组简单的替换规则，足以覆盖 DEMO_TEXT 中的典型错误 */
+const MOCK_RULES = [
+  { pattern: /\b(I|you|we|they) has\b/g, type: 'Grammar', fix: (m, subject) => `${subject} have`, explanation: 'Subject-verb agreement: use "have" with this pronoun.', explanationZh: '主谓一致：这个代词后面用 "have"。' },
+  { pattern: /\b(he|she|it) have\b/gi, type: 'Grammar', fix: (m, subject) => `${subject} has`, explanation: 'Subject-verb agreement: third person singular takes "has".', explanationZh: '主谓一致：第三人称单数用 "has"。' },
+  { pattern: /\bwill (\w+?)(?:es|s)\b/g, type: 'Grammar', fix: (m, verb) => `will ${verb}`, explanation: 'Use the base form of the verb after "will".', explanationZh: '"will" 后面要用动词原形。' },
+  { pattern: /\bone days\b/g, type: 'Grammar', fix: () => 'one day', explanation: '"One" takes a singular noun.', explanationZh: '"one" 后面接单数名词。' },
+  { pattern: /\bvary (hot|cold|good|bad|big|small|important)\b/g, type: 'Spelling', fix: (m, adj) => `very ${adj}`, explanation: '"Vary" is a verb; the adverb is "very".', explanationZh: '"vary" 是动词，表示“非常”的副词是 "very"。' },
+  { pattern: /\b(\w+) \1\b/gi, type: 'Grammar', fix: (m, word) => word, explanation: 'Repeated word.', explanationZh: '单词重复。' },
+];
+
+// 根据请求的 schema 补充可选字段，保证离线模式下各标签页都有内容可看
+const mockOptionalFields = (responseSchema, issueCount) => {
+  const fields = {};
+  const properties = responseSchema?.properties || {};
+  if (properties.task_response) {
+    fields.task_response = {
+      verdict: 'partially_addressed',
+      covered_points: ['The text states a position related to the question.'],
+      missing_points: ['The mock checker cannot judge how fully each part of the question is answered.'],
+      comment: 'Offline mock result: task response is not really evaluated.',
+    };
+  }
+  if (properties.exam_score) {
+    const criteria = properties.exam_score.properties.criteria.items.properties.criterion.enum;
+    const max = /0 to 9/.test(properties.exam_score.properties.criteria.items.properties.score.description) ? 9 : 5;
+    const score = Math.max(1, Math.round(max * 0.7) - issueCount);
+    fields.exam_score = {
+      criteria: criteria.map(criterion => ({
+        criterion,
+        score,
+        justification: `Offline mock score based on ${issueCount} rule-based error(s).`,
+        next_band_advice: 'Fix the listed errors and add more developed supporting examples.',
+      })),
+      overall_score: score,
+    };
+  }
+  return fields;
+};
+
+// 反馈语言为中文时使用中文讲解，其他语言一律用英文
+const mockRevision = (text, responseSchema, feedbackLanguage) => {
+  const chinese = /^zh/.test(feedbackLanguage || '');
+  const issues = [];
+  let improved = text;
+  MOCK_RULES.forEach(rule => {
+    improved = improved.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const correction = rule.fix(...args);
+      issues.push({ type: rule.type, original_phrase: match, correction, explanation: chinese ? rule.explanationZh : rule.explanation });
+      return correction;
+    });
+  });
+
+  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+  return {
+    summary: chinese ? {
+      original_text: `一篇 ${words} 个词的文本（离线模拟分析）。`,
+      overall_assessment: issues.length === 0
+        ? '模拟检查没有发现规则能识别的错误。'
+        : `模拟检查发现了 ${issues.length} 处规则能识别的错误。`,
+    } : {
+      original_text: `A text of ${words} words (offline mock analysis).`,
+      overall_assessment: issues.length === 0
+        ? 'The mock checker found no rule-based errors.'
+        : `The mock checker found ${issues.length} rule-based error(s).`,
+    },
+    ...mockOptionalFields(responseSchema, issues.length),
+    issues,
+    improved_full_text: improved,
+  };
+};
+
+// 从讲解对话的系统提示词中取出问题的上下文，拼出固定格式的回复
+const mockTutorReply = ({ systemPrompt, messages, feedbackLanguage }) => {
+  const chinese = /^zh/.test(feedbackLanguage || '');
+  const field = (name) => systemPrompt.match(new RegExp(`${name}: "([^"]*)"`))?.[1] || '';
+  const original = field('Original phrase');
+  const correction = field('Correction');
+  const question = messages[messages.length - 1]?.content || '';
+
+  if (/practi[cs]e|exercise|练习/i.test(question)) {
+    if (chinese) {
+      return `离线模拟练习：\n1. 改正句子：${original ? `"… ${original} …"` : '"She go to school every day."'}\n2. 用 "${correction || 'goes'}" 造一个句子。\n3. 选择正确的形式填空：He ___ (have/has) a dream.\n写完后发给我，我会给出答案。`;
+    }
+    return `Offline mock practice:\n1. Correct the sentence: ${original ? `"… ${original} …"` : '"She go to school every day."'}\n2. Write your own sentence using "${correction || 'goes'}".\n3. Fill in the blank: He ___ (have/has) a dream.\nSend me your answers and I will check them.`;
+  }
+  const turn = messages.filter(message => message.role === 'user').length;
+  if (chinese) {
+    return `（离线模拟回复 #${turn}）${original && correction ? `这里把 "${original}" 改成 "${correction}"，是为了让句子符合语法规则。` : '润色后的文本修正了语法并让表达更自然。'}连接真实的模型服务后可以得到具体的讲解。`;
+  }
+  return `(Offline mock reply #${turn}) ${original && correction ? `"${original}" was changed to "${correction}" so that the sentence follows the grammar rule.` : 'The revised text fixes grammar and makes the wording more natural.'} Connect a real model service for a detailed explanation.`;
+};
+
+/**
+ * 确定性的离线 Provider。revise 读取 api 层随请求附带的原文 (text) 与反馈语言 (feedbackLanguage)。
+ */
+export const createMockProvider = () => ({
+  id: 'mock',
+  model: MOCK_MODEL,
+
+  async revise({ text, responseSchema, feedbackLanguage }) {
+    return JSON.stringify(mockRevision(text || '', responseSchema, feedbackLanguage));
+  },
+
+  // 以固定大小的片段逐步输出，模拟真实的流式响应
+  async reviseStream({ text, responseSchema, feedbackLanguage, onText, signal }) {
+    const full = JSON.stringify(mockRevision(text || '', responseSchema, feedbackLanguage));
+    for (let i = 0; i < full.length; i += MOCK_STREAM_CHUNK) {
+      await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY));
+      if (signal?.aborted) throw new CancelledError();
+      onText(full.slice(i, i + MOCK_STREAM_CHUNK));
+    }
+    return full;
+  },
+
+  async chat(request) {
+    return mockTutorReply(request);
+  },
+
+  // 请求结构化输出时附带一个固定的“不确定词”，便于在离线模式下演示审阅流程
+  async transcribe({ base64Image, mimeType, responseSchema }) {
+    const bytes = Math.floor((base64Image || '').length * 3 / 4);
+    const text = `(mock transcription of a ${mimeType} image, ${bytes} bytes)`;
+    if (!responseSchema) return text;
+    return JSON.stringify({
+      lines: [
+        { text, uncertain_words: [] },
+        { text: 'I has a dream that one days every student will writes well.', uncertain_words: [{ word: 'dream', alternatives: ['dram', 'cream'] }] },
+      ],
+    });
+  },
+});
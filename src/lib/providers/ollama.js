@@ -0,0 +1,67 @@
+import { postJson, postStream, readLines, toJsonSchema, trimBaseUrl } from './shared.js';
+
+export const OLLAMA_DEFAULT_BASE_URL = "http://localhost:11434";
+export const OLLAMA_DEFAULT_MODEL = "llama3.2-vision";
+
+/**
+ * 本地 Ollama 风格服务器 (/api/chat)。format 字段直接接受 JSON Schema。
+ * @param {{baseUrl?: string, model?: string}} config
+ */
+export const createOllamaProvider = ({ baseUrl, model }) => {
+  const url = `${trimBaseUrl(baseUrl || OLLAMA_DEFAULT_BASE_URL)}/api/chat`;
+  const modelName = model || OLLAMA_DEFAULT_MODEL;
+
+  const chat = async (body, signal) => {
+    const result = await postJson(url, { model: modelName, stream: false, ...body }, {}, signal);
+    return result.message?.content || '';
+  };
+
+  const revisionBody = ({ systemPrompt, prompt, responseSchema, temperature }) => ({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt },
+    ],
+    format: toJsonSchema(responseSchema),
+    options: { temperature },
+  });
+
+  return {
+    id: 'ollama',
+    model: modelName,
+
+    revise(request) {
+      return chat(revisionBody(request), request.signal);
+    },
+
+    // 流式响应为 NDJSON，每行一个 { message: { content } } 片段
+    async reviseStream({ onText, ...request }) {
+      const response = await postStream(url, { model: modelName, stream: true, ...revisionBody(request) }, {}, request.signal);
+      let full = '';
+      await readLines(response, (line) => {
+        if (!line.trim()) return;
+        const delta = JSON.parse(line).message?.content;
+        if (!delta) return;
+        full += delta;
+        onText(delta);
+      });
+      return full;
+    },
+
+    chat({ systemPrompt, messages, temperature, signal }) {
+      return chat({
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages.map(({ role, content }) => ({ role, content })),
+        ],
+        options: { temperature },
+      }, signal);
+    },
+
+    transcribe({ prompt, base64Image, responseSchema, signal }) {
+      return chat({
+        messages: [{ role: 'user', content: prompt, images: [base64Image] }],
+        ...(responseSchema && { format: toJsonSchema(responseSchema) }),
+      }, signal);
+    },
+  };
+};
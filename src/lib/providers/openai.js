@@ -0,0 +1,79 @@
+import { postJson, postStream, readSse, toJsonSchema, trimBaseUrl } from './shared.js';
+
+export const OPENAI_DEFAULT_BASE_URL = "https://api.openai.com/v1";
+export const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+
+/**
+ * 任意 OpenAI 兼容的 /chat/completions 接口（OpenAI、DeepSeek、vLLM、LM Studio 等）。
+ * 并非所有兼容实现都支持 json_schema，因此使用 json_object 模式并把 schema 写进系统提示。
+ * @param {{apiKey?: string, baseUrl?: string, model?: string}} config
+ */
+export const createOpenAIProvider = ({ apiKey, baseUrl, model }) => {
+  const url = `${trimBaseUrl(baseUrl || OPENAI_DEFAULT_BASE_URL)}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const modelName = model || OPENAI_DEFAULT_MODEL;
+
+  const complete = async (body, signal) => {
+    const result = await postJson(url, { model: modelName, ...body }, headers, signal);
+    return result.choices?.[0]?.message?.content || '';
+  };
+
+  const revisionBody = ({ systemPrompt, prompt, responseSchema, temperature }) => ({
+    messages: [
+      {
+        role: 'system',
+        content: `${systemPrompt}\nThe JSON object must conform to this JSON Schema:\n${JSON.stringify(toJsonSchema(responseSchema))}`,
+      },
+      { role: 'user', content: prompt },
+    ],
+    response_format: { type: 'json_object' },
+    temperature,
+  });
+
+  return {
+    id: 'openai',
+    model: modelName,
+
+    revise(request) {
+      return complete(revisionBody(request), request.signal);
+    },
+
+    async reviseStream({ onText, ...request }) {
+      const response = await postStream(url, { model: modelName, stream: true, ...revisionBody(request) }, headers, request.signal);
+      let full = '';
+      await readSse(response, (data) => {
+        const delta = data.choices?.[0]?.delta?.content;
+        if (!delta) return;
+        full += delta;
+        onText(delta);
+      });
+      return full;
+    },
+
+    chat({ systemPrompt, messages, temperature, signal }) {
+      return complete({
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages.map(({ role, content }) => ({ role, content })),
+        ],
+        temperature,
+      }, signal);
+    },
+
+    transcribe({ prompt, base64Image, mimeType, responseSchema, signal }) {
+      const text = responseSchema
+        ? `${prompt}\nReturn a JSON object that conforms to this JSON Schema:\n${JSON.stringify(toJsonSchema(responseSchema))}`
+        : prompt;
+      return complete({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Image}` } },
+          ],
+        }],
+        ...(responseSchema && { response_format: { type: 'json_object' } }),
+      }, signal);
+    },
+  };
+};
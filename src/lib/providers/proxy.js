@@ -0,0 +1,54 @@
+// --- 服务器代理 Provider ---
+// 课堂部署时由 server/ 中的 Node 代理持有 API Key，浏览器只调用同源的 /api/revise、/api/transcribe 与 /api/chat。
+// 是否启用由构建时的环境变量决定：VITE_API_MODE=proxy，VITE_PROXY_URL 可指定代理地址 (默认同源)。
+
+import { NetworkError, HttpError } from '../errors.js';
+import { postJson, postStream, readLines, trimBaseUrl } from './shared.js';
+
+export const API_MODE = import.meta.env.VITE_API_MODE === 'proxy' ? 'proxy' : 'direct';
+export const PROXY_BASE_URL = import.meta.env.VITE_PROXY_URL || '';
+
+/**
+ * 通过本项目自带的代理服务器调用模型。
+ * @param {{baseUrl?: string, getAuthHeaders: () => Promise<Record<string, string>>}} config
+ *   getAuthHeaders 返回用于识别用户的请求头 (Firebase ID Token，未登录时为空)，服务器据此限流
+ */
+export const createProxyProvider = ({ baseUrl, getAuthHeaders }) => {
+  const url = (path) => `${trimBaseUrl(baseUrl)}/api/${path}`;
+
+  return {
+    id: 'proxy',
+    model: 'server',
+
+    async revise({ signal, ...request }) {
+      const result = await postJson(url('revise'), request, await getAuthHeaders(), signal);
+      return result.text || '';
+    },
+
+    // 服务器以 NDJSON 转发流式片段：{ text } 为内容，{ error } 表示上游中途失败
+    async reviseStream({ signal, onText, ...request }) {
+      const response = await postStream(url('revise'), { ...request, stream: true }, await getAuthHeaders(), signal);
+      let full = '';
+      await readLines(response, (line) => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw data.error.status ? new HttpError(data.error.status) : new NetworkError(new Error(data.error.message));
+        }
+        full += data.text;
+        onText(data.text);
+      });
+      return full;
+    },
+
+    async transcribe({ signal, ...request }) {
+      const result = await postJson(url('transcribe'), request, await getAuthHeaders(), signal);
+      return result.text || '';
+    },
+
+    async chat({ signal, ...request }) {
+      const result = await postJson(url('chat'), request, await getAuthHeaders(), signal);
+      return result.text || '';
+    },
+  };
+};
@@ -0,0 +1,108 @@
+// --- Provider 实现之间共享的小工具 ---
+
+import { HttpError, parseRetryAfter } from '../errors.js';
+
+const toHttpError = (response) => new HttpError(response.status, parseRetryAfter(response.headers.get('Retry-After')));
+
+/**
+ * 发送 JSON POST 请求，非 2xx 时抛出 HttpError。
+ * @param {string} url 请求地址
+ * @param {object} body 请求体
+ * @param {Record<string, string>} [headers] 额外请求头
+ * @param {AbortSignal} [signal] 取消信号
+ * @returns {Promise<object>} 解析后的 JSON 响应
+ */
+export const postJson = async (url, body, headers = {}, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw toHttpError(response);
+  }
+  return response.json();
+};
+
+/** 去掉 base URL 末尾的斜杠，方便拼接路径 */
+export const trimBaseUrl = (url) => (url || '').replace(/\/+$/, '');
+
+/**
+ * 将 Gemini 风格的 responseSchema（大写 type、propertyOrdering）转换为标准 JSON Schema，
+ * 供 OpenAI 兼容接口和 Ollama 使用。
+ * @param {object} schema Gemini responseSchema
+ * @returns {object} JSON Schema
+ */
+export const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'propertyOrdering') return;
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)])
+      );
+    } else {
+      converted[key] = toJsonSchema(value);
+    }
+  });
+  return converted;
+};
+
+/**
+ * 发送 POST 请求并返回尚未读取的流式响应，非 2xx 时抛出 HttpError。
+ * @param {string} url 请求地址
+ * @param {object} body 请求体
+ * @param {Record<string, string>} [headers] 额外请求头
+ * @param {AbortSignal} [signal] 取消信号，同时会中断后续的流读取
+ * @returns {Promise<Response>}
+ */
+export const postStream = async (url, body, headers = {}, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok || !response.body) {
+    throw toHttpError(response);
+  }
+  return response;
+};
+
+/**
+ * 逐行读取流式响应（NDJSON 与 SSE 都是按行分隔的）。
+ * @param {Response} response fetch 返回的响应
+ * @param {(line: string) => void} onLine 每收到完整一行时调用
+ */
+export const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => onLine(line.replace(/\r$/, '')));
+  }
+  buffer += decoder.decode();
+  if (buffer) onLine(buffer);
+};
+
+/**
+ * 读取 Server-Sent Events 响应，把每个 data 字段解析为 JSON 后交给回调。
+ * @param {Response} response fetch 返回的响应
+ * @param {(data: object) => void} onData 每个事件的数据
+ */
+export const readSse = (response, onData) => readLines(response, (line) => {
+  if (!line.startsWith('data:')) return;
+  const data = line.slice(5).trim();
+  if (!data || data === '[DONE]') return;
+  onData(JSON.parse(data));
+});
@@ -0,0 +1,50 @@
+// --- 润色结果缓存 ---
+// 相同文本 + 题目 + 设置 + 模型直接复用上次的结果，既省一次 API 调用，也保证结果稳定。
+// 条目数超过上限时按最近使用时间 (LRU) 淘汰。
+
+import { idbClear, idbDelete, idbGet, idbGetAll, idbPut } from './idb';
+
+const STORE = 'resultCache';
+export const MAX_CACHE_ENTRIES = 50;
+// 提示词或结果结构变化时提升版本，使旧缓存自然失效
+const CACHE_VERSION = 1;
+
+/**
+ * 计算缓存键：对文本、设置与模型做 SHA-256。
+ * @param {string} text 原文
+ * @param {object} settings revisionSettings
+ * @param {{id: string, model: string}} provider 当前 Provider
+ * @returns {Promise<string>} 十六进制摘要
+ */
+export const buildCacheKey = async (text, settings, provider) => {
+  const payload = JSON.stringify([CACHE_VERSION, text, settings, provider.id, provider.model]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * 读取缓存，命中时刷新最近使用时间。
+ * @returns {Promise<{result: object, createdAt: number}|null>}
+ */
+export const getCachedResult = async (key) => {
+  const entry = await idbGet(STORE, key);
+  if (!entry) return null;
+  await idbPut(STORE, { ...entry, lastUsedAt: Date.now() });
+  return { result: entry.result, createdAt: entry.createdAt };
+};
+
+/** 写入缓存，并淘汰最久未使用的条目 */
+export const putCachedResult = async (key, result) => {
+  const now = Date.now();
+  await idbPut(STORE, { key, result, createdAt: now, lastUsedAt: now });
+  const entries = await idbGetAll(STORE);
+  if (entries.length <= MAX_CACHE_ENTRIES) return;
+  const stale = entries
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+    .slice(0, entries.length - MAX_CACHE_ENTRIES);
+  await Promise.all(stale.map(entry => idbDelete(STORE, entry.key)));
+};
+
+export const countCachedResults = async () => (await idbGetAll(STORE)).length;
+
+export const clearResultCache = () => idbClear(STORE);
@@ -0,0 +1,61 @@
+// --- 通用重试逻辑 ---
+
+import { CancelledError, isRetryable, normalizeError } from './errors';
+
+export const MAX_RETRIES = 3;
+
+// 服务端要求等待更久时不再自动重试，直接报告限流错误
+export const MAX_RETRY_AFTER_MS = 60_000;
+
+/** 可被 AbortSignal 打断的等待 */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * 重试异步操作。只重试可恢复的错误 (429、5xx、网络、格式错误)：
+ * 等待时间优先取服务端的 Retry-After，否则指数退避 (1s, 2s, 4s...)，并加入随机抖动。
+ * 不可重试、已取消、Retry-After 超过 MAX_RETRY_AFTER_MS 或最后一次失败时抛出（已分类的）错误。
+ * @param {string} label 日志中使用的操作名称
+ * @param {() => Promise<any>} attempt 单次尝试
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] 取消信号
+ * @param {(status: {attempt: number, max: number, delayMs: number, error: Error}) => void} [options.onRetry] 即将重试时调用，attempt 为下一次尝试的序号
+ * @returns {Promise<any>} attempt 的返回值
+ */
+export const withRetry = async (label, attempt, { signal, onRetry } = {}) => {
+  for (let i = 0; i < MAX_RETRIES; i++) {
+    if (signal?.aborted) throw new CancelledError();
+    try {
+      return await attempt();
+    } catch (rawError) {
+      const error = signal?.aborted ? new CancelledError() : normalizeError(rawError);
+      if (error instanceof CancelledError) throw error;
+      if (!isRetryable(error) || i >= MAX_RETRIES - 1) {
+        console.error(`${label} failed${isRetryable(error) ? ' after all retries' : ''}:`, error);
+        throw error;
+      }
+      if (error.retryAfterMs > MAX_RETRY_AFTER_MS) {
+        console.error(`${label} failed: the server asked to retry after ${Math.round(error.retryAfterMs / 1000)}s.`, error);
+        throw error;
+      }
+      const base = error.retryAfterMs ?? Math.pow(2, i) * 1000;
+      const delay = Math.round(base + Math.random() * base * 0.3);
+      console.warn(`${label} failed. Retrying in ${(delay / 1000).toFixed(1)}s...`, error);
+      onRetry?.({ attempt: i + 2, max: MAX_RETRIES, delayMs: delay, error });
+      await sleep(delay, signal);
+    }
+  }
+};
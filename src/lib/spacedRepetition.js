@@ -0,0 +1,55 @@
+// --- 间隔重复 ---
+// SM-2 算法：每张卡片记录连续答对次数、间隔 (天) 与难度系数 ease。
+// 答错的卡片进入 10 分钟后的重学，答对后间隔依次为 1 天、6 天，之后乘以 ease。
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+/** 复习评分及其对应的 SM-2 质量分 (0–5) */
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+/**
+ * 新卡片的复习状态，立即到期。
+ * @param {number} now
+ * @returns {{repetitions: number, interval: number, ease: number, due: number, lapses: number, lastReviewedAt: number|null}}
+ */
+export const newReviewState = (now) => ({
+  repetitions: 0,
+  interval: 0,
+  ease: 2.5,
+  due: now,
+  lapses: 0,
+  lastReviewedAt: null,
+});
+
+/**
+ * 根据一次复习的评分计算下一次复习。
+ * @param {object} state newReviewState 或上一次 scheduleReview 的结果
+ * @param {'again'|'hard'|'good'|'easy'} grade
+ * @param {number} now
+ * @returns {object} 新的复习状态
+ */
+export const scheduleReview = (state, grade, now) => {
+  const quality = REVIEW_GRADES[grade];
+  const ease = Math.max(MIN_EASE, state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  if (quality < 3) {
+    return { ...state, repetitions: 0, interval: 0, ease, due: now + RELEARN_DELAY, lapses: state.lapses + 1, lastReviewedAt: now };
+  }
+
+  const repetitions = state.repetitions + 1;
+  let interval;
+  if (repetitions === 1) interval = 1;
+  else if (repetitions === 2) interval = 6;
+  else interval = Math.round(state.interval * ease);
+  return { ...state, repetitions, interval, ease, due: now + interval * DAY, lastReviewedAt: now };
+};
+
+/** 卡片是否已到复习时间 */
+export const isDue = (state, now) => state.due <= now;
@@ -0,0 +1,159 @@
+// --- 本地文本指标 ---
+// 词数、句数、可读性、词汇多样性、衔接词与 CEFR 词汇分布，全部在浏览器中计算，
+// 用于对比原文与润色后的文本。只适用于英文文本。
+
+import { CEFR_LEVELS, CEFR_WORDS } from './cefrWords';
+
+const WORD_PATTERN = /[A-Za-z]+(?:['’][A-Za-z]+)*/g;
+
+// 衔接词与连接短语；多词短语先匹配，避免 even though 同时计入 though
+export const LINKING_WORDS = [
+  'on the other hand', 'in other words', 'as a result', 'in addition', 'for example', 'for instance',
+  'in conclusion', 'in contrast', 'to sum up', 'first of all', 'in spite of', 'even though', 'as well as',
+  'because of', 'due to', 'in fact', 'above all', 'after all', 'such as',
+  'however', 'therefore', 'moreover', 'furthermore', 'additionally', 'consequently', 'nevertheless',
+  'nonetheless', 'meanwhile', 'otherwise', 'thus', 'hence', 'whereas', 'although', 'though', 'because',
+  'since', 'besides', 'finally', 'firstly', 'secondly', 'similarly', 'likewise', 'instead', 'overall',
+  'indeed', 'unless', 'while', 'also', 'but',
+];
+
+const LINKING_PATTERNS = LINKING_WORDS.map(phrase => ({
+  phrase,
+  pattern: new RegExp(`\\b${phrase.replace(/ /g, '\\s+')}\\b`, 'gi'),
+}));
+
+/** 不规则变化与缩写还原为词表中的原形 */
+const IRREGULAR_FORMS = {
+  am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be', being: 'be',
+  has: 'have', had: 'have', does: 'do', did: 'do', done: 'do', ca: 'can', wo: 'will', sha: 'shall',
+  went: 'go', gone: 'go', made: 'make', took: 'take', taken: 'take', came: 'come', saw: 'see', seen: 'see',
+  gave: 'give', given: 'give', got: 'get', said: 'say', knew: 'know', known: 'know', thought: 'think',
+  told: 'tell', found: 'find', felt: 'feel', kept: 'keep', bought: 'buy', brought: 'bring', wrote: 'write',
+  written: 'write', spoke: 'speak', spoken: 'speak', ate: 'eat', drank: 'drink', ran: 'run', began: 'begin',
+  became: 'become', built: 'build', taught: 'teach', children: 'child', men: 'man', women: 'woman',
+  feet: 'foot', lives: 'life', better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+};
+
+/** 去掉常见的屈折与派生后缀，依次尝试可能的原形 */
+const lemmaCandidates = (word) => {
+  const stem = word.toLowerCase().replace(/’/g, "'").replace(/n't$/, '').replace(/'(?:s|re|ll|ve|d|m)$/, '');
+  if (IRREGULAR_FORMS[stem]) return [IRREGULAR_FORMS[stem]];
+  const candidates = [stem];
+  const add = (suffix, ...replacements) => {
+    if (!stem.endsWith(suffix) || stem.length <= suffix.length + 2) return;
+    const root = stem.slice(0, -suffix.length);
+    replacements.forEach(replace => candidates.push(replace(root)));
+  };
+  const same = root => root;
+  const withE = root => `${root}e`;
+  const withY = root => `${root}y`;
+  const undouble = root => (/(.)\1$/.test(root) ? root.slice(0, -1) : root);
+  add('ies', withY);
+  add('es', same);
+  add('s', same);
+  add('ied', withY);
+  add('ed', same, withE, undouble);
+  add('ing', same, withE, undouble);
+  add('ier', withY);
+  add('iest', withY);
+  add('er', same, withE, undouble);
+  add('est', same, withE, undouble);
+  add('ily', withY);
+  add('ally', same);
+  add('ly', same, withE);
+  add('ness', same);
+  return candidates;
+};
+
+/** 单词的 CEFR 等级，词表中没有时返回 null */
+export const cefrLevelOf = (word) => {
+  for (const candidate of lemmaCandidates(word)) {
+    const level = CEFR_WORDS.get(candidate);
+    if (level) return level;
+  }
+  return null;
+};
+
+/** 按元音组估算音节数，误差在 Flesch 公式可以接受的范围内 */
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const trimmed = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+export const countWords = (text) => (text.match(WORD_PATTERN) || []).length;
+
+const countSentences = (text) => text
+  .split(/[.!?]+(?=\s|$)|\n\s*\n/)
+  .filter(sentence => /[A-Za-z]/.test(sentence))
+  .length;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 计算一段文本的全部指标。
+ * @param {string} text
+ * @returns {{
+ *   words: number,
+ *   sentences: number,
+ *   avgSentenceLength: number|null,
+ *   fleschReadingEase: number|null,
+ *   fleschKincaidGrade: number|null,
+ *   typeTokenRatio: number|null,
+ *   linkingWords: {total: number, perHundredWords: number|null, used: {phrase: string, count: number}[]},
+ *   cefr: Record<string, number>
+ * }} 没有英文单词时比值类指标为 null；cefr 统计不重复的单词，键为 A1–C2 与 unlisted
+ */
+export const computeMetrics = (text) => {
+  const tokens = text.match(WORD_PATTERN) || [];
+  const words = tokens.length;
+  const sentences = words > 0 ? Math.max(1, countSentences(text)) : 0;
+
+  const cefr = Object.fromEntries([...CEFR_LEVELS, 'unlisted'].map(level => [level, 0]));
+  const types = new Set(tokens.map(token => token.toLowerCase().replace(/’/g, "'")));
+  types.forEach(type => {
+    cefr[cefrLevelOf(type) || 'unlisted']++;
+  });
+
+  let remaining = text;
+  const used = [];
+  LINKING_PATTERNS.forEach(({ phrase, pattern }) => {
+    const count = (remaining.match(pattern) || []).length;
+    if (count === 0) return;
+    used.push({ phrase, count });
+    remaining = remaining.replace(pattern, ' ');
+  });
+  used.sort((a, b) => b.count - a.count || a.phrase.localeCompare(b.phrase));
+  const linkingTotal = used.reduce((sum, item) => sum + item.count, 0);
+
+  if (words === 0) {
+    return {
+      words,
+      sentences,
+      avgSentenceLength: null,
+      fleschReadingEase: null,
+      fleschKincaidGrade: null,
+      typeTokenRatio: null,
+      linkingWords: { total: linkingTotal, perHundredWords: null, used },
+      cefr,
+    };
+  }
+
+  const wordsPerSentence = words / sentences;
+  const syllablesPerWord = tokens.reduce((sum, token) => sum + countSyllables(token), 0) / words;
+  return {
+    words,
+    sentences,
+    avgSentenceLength: round(wordsPerSentence),
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    typeTokenRatio: round(types.size / words, 2),
+    linkingWords: { total: linkingTotal, perHundredWords: round((linkingTotal / words) * 100), used },
+    cefr,
+  };
+};
@@ -0,0 +1,97 @@
+// --- 内置作文题库 ---
+
+export const TOPIC_EXAMS = ['IELTS Task 1', 'IELTS Task 2', 'TOEFL'];
+
+/**
+ * 常见的 IELTS / TOEFL 写作题目。id 保持稳定，便于在历史记录中引用。
+ * @type {{id: string, exam: string, kind: string, prompt: string}[]}
+ */
+export const TOPIC_BANK = [
+  // IELTS Task 2
+  {
+    id: 'ielts2-success-luck',
+    exam: 'IELTS Task 2',
+    kind: 'Discuss both views',
+    prompt: "Some people think that success is the result of hard work. Others think that it is a matter of luck. Discuss both views.",
+  },
+  {
+    id: 'ielts2-university-jobs',
+    exam: 'IELTS Task 2',
+    kind: 'Discuss both views',
+    prompt: "Some people believe that universities should focus on providing academic skills, while others think they should prepare students for employment. Discuss both views and give your own opinion.",
+  },
+  {
+    id: 'ielts2-online-shopping',
+    exam: 'IELTS Task 2',
+    kind: 'Advantages and disadvantages',
+    prompt: "More and more people are choosing to shop online rather than in physical stores. Do the advantages of this trend outweigh the disadvantages?",
+  },
+  {
+    id: 'ielts2-car-free-cities',
+    exam: 'IELTS Task 2',
+    kind: 'Agree or disagree',
+    prompt: "Private cars should be banned from city centres. To what extent do you agree or disagree?",
+  },
+  {
+    id: 'ielts2-ageing-population',
+    exam: 'IELTS Task 2',
+    kind: 'Problem and solution',
+    prompt: "In many countries the proportion of older people is steadily increasing. What problems does this cause, and what solutions can you suggest?",
+  },
+  {
+    id: 'ielts2-children-technology',
+    exam: 'IELTS Task 2',
+    kind: 'Two-part question',
+    prompt: "Children today spend many hours using smartphones and tablets. Why is this the case? Is this a positive or negative development?",
+  },
+  // IELTS Task 1
+  {
+    id: 'ielts1-energy-line-graph',
+    exam: 'IELTS Task 1',
+    kind: 'Line graph',
+    prompt: "The line graph shows the consumption of energy from four different sources in the USA between 1980 and 2030 (projected). Summarise the information by selecting and reporting the main features, and make comparisons where relevant.",
+  },
+  {
+    id: 'ielts1-household-bar-chart',
+    exam: 'IELTS Task 1',
+    kind: 'Bar chart',
+    prompt: "The bar chart compares the average weekly household spending on food, housing, transport and leisure in three countries in 2020. Summarise the information by selecting and reporting the main features, and make comparisons where relevant.",
+  },
+  {
+    id: 'ielts1-recycling-process',
+    exam: 'IELTS Task 1',
+    kind: 'Process diagram',
+    prompt: "The diagram illustrates the process by which glass bottles are recycled. Summarise the information by selecting and reporting the main features.",
+  },
+  {
+    id: 'ielts1-town-maps',
+    exam: 'IELTS Task 1',
+    kind: 'Maps',
+    prompt: "The two maps show the changes to a small coastal town between 1990 and today. Summarise the information by selecting and reporting the main features, and make comparisons where relevant.",
+  },
+  // TOEFL
+  {
+    id: 'toefl-discussion-remote-learning',
+    exam: 'TOEFL',
+    kind: 'Academic Discussion',
+    prompt: "Your professor asks: Should universities continue to offer fully online degree programs after the pandemic? One classmate argues that online programs increase access to education; another argues that they reduce the quality of learning. Contribute to the discussion with your own opinion and reasons.",
+  },
+  {
+    id: 'toefl-discussion-public-funding',
+    exam: 'TOEFL',
+    kind: 'Academic Discussion',
+    prompt: "Your professor asks: Should governments spend more money on public art or on public transportation? Respond to the question and to your classmates' posts, supporting your opinion with reasons and examples.",
+  },
+  {
+    id: 'toefl-independent-teamwork',
+    exam: 'TOEFL',
+    kind: 'Independent',
+    prompt: "Do you agree or disagree with the following statement? It is more important to be able to work well in a team than to work independently. Use specific reasons and examples to support your answer.",
+  },
+  {
+    id: 'toefl-independent-advice',
+    exam: 'TOEFL',
+    kind: 'Independent',
+    prompt: "Some people prefer to ask for advice from friends, while others prefer to ask their parents. Which do you prefer and why? Use specific reasons and examples to support your answer.",
+  },
+];
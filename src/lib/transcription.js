@@ -0,0 +1,51 @@
+// --- OCR 审阅 ---
+// 把结构化识别结果拆成普通文本与“不确定词”片段，供用户逐个确认后再拼回全文。
+
+/**
+ * 在每行中定位不确定词，生成可渲染的片段。找不到的词会被忽略（模型可能拼写不一致）。
+ * @param {{lines: {text: string, uncertain_words: {word: string, alternatives: string[]}[]}[]}} transcription
+ * @returns {{segments: ({kind: 'text', text: string} | {kind: 'uncertain', id: string, word: string, alternatives: string[]})[]}[]}
+ */
+export const buildReviewLines = (transcription) => transcription.lines.map((line, lineIndex) => {
+  const found = [];
+  let searchFrom = 0;
+  line.uncertain_words.forEach((item) => {
+    // 同一个词可能在行内出现多次，按顺序向后查找并要求是完整单词
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${item.word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'u');
+    const match = pattern.exec(line.text.slice(searchFrom));
+    if (!match) return;
+    const start = searchFrom + match.index;
+    found.push({ start, end: start + item.word.length, item });
+    searchFrom = start + item.word.length;
+  });
+
+  const segments = [];
+  let cursor = 0;
+  found.forEach(({ start, end, item }, index) => {
+    if (start > cursor) segments.push({ kind: 'text', text: line.text.slice(cursor, start) });
+    segments.push({ kind: 'uncertain', id: `${lineIndex}-${index}`, word: item.word, alternatives: item.alternatives });
+    cursor = end;
+  });
+  if (cursor < line.text.length) segments.push({ kind: 'text', text: line.text.slice(cursor) });
+  return { segments };
+});
+
+/**
+ * 统计需要确认的不确定词。
+ * @param {ReturnType<typeof buildReviewLines>} lines
+ * @returns {string[]} 片段 id 列表
+ */
+export const listUncertainIds = (lines) =>
+  lines.flatMap(line => line.segments.filter(segment => segment.kind === 'uncertain').map(segment => segment.id));
+
+/**
+ * 用用户的选择替换不确定词，拼出最终文本。
+ * @param {ReturnType<typeof buildReviewLines>} lines
+ * @param {Record<string, string>} choices 片段 id → 最终采用的词
+ * @returns {string}
+ */
+export const resolveReview = (lines, choices) => lines
+  .map(line => line.segments
+    .map(segment => (segment.kind === 'uncertain' ? choices[segment.id] ?? segment.word : segment.text))
+    .join(''))
+  .join('\n');
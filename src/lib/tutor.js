@@ -0,0 +1,39 @@
+// --- 讲解对话 ---
+// 学习者可以针对某条问题或润色全文向老师追问。每条问题与润色全文各有一个对话，
+// 以 threadKey 为键保存在会话的 tutorThreads 中：{ [threadKey]: {role, content}[] }。
+
+import { findSentence } from './issues';
+
+/** 润色全文的对话 */
+export const REVISED_THREAD_KEY = 'revised';
+
+/** 某条问题的对话；带上原片段，避免结果变化后错配到别的问题 */
+export const issueThreadKey = (index, issue) => `issue:${index}:${issue.original_phrase}`;
+
+/**
+ * 对话所讨论内容的上下文，交给 buildTutorSystemPrompt。
+ * @param {{kind: 'issue', index: number}|{kind: 'revised'}} anchor
+ * @param {object} options
+ * @param {object} options.result 当前结果 (含合并后的 issues)
+ * @param {string} options.text 分析时提交的原文
+ * @param {{index: number, start: number, end: number}[]} options.located locateIssues 的定位结果
+ * @param {object} options.settings 分析时的设置 (difficulty、analysisTarget、feedbackLanguage)
+ * @returns {object}
+ */
+export const buildTutorContext = (anchor, { result, text, located, settings }) => {
+  const base = {
+    kind: anchor.kind,
+    difficulty: settings.difficulty,
+    analysisTarget: settings.analysisTarget,
+    feedbackLanguage: settings.feedbackLanguage,
+  };
+  if (anchor.kind === 'revised') {
+    return { ...base, originalText: text, revisedText: result.improved_full_text };
+  }
+  const span = located.find(item => item.index === anchor.index);
+  return {
+    ...base,
+    issue: result.issues[anchor.index],
+    sentence: span ? findSentence(text, span.start, span.end) : '',
+  };
+};
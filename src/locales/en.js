@@ -0,0 +1,557 @@
+// --- English messages ---
+// 键的结构与 zh-CN.js 保持一致；需要区分单复数的文案写成 { one, other }。
+
+export default {
+  errors: {
+    cancelled: 'The request was cancelled.',
+    badRequest: 'The API request failed (status 400). Please check your text or API key.',
+    unauthorized: 'The API key is invalid or lacks permission (status {status}). Please check it in Settings.',
+    rateLimited: 'Too many requests or quota exceeded (status 429). Please try again later.',
+    serverError: 'The model service is temporarily unavailable (status {status}). Please try again later.',
+    httpError: 'The API request failed (status {status}).',
+    network: 'Network connection failed. Please check your network or the Base URL setting.',
+    malformed: 'The API returned a malformed response. Please try again. (The model may have produced invalid JSON.)',
+    unknown: '{message}',
+    transcriptionFailed: 'Text recognition failed: {reason}',
+    revisionFailed: 'Revision request failed: {reason}',
+    cancelledKeptPartial: 'Cancelled. The part received so far has been kept.',
+    interruptedKeptPartial: 'The connection was interrupted. The part received so far has been kept ({reason}).',
+    languageSplit: 'Some explanations or corrections are not in the requested language. Please check them carefully.',
+  },
+  issueTypes: {
+    Grammar: 'Grammar',
+    Spelling: 'Spelling',
+    Punctuation: 'Punctuation',
+    Style: 'Style',
+    Clarity: 'Clarity',
+    Other: 'Other',
+  },
+  providers: {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI-compatible API',
+    ollama: 'Local Ollama',
+    mock: 'Offline mock',
+  },
+  ocr: {
+    pdfPageName: '{file} · page {number}',
+    title: {
+      one: 'Multi-page recognition ({count} page)',
+      other: 'Multi-page recognition ({count} pages)',
+    },
+    hint: 'Drag pages to reorder them; the recognized text is joined in this order. Use the adjust button on each page to crop, rotate or correct perspective. The thumbnail is exactly what gets sent for recognition.',
+    status: {
+      pending: 'Waiting',
+      running: 'Recognizing',
+      review: 'Needs review',
+      done: 'Done',
+      error: 'Failed',
+    },
+    reviewWords: 'Review uncertain words',
+    editPage: 'Crop and adjust',
+    editPageTitle: 'Crop, rotate and filters',
+    readingFiles: 'Reading files...',
+    addFiles: 'Add images or PDF',
+    capture: 'Take a photo',
+    reviewPending: {
+      one: '{count} page has words the model was unsure about. Review or remove it before inserting the result.',
+      other: '{count} pages have words the model was unsure about. Review or remove them before inserting the result.',
+    },
+    transcriptPreview: 'Recognized text preview',
+    reviewModeTitle: 'Recognize line by line and flag uncertain words, so recognition mistakes are not treated as the student\'s grammar errors',
+    reviewMode: 'Review mode (flag uncertain words)',
+    run: {
+      one: 'Recognize {count} page',
+      other: 'Recognize {count} pages',
+    },
+    insert: 'Insert at cursor',
+    replace: 'Replace whole draft',
+    readFailed: 'Could not read the selected files. Make sure they are images or unencrypted PDFs.',
+    photoName: 'Photo {number}',
+    emptyResult: 'No text was recognized.',
+    unfinishedPending: {
+      one: '{count} page has not been recognized yet. Run recognition on it or remove it before inserting the result.',
+      other: '{count} pages have not been recognized yet. Run recognition on them or remove them before inserting the result.',
+    },
+  },
+  report: {
+    title: 'LinguistAI Writing Revision Report',
+    generatedAt: 'Generated: {time}',
+    topic: 'Essay topic',
+    original: 'Original text (errors marked)',
+    issues: 'Issues',
+    noIssues: 'No obvious issues were found.',
+    summary: 'Summary and assessment',
+    contentSummary: 'Content summary: ',
+    assessment: 'Overall assessment: ',
+    taskResponse: 'Task response: ',
+    missingPoint: 'Missing: {point}',
+    scoreHeading: '{exam} score (overall {score} / {max})',
+    revised: 'Revised text',
+    htmlLang: 'en',
+    columns: {
+      type: 'Type',
+      original: 'Original',
+      correction: 'Correction',
+      explanation: 'Explanation',
+      criterion: 'Criterion',
+      score: 'Score',
+      justification: 'Justification',
+      advice: 'How to improve',
+    },
+  },
+  taskResponse: {
+    verdicts: {
+      fully_addressed: 'Fully addressed',
+      partially_addressed: 'Partially addressed',
+      not_addressed: 'Not addressed',
+    },
+    heading: 'Task response: {verdict}',
+    covered: 'Addressed',
+    missing: 'Missing or weak',
+    none: 'None',
+  },
+  export: {
+    failed: 'Failed to export the report. Please try again.',
+    button: 'Export report',
+    formats: {
+      markdown: 'Markdown (.md)',
+      docx: 'Word (.docx)',
+      pdf: 'PDF (print / save as PDF)',
+    },
+  },
+  examScore: {
+    estimated: 'Estimated {exam} score',
+    disclaimer: '{scale}, for practice only',
+    radar: 'Score radar chart',
+  },
+  topicBank: {
+    title: 'Topic bank',
+  },
+  common: {
+    close: 'Close',
+    delete: 'Delete',
+    retry: 'Retry',
+    undo: 'Undo',
+    remove: 'Remove',
+    clear: 'Clear',
+    cancel: 'Cancel',
+    listSeparator: ', ',
+  },
+  diff: {
+    deleted: 'Deleted',
+    inserted: 'Inserted',
+    unexplained: 'Change not explained by any issue',
+    changeCount: {
+      one: '{count} change',
+      other: '{count} changes',
+    },
+    unexplainedWarning: {
+      one: '{count} change has no matching issue. Watch out for silent rewrites by the model.',
+      other: '{count} changes have no matching issue. Watch out for silent rewrites by the model.',
+    },
+    original: 'Original',
+    revised: 'Revised',
+  },
+  annotated: {
+    hint: 'Hover over or click an underlined phrase to see the correction and explanation.',
+    unmatched: {
+      one: '{count} issue quotes a phrase that does not appear in the text (the model may have made it up):',
+      other: '{count} issues quote phrases that do not appear in the text (the model may have made them up):',
+    },
+  },
+  history: {
+    title: 'Revision history',
+    search: 'Search text, topics or instructions...',
+    storageFirestore: 'Synced to the cloud (Firestore)',
+    storageLocal: 'Saved in this browser only (IndexedDB)',
+    empty: 'No revisions yet.',
+    noMatch: 'No matching sessions.',
+    issueCount: {
+      one: '{count} issue',
+      other: '{count} issues',
+    },
+    open: 'Open',
+    loadFailed: 'Could not load the revision history.',
+    deleteFailed: 'Failed to delete the session.',
+  },
+  chunks: {
+    progress: 'Chunk progress ({done}/{total})',
+    label: 'Chunk {index} · {length} characters',
+    retrying: 'Retrying ({attempt}/{max})…',
+    status: {
+      pending: 'Waiting',
+      running: 'Analyzing',
+      done: 'Done',
+      error: 'Failed',
+    },
+    allFailed: 'Every chunk failed. Check your network or API settings and try again.',
+    cancelledPartial: {
+      one: 'Cancelled. {count} chunk did not finish; you can retry it from the progress list.',
+      other: 'Cancelled. {count} chunks did not finish; you can retry them from the progress list.',
+    },
+    someFailed: {
+      one: '{count} chunk failed; you can retry it from the progress list.',
+      other: '{count} chunks failed; you can retry them from the progress list.',
+    },
+  },
+  ocrReview: {
+    title: 'Review recognition · {name}',
+    hint: 'Highlighted words are the ones the model was unsure about. Check each against the image on the left so recognition mistakes are not corrected as grammar errors.',
+    recognizedAs: 'Recognized as',
+    chooseSpelling: '. Choose the correct spelling:',
+    customPlaceholder: 'None of these? Type it',
+    use: 'Use',
+    remaining: {
+      one: '{count} word left to confirm',
+      other: '{count} words left to confirm',
+    },
+    allConfirmed: 'All uncertain words confirmed',
+    keepRest: 'Keep the rest as recognized',
+    confirm: 'Confirm page',
+  },
+  issues: {
+    none: 'Great job! The AI found no obvious grammar or spelling mistakes.',
+    tally: 'Accepted {accepted} · Rejected {rejected} · Pending {pending}',
+    acceptAllOfType: 'Accept all {type} ({count})',
+    unmatched: 'Phrase not found in the text',
+    conflict: 'Overlaps another accepted correction; not applied',
+    accept: 'Accept',
+    reject: 'Reject',
+    original: 'Original:',
+    correction: 'Correction:',
+    explanation: 'Explanation:',
+    rebuiltTitle: 'Text with accepted corrections applied',
+    copyJson: 'Copy issue list (JSON)',
+    copyRebuilt: 'Copy corrected text',
+    local: 'Offline check',
+  },
+  imageEditor: {
+    cameraDenied: 'Could not open the camera. Check the browser permission, or use "Add images" instead.',
+    cameraUnsupported: 'This browser does not support taking photos.',
+    adjustTitle: 'Adjust image',
+    cameraTitle: 'Take photo',
+    shoot: 'Capture',
+    rotateLeft: 'Rotate left 90°',
+    rotateRight: 'Rotate right 90°',
+    fineRotate: 'Fine-tune',
+    crop: 'Crop',
+    perspective: 'Perspective',
+    preview: 'Preview',
+    grayscale: 'Grayscale',
+    contrast: 'Contrast',
+    result: 'Processed image',
+    resultHint: 'This is the image that will be sent for recognition (about {size} KB).',
+    keepAdjusting: 'Keep adjusting',
+    useImage: 'Use this image',
+    previewResult: 'Preview result',
+  },
+  apiKey: {
+    notRequired: 'This model service does not need an API key',
+    wrongPassphrase: 'Incorrect passphrase.',
+    vaultFailed: 'The operation failed. This browser may not support local encrypted storage.',
+    sourceNone: 'Not set (using the default configuration)',
+    sourceVault: 'Saved encrypted key (unlocked for this session)',
+    sourceManual: 'Entered manually (lost on page reload)',
+    placeholder: 'Enter your {provider} API key (optional; leave empty to use the default configuration)',
+    test: 'Test key',
+    source: 'Source: ',
+    lastVerified: 'Last checked: {time}',
+    verify: {
+      valid: 'Valid',
+      invalid: 'Invalid or not permitted',
+      over_quota: 'Over quota or rate limited',
+      unreachable: 'Model service unreachable',
+    },
+    unlockPrompt: 'An encrypted key was saved ({date}). Enter the passphrase to unlock:',
+    passphrase: 'Passphrase',
+    unlock: 'Unlock',
+    remember: 'Remember this key (encrypted with a passphrase and stored on this device)',
+    rememberReplace: 'Remember this key (encrypted with a passphrase and stored on this device; replaces the saved key)',
+    newPassphrase: 'Choose a passphrase (at least {min} characters)',
+    save: 'Encrypt and save',
+    forget: 'Delete saved key',
+    forgetHint: 'Only the encrypted copy on this device is deleted; you can keep using the key this session.',
+  },
+  cache: {
+    clearFailed: 'Failed to clear the cache.',
+    status: 'Result cache: {count} / {max} entries (reused for identical text and settings; the least recently used entry is dropped when full)',
+    clear: 'Clear cache',
+    cachedAt: 'Cached at {time}',
+    badge: 'Cached result',
+    forceRefresh: 'Refresh',
+  },
+  copy: {
+    failed: 'Copy failed. Please copy it manually.',
+    done: {
+      summary: 'Summary copied!',
+      issues: 'Issue list copied!',
+      full: 'Full text copied!',
+      accepted: 'Corrected text copied!',
+    },
+  },
+  input: {
+    empty: 'Please enter some text to revise!',
+    tooLong: 'The text cannot be longer than {max} characters.',
+    title: 'Your text',
+    topic: 'Essay topic (optional)',
+    pickTopic: 'Pick from topic bank',
+    topicPlaceholder: 'Enter the essay topic and the AI will check whether the essay answers it',
+    edit: 'Edit',
+    annotated: 'Annotated view',
+    staleAnnotations: 'The text has changed; annotations refer to the last analyzed version.',
+    placeholder: 'Type your text here...',
+    transcribe: 'Recognize from image/PDF',
+    capture: 'Take photo',
+    charCount: {
+      one: '{count} character',
+      other: '{count} characters',
+    },
+    willChunk: 'Over {max} characters, will be analyzed in chunks',
+    wordCount: {
+      one: '{count} word',
+      other: '{count} words',
+    },
+  },
+  app: {
+    name: 'LinguistAI',
+  },
+  header: {
+    language: 'Interface language',
+    settings: 'Settings',
+  },
+  settings: {
+    proxyNotice: 'Requests go through the server proxy: the API key stays on the server, the model service is set by the server, and each user is rate limited.',
+    provider: 'Model service',
+    noConfig: 'Not needed',
+    model: 'Model name',
+  },
+  options: {
+    title: 'Revision settings',
+    scoring: 'Exam scoring',
+    noScoring: 'No scoring',
+    instructions: 'Extra instructions for this run (optional)',
+    instructionsPlaceholder: 'E.g. use more formal vocabulary; keep a humorous tone; expand to over 200 words.',
+    feedbackLanguage: 'Feedback language',
+    feedbackLanguageHint: 'Explanations, the summary and the assessment use this language; quoted phrases, corrections and the revised text stay in the essay\'s language.',
+    feedbackLanguages: {
+      same: 'Same as the essay',
+      'zh-CN': '简体中文',
+      'zh-TW': '繁體中文',
+      en: 'English',
+      ja: '日本語',
+      ko: '한국어',
+      es: 'Español',
+      fr: 'Français',
+      de: 'Deutsch',
+    },
+    profile: 'Profile',
+    manageProfiles: 'Manage profiles',
+    ignoredTypes: 'Not reported: {types}',
+  },
+  revise: {
+    retrying: 'Retrying ({attempt}/{max})…',
+    running: 'Revising...',
+    start: 'Revise and analyze',
+  },
+  result: {
+    emptyTitle: 'Waiting for your text',
+    emptyHint: 'Enter your text and settings, and LinguistAI will give you detailed grammar corrections, style improvements and a fully revised version.',
+    loadingTitle: 'The AI is working on it...',
+    loadingHint: 'Generating a detailed analysis and the revised text. Please wait.',
+    tabs: {
+      summary: 'Summary',
+      revised: 'Revised text',
+      score: 'Exam score',
+      issues: 'Issues ({count})',
+      metrics: 'Metrics',
+    },
+    generating: 'Generating...',
+    summaryPending: 'Generating summary...',
+    contentSummary: 'Content summary',
+    assessment: 'Overall assessment',
+    summaryCopy: 'Summary: {summary}\nOverall assessment: {assessment}',
+    copySummary: 'Copy summary',
+    views: {
+      plain: 'Revised text',
+      inline: 'Inline diff',
+      side: 'Side by side',
+    },
+    copyFull: 'Copy full text',
+  },
+  profiles: {
+    defaults: {
+      academic: 'Academic essay',
+      businessEmail: 'Company email – British English',
+      creative: 'Creative writing',
+    },
+    fromSession: 'Settings from history',
+    title: 'Revision profiles',
+    import: 'Import JSON',
+    export: 'Export JSON',
+    new: 'New profile',
+    inUse: 'in use',
+    fields: {
+      name: 'Name',
+      genre: 'Genre',
+      level: 'Level',
+      tone: 'Tone',
+      instructions: 'Standing instructions',
+      ignoredIssueTypes: 'Issue types to ignore',
+    },
+    namePlaceholder: 'E.g. Company email – British English',
+    tonePlaceholder: 'Not specified',
+    instructionsPlaceholder: 'Sent with every revision, e.g. use British spelling; avoid contractions.',
+    use: 'Use this profile',
+    save: 'Save',
+    saved: 'Saved "{name}".',
+    operationFailed: 'The operation failed. This browser may not support local storage.',
+    imported: 'Imported: {added} added, {updated} updated.',
+    importFailed: 'Import failed. Please choose a profiles JSON file exported from this app.',
+    keepOneType: 'Keep at least one issue type.',
+  },
+  precheck: {
+    spelling: '"{word}" is misspelled; the correct spelling is "{correction}".',
+    confusedWord: 'This should be "{correction}"; "{word}" is a different word.',
+    repeatedWord: '"{word}" appears twice in a row.',
+    sentenceStart: 'A sentence should start with a capital letter.',
+    pronounI: 'The pronoun "I" is always capitalized.',
+    doubleSpace: 'Use a single space between words.',
+    spaceBefore: 'There should be no space before "{mark}".',
+    spaceAfter: 'Add a space after "{mark}".',
+    agreement: 'The subject "{subject}" takes "{verb}".',
+    baseForm: 'Use the base form "{verb}" after "{modal}".',
+    articleAn: '"{word}" starts with a vowel sound, so use "an".',
+    articleA: '"{word}" starts with a consonant sound, so use "a".',
+    title: 'Offline pre-check',
+    hint: 'Runs locally as you type, no network needed. Its findings are merged with the AI results after analysis.',
+    count: {
+      one: '{count} possible issue',
+      other: '{count} possible issues',
+    },
+    none: 'No common mistakes found',
+    apply: 'Fix',
+    applyAll: 'Fix all',
+  },
+  metrics: {
+    metric: 'Metric',
+    original: 'Original',
+    revised: 'Revised',
+    change: 'Change',
+    rows: {
+      words: 'Words',
+      sentences: 'Sentences',
+      avgSentenceLength: 'Average sentence length (words)',
+      fleschReadingEase: 'Flesch reading ease',
+      fleschKincaidGrade: 'Flesch-Kincaid grade',
+      typeTokenRatio: 'Type-token ratio',
+      linkingWords: 'Linking words',
+      linkingDensity: 'Linking words per 100 words',
+    },
+    hints: {
+      words: 'English words only; numbers and symbols are not counted.',
+      sentences: 'Split at full stops, question marks, exclamation marks and blank lines.',
+      avgSentenceLength: 'Average number of words per sentence.',
+      fleschReadingEase: '0–100, higher is easier; 60–70 is plain English.',
+      fleschKincaidGrade: 'Roughly a US school grade; higher is harder to read.',
+      typeTokenRatio: 'Distinct words ÷ total words; higher means more varied vocabulary. It falls as texts get longer.',
+      linkingWords: 'Words such as however, in addition and because that connect sentences and ideas.',
+      linkingDensity: 'Linking words per 100 words.',
+    },
+    readabilityNote: 'All metrics are computed locally and apply to English only. Readability uses estimated syllable counts and is a rough guide.',
+    cefrTitle: 'Vocabulary by CEFR level',
+    cefrUnlisted: 'Unlisted',
+    cefrNote: 'Counts distinct words against a compact bundled list. Unlisted words are mostly names or less common words.',
+    linkingTitle: 'Linking words used',
+    noLinkingWords: 'No linking words used.',
+    newInRevision: 'Added in the revision',
+  },
+  drafts: {
+    title: {
+      one: 'Draft timeline ({count} version)',
+      other: 'Draft timeline ({count} versions)',
+    },
+    versions: 'Versions ({count})',
+    newDocument: 'New document',
+    current: 'current',
+    basedOn: '· based on v{number}',
+    open: 'Open',
+    reviseAgain: 'Revise again',
+    reviseAgainHint: 'Analyze the improved text again as a new version',
+    compareHint: 'Tick two versions to compare them.',
+    issueType: 'Issue type',
+    change: 'Change',
+    total: 'Total',
+    settingsChanged: 'The versions used different settings: {before} → {after}',
+    textChanges: 'Text changes from v{before} to v{after}',
+  },
+  tutor: {
+    title: 'Ask the tutor',
+    ask: 'Ask the tutor',
+    aboutRevised: 'About the changes in the revised text',
+    empty: 'Ask why it was changed, what rule is behind it, or ask for a few practice exercises.',
+    thinking: 'The tutor is replying…',
+    placeholder: 'Type a question. Enter to send, Shift+Enter for a new line',
+    send: 'Send',
+    practice: 'Practice this mistake',
+    practiceRequest: 'Please give me some practice exercises based on this mistake, without the answers for now.',
+    failed: 'Tutor request failed: {reason}',
+  },
+  notebook: {
+    title: 'Mistake notebook',
+    tabs: {
+      review: 'Review',
+      entries: 'Mistakes',
+    },
+    empty: 'No mistakes yet. Corrections you accept under "Issues" are collected here automatically.',
+    noDue: 'Nothing is due for review right now.',
+    finished: {
+      one: 'Review finished: {count} card.',
+      other: 'Review finished: {count} cards.',
+    },
+    remaining: {
+      one: '{count} card left',
+      other: '{count} cards left',
+    },
+    kinds: {
+      fillIn: 'Fill in the blank with the correct form',
+      correct: 'Correct the sentence',
+    },
+    youWrote: 'You wrote:',
+    fillInPlaceholder: 'What goes in the blank',
+    correctPlaceholder: 'Type the corrected sentence',
+    check: 'Check',
+    right: 'Correct',
+    wrong: 'Not quite',
+    answer: 'Answer:',
+    grades: {
+      again: 'Again',
+      hard: 'Hard',
+      good: 'Good',
+      easy: 'Easy',
+    },
+    entryCount: {
+      one: '{count} mistake',
+      other: '{count} mistakes',
+    },
+    occurrences: {
+      one: 'made {count} time',
+      other: 'made {count} times',
+    },
+    nextReview: 'Next review {date}',
+    loadFailed: 'Could not load the mistake notebook.',
+    saveFailed: 'Failed to save the mistake notebook.',
+    patterns: {
+      subjectVerbAgreement: 'Subject–verb agreement',
+      verbTense: 'Verb tense',
+      articles: 'Articles',
+      prepositions: 'Prepositions',
+      plurals: 'Singular and plural',
+      wordOrder: 'Word order',
+      capitalization: 'Capitalization',
+      punctuation: 'Punctuation',
+      spelling: 'Spelling',
+      wordChoice: 'Word choice',
+      otherGrammar: 'Other grammar',
+    },
+  },
+};
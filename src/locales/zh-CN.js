@@ -0,0 +1,500 @@
+// --- 简体中文语言包 ---
+// 键的结构与 en.js 保持一致；新增文案后运行 npm run i18n:check 检查缺失的键。
+
+export default {
+  errors: {
+    cancelled: '请求已取消。',
+    badRequest: 'API 请求失败 (状态码 400)。请检查文本内容或 API Key。',
+    unauthorized: 'API Key 无效或没有权限 (状态码 {status})，请在设置中检查。',
+    rateLimited: '请求过于频繁或已超出配额 (状态码 429)，请稍后再试。',
+    serverError: '模型服务暂时不可用 (状态码 {status})，请稍后再试。',
+    httpError: 'API 请求失败 (状态码 {status})。',
+    network: '网络连接失败，请检查网络或 Base URL 设置。',
+    malformed: 'API 返回格式错误，请稍后重试。 (模型可能返回了非法的 JSON 结构)',
+    unknown: '{message}',
+    transcriptionFailed: '图片识别失败：{reason}',
+    revisionFailed: '润色请求失败：{reason}',
+    cancelledKeptPartial: '已取消，保留已接收的部分结果。',
+    interruptedKeptPartial: '连接中断，已保留已接收的部分结果 ({reason})。',
+    languageSplit: '部分讲解或修正没有使用要求的语言，请留意核对。',
+  },
+  issueTypes: {
+    Grammar: '语法',
+    Spelling: '拼写',
+    Punctuation: '标点',
+    Style: '风格',
+    Clarity: '清晰度',
+    Other: '其他',
+  },
+  providers: {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI 兼容接口',
+    ollama: '本地 Ollama',
+    mock: '离线模拟 (Mock)',
+  },
+  ocr: {
+    pdfPageName: '{file} · 第 {number} 页',
+    title: '多页图片识别 ({count} 页)',
+    hint: '拖动页面可调整顺序，识别结果将按此顺序拼接。点击页面右上角的调整按钮可裁剪、旋转、透视校正，缩略图即为发送识别的图片。',
+    status: {
+      pending: '待识别',
+      running: '识别中',
+      review: '待核对',
+      done: '已完成',
+      error: '失败',
+    },
+    reviewWords: '核对不确定的词',
+    editPage: '裁剪与调整',
+    editPageTitle: '裁剪、旋转与滤镜',
+    readingFiles: '正在读取文件...',
+    addFiles: '添加图片或 PDF',
+    capture: '拍照添加',
+    reviewPending: '{count} 页含有模型没有把握的词，请核对或移除这些页面后再插入识别结果。',
+    transcriptPreview: '识别结果预览',
+    reviewModeTitle: '逐行识别并标出不确定的词，避免把识别错误当作学生的语法错误',
+    reviewMode: '审阅模式（标出不确定的词）',
+    run: '识别 {count} 页',
+    insert: '插入到光标处',
+    replace: '替换全部草稿',
+    readFailed: '无法读取所选文件，请确认是图片或未加密的 PDF。',
+    photoName: '拍照 {number}',
+    emptyResult: '识别结果为空。',
+    unfinishedPending: '{count} 页尚未识别成功，请识别或移除这些页面后再插入识别结果。',
+  },
+  report: {
+    title: 'LinguistAI 写作修改报告',
+    generatedAt: '生成时间：{time}',
+    topic: '作文题目',
+    original: '原文（标注错误）',
+    issues: '问题列表',
+    noIssues: '未发现明显问题。',
+    summary: '总结与评估',
+    contentSummary: '原文内容总结：',
+    assessment: '总体评估：',
+    taskResponse: '切题度：',
+    missingPoint: '缺失：{point}',
+    scoreHeading: '{exam} 评分（总分 {score} / {max}）',
+    revised: '润色后全文',
+    htmlLang: 'zh-CN',
+    columns: {
+      type: '类型',
+      original: '原文',
+      correction: '修正',
+      explanation: '解释',
+      criterion: '维度',
+      score: '分数',
+      justification: '理由',
+      advice: '提分建议',
+    },
+  },
+  taskResponse: {
+    verdicts: {
+      fully_addressed: '完全切题',
+      partially_addressed: '部分切题',
+      not_addressed: '未回应题目',
+    },
+    heading: '切题度：{verdict}',
+    covered: '已回应',
+    missing: '缺失或不足',
+    none: '无',
+  },
+  export: {
+    failed: '报告导出失败，请重试。',
+    button: '导出报告',
+    formats: {
+      markdown: 'Markdown (.md)',
+      docx: 'Word (.docx)',
+      pdf: 'PDF (打印 / 另存为 PDF)',
+    },
+  },
+  examScore: {
+    estimated: '{exam} 预估总分',
+    disclaimer: '{scale}，仅供练习参考',
+    radar: '评分雷达图',
+  },
+  topicBank: {
+    title: '作文题库',
+  },
+  common: {
+    close: '关闭',
+    delete: '删除',
+    retry: '重试',
+    undo: '撤销',
+    remove: '移除',
+    clear: '清除',
+    cancel: '取消',
+    listSeparator: '、',
+  },
+  diff: {
+    deleted: '删除',
+    inserted: '插入',
+    unexplained: '未在问题列表中说明的改动',
+    changeCount: '共 {count} 处改动',
+    unexplainedWarning: '有 {count} 处改动没有对应的问题条目，请留意模型的“静默改写”。',
+    original: '原文',
+    revised: '润色后',
+  },
+  annotated: {
+    hint: '将鼠标悬停或点击带下划线的片段，查看修正与解释。',
+    unmatched: '有 {count} 条问题的原文片段在文本中找不到（可能是模型臆造的）：',
+  },
+  history: {
+    title: '润色历史',
+    search: '搜索原文、题目或指令...',
+    storageFirestore: '已同步到云端 (Firestore)',
+    storageLocal: '仅保存在本机浏览器 (IndexedDB)',
+    empty: '还没有润色记录。',
+    noMatch: '没有匹配的记录。',
+    issueCount: '{count} 个问题',
+    open: '打开',
+    loadFailed: '无法加载润色历史。',
+    deleteFailed: '删除历史记录失败。',
+  },
+  chunks: {
+    progress: '分段分析进度 ({done}/{total})',
+    label: '第 {index} 段 · {length} 字符',
+    retrying: '重试中 ({attempt}/{max})…',
+    status: {
+      pending: '等待中',
+      running: '分析中',
+      done: '完成',
+      error: '失败',
+    },
+    allFailed: '所有分段都分析失败，请检查网络或 API 配置后重试。',
+    cancelledPartial: '已取消，{count} 个分段未完成，可在进度列表中单独重试。',
+    someFailed: '有 {count} 个分段分析失败，可在进度列表中单独重试。',
+  },
+  ocrReview: {
+    title: '核对识别结果 · {name}',
+    hint: '标黄的词是模型没有把握的地方。请对照左侧原图逐个确认，避免把识别错误当作语法错误修改。',
+    recognizedAs: '识别为',
+    chooseSpelling: '，请选择正确的写法：',
+    customPlaceholder: '都不对？手动输入',
+    use: '使用',
+    remaining: '还有 {count} 个词待确认',
+    allConfirmed: '所有不确定的词都已确认',
+    keepRest: '其余保留原识别',
+    confirm: '确认本页',
+  },
+  issues: {
+    none: '太棒了！AI 没有发现明显的语法或拼写错误。',
+    tally: '已接受 {accepted} · 已拒绝 {rejected} · 待定 {pending}',
+    acceptAllOfType: '接受全部 {type} ({count})',
+    unmatched: '原文中未找到该片段',
+    conflict: '与其他已接受的修正重叠，未应用',
+    accept: '接受',
+    reject: '拒绝',
+    original: '原文:',
+    correction: '修正:',
+    explanation: '解释:',
+    rebuiltTitle: '应用已接受修正后的文本',
+    copyJson: '复制问题列表 (JSON)',
+    copyRebuilt: '复制修改后文本',
+    local: '离线检查',
+  },
+  imageEditor: {
+    cameraDenied: '无法打开摄像头，请检查浏览器权限，或改用“添加图片”。',
+    cameraUnsupported: '当前浏览器不支持摄像头拍照。',
+    adjustTitle: '调整图片',
+    cameraTitle: '拍照',
+    shoot: '拍摄',
+    rotateLeft: '左转 90°',
+    rotateRight: '右转 90°',
+    fineRotate: '微调',
+    crop: '矩形裁剪',
+    perspective: '透视校正',
+    preview: '预览',
+    grayscale: '灰度',
+    contrast: '对比度',
+    result: '处理结果',
+    resultHint: '这是将要发送识别的图片（约 {size} KB）。',
+    keepAdjusting: '继续调整',
+    useImage: '使用此图片',
+    previewResult: '预览处理结果',
+  },
+  apiKey: {
+    notRequired: '当前模型服务无需 API Key',
+    wrongPassphrase: '口令不正确。',
+    vaultFailed: '操作失败，浏览器可能不支持本地加密存储。',
+    sourceNone: '未设置（使用默认配置）',
+    sourceVault: '已保存的加密 Key（本次会话已解锁）',
+    sourceManual: '本次手动输入（刷新页面后丢失）',
+    placeholder: '输入您的 {provider} API Key (可选，留空则使用默认配置)',
+    test: '测试 Key',
+    source: '当前来源：',
+    lastVerified: '上次验证：{time}',
+    verify: {
+      valid: '有效',
+      invalid: '无效或没有权限',
+      over_quota: '已超出配额或被限流',
+      unreachable: '无法连接模型服务',
+    },
+    unlockPrompt: '已保存加密的 Key（{date}），输入口令解锁：',
+    passphrase: '口令',
+    unlock: '解锁',
+    remember: '记住此 Key（用口令加密后保存在本机）',
+    rememberReplace: '记住此 Key（用口令加密后保存在本机，将覆盖已保存的 Key）',
+    newPassphrase: '设置口令（至少 {min} 位）',
+    save: '加密保存',
+    forget: '删除已保存的 Key',
+    forgetHint: '仅删除本机保存的密文，本次会话仍可继续使用。',
+  },
+  cache: {
+    clearFailed: '清除缓存失败。',
+    status: '结果缓存：{count} / {max} 条（相同文本与设置直接复用，超出上限时淘汰最久未用的）',
+    clear: '清除缓存',
+    cachedAt: '缓存于 {time}',
+    badge: '缓存结果',
+    forceRefresh: '强制刷新',
+  },
+  copy: {
+    failed: '复制失败，请手动复制。',
+    done: {
+      summary: '总结已复制！',
+      issues: '问题列表已复制！',
+      full: '全文已复制！',
+      accepted: '修改后文本已复制！',
+    },
+  },
+  input: {
+    empty: '请输入需要润色的文本！',
+    tooLong: '文本长度不能超过 {max} 个字符。',
+    title: '待润色文本',
+    topic: '作文题目 (可选)',
+    pickTopic: '从题库选择',
+    topicPlaceholder: '输入作文题目，AI 将检查文章是否回答了题目',
+    edit: '编辑',
+    annotated: '标注视图',
+    staleAnnotations: '文本已修改，标注基于上次分析的版本。',
+    placeholder: '在这里输入你的文本...',
+    transcribe: '从图片/PDF 识别',
+    capture: '拍照',
+    charCount: '当前字数: {count}',
+    willChunk: '超过 {max} 字符，将分段分析',
+    wordCount: '{count} 个英文单词',
+  },
+  app: {
+    name: 'LinguistAI 灵犀写作',
+  },
+  header: {
+    language: '界面语言',
+    settings: '设置',
+  },
+  settings: {
+    proxyNotice: '通过服务器代理调用模型：API Key 保存在服务器上，模型服务由服务器配置决定，每位用户的请求频率受限。',
+    provider: '模型服务',
+    noConfig: '无需配置',
+    model: '模型名称',
+  },
+  options: {
+    title: '润色目标配置',
+    scoring: '考试评分',
+    noScoring: '不评分',
+    instructions: '本次额外指令 (可选)',
+    instructionsPlaceholder: '例如：请使用更专业的词汇；保持幽默的语气；字数增加到200字以上。',
+    feedbackLanguage: '反馈语言',
+    feedbackLanguageHint: '解释、总结与评估使用该语言；原文片段、修正和润色全文保持作文本身的语言。',
+    feedbackLanguages: {
+      same: '与作文语言相同',
+      'zh-CN': '简体中文',
+      'zh-TW': '繁體中文',
+      en: 'English',
+      ja: '日本語',
+      ko: '한국어',
+      es: 'Español',
+      fr: 'Français',
+      de: 'Deutsch',
+    },
+    profile: '配置方案',
+    manageProfiles: '管理方案',
+    ignoredTypes: '不报告：{types}',
+  },
+  revise: {
+    retrying: '正在重试 ({attempt}/{max})…',
+    running: '正在智能润色...',
+    start: '开始润色与分析',
+  },
+  result: {
+    emptyTitle: '等待您的文本分析',
+    emptyHint: '输入您的文本和润色配置，灵犀写作将为您提供详细的语法修正、风格改进和全文润色。',
+    loadingTitle: 'AI 正在努力工作中...',
+    loadingHint: '正在生成详细的分析和润色后的文本，请稍候。',
+    tabs: {
+      summary: '总结与评估',
+      revised: '全文润色',
+      score: '考试评分',
+      issues: '问题与修正 ({count})',
+      metrics: '文本指标',
+    },
+    generating: '生成中...',
+    summaryPending: '正在生成总结...',
+    contentSummary: '原文内容总结',
+    assessment: '总体评估',
+    summaryCopy: '原文总结: {summary}\n总体评估: {assessment}',
+    copySummary: '复制总结',
+    views: {
+      plain: '润色全文',
+      inline: '行内对比',
+      side: '并排对比',
+    },
+    copyFull: '复制全文',
+  },
+  profiles: {
+    defaults: {
+      academic: '学术论文',
+      businessEmail: '公司邮件 – 英式英语',
+      creative: '创意写作',
+    },
+    fromSession: '历史记录中的设置',
+    title: '配置方案',
+    import: '导入 JSON',
+    export: '导出 JSON',
+    new: '新建方案',
+    inUse: '使用中',
+    fields: {
+      name: '名称',
+      genre: '文体',
+      level: '水平',
+      tone: '语气',
+      instructions: '常用指令',
+      ignoredIssueTypes: '忽略的问题类型',
+    },
+    namePlaceholder: '例如：公司邮件 – 英式英语',
+    tonePlaceholder: '不指定',
+    instructionsPlaceholder: '每次润色都会附带的要求，例如：使用英式拼写；避免缩写。',
+    use: '使用此方案',
+    save: '保存',
+    saved: '已保存“{name}”。',
+    operationFailed: '操作失败，浏览器可能不支持本地存储。',
+    imported: '已导入：新增 {added} 个，更新 {updated} 个。',
+    importFailed: '导入失败：请选择由本应用导出的方案 JSON 文件。',
+    keepOneType: '至少保留一种问题类型。',
+  },
+  precheck: {
+    spelling: '“{word}”拼写有误，应为“{correction}”。',
+    confusedWord: '此处应为“{correction}”，“{word}”是另一个词。',
+    repeatedWord: '“{word}”连续出现了两次。',
+    sentenceStart: '句子的第一个字母应大写。',
+    pronounI: '代词“I”始终大写。',
+    doubleSpace: '单词之间只需要一个空格。',
+    spaceBefore: '“{mark}”前面不需要空格。',
+    spaceAfter: '“{mark}”后面需要一个空格。',
+    agreement: '主语“{subject}”应搭配“{verb}”。',
+    baseForm: '“{modal}”后面应使用动词原形“{verb}”。',
+    articleAn: '“{word}”的发音以元音开头，应使用“an”。',
+    articleA: '“{word}”的发音以辅音开头，应使用“a”。',
+    title: '离线预检',
+    hint: '无需联网，输入时自动检查常见错误；分析完成后会与 AI 的结果合并。',
+    count: '发现 {count} 处可能的问题',
+    none: '未发现常见错误',
+    apply: '修正',
+    applyAll: '全部修正',
+  },
+  metrics: {
+    metric: '指标',
+    original: '原文',
+    revised: '润色后',
+    change: '变化',
+    rows: {
+      words: '词数',
+      sentences: '句数',
+      avgSentenceLength: '平均句长 (词)',
+      fleschReadingEase: 'Flesch 易读度',
+      fleschKincaidGrade: 'Flesch-Kincaid 年级',
+      typeTokenRatio: '词汇多样性 (TTR)',
+      linkingWords: '衔接词',
+      linkingDensity: '衔接词 / 百词',
+    },
+    hints: {
+      words: '按英文单词计算，不含数字与符号。',
+      sentences: '以句号、问号、感叹号或空行分句。',
+      avgSentenceLength: '每句的平均词数。',
+      fleschReadingEase: '0–100，越高越容易读；60–70 相当于普通读物。',
+      fleschKincaidGrade: '大致对应美国学校的年级，越高越难读。',
+      typeTokenRatio: '不重复的单词数 ÷ 总词数，越高用词越多样；文本越长数值越低。',
+      linkingWords: 'however、in addition、because 等连接句子与观点的词。',
+      linkingDensity: '每 100 个词中的衔接词数量。',
+    },
+    readabilityNote: '所有指标都在本地计算，只适用于英文；易读度基于音节估算，仅供参考。',
+    cefrTitle: '词汇等级分布 (CEFR)',
+    cefrUnlisted: '未收录',
+    cefrNote: '按不重复的单词统计，基于内置的精简词表；未收录的多为专有名词或较少见的词。',
+    linkingTitle: '使用的衔接词',
+    noLinkingWords: '没有使用衔接词。',
+    newInRevision: '润色后新增',
+  },
+  drafts: {
+    title: '草稿时间线（{count} 个版本）',
+    versions: '版本 ({count})',
+    newDocument: '新文档',
+    current: '当前',
+    basedOn: '· 基于 v{number}',
+    open: '打开',
+    reviseAgain: '再润色一轮',
+    reviseAgainHint: '把润色后的全文作为新版本再分析一次',
+    compareHint: '勾选两个版本进行比较。',
+    issueType: '问题类型',
+    change: '变化',
+    total: '合计',
+    settingsChanged: '两个版本的设置不同：{before} → {after}',
+    textChanges: 'v{before} → v{after} 的文本改动',
+  },
+  tutor: {
+    title: '讲解对话',
+    ask: '问老师',
+    aboutRevised: '关于润色全文的修改',
+    empty: '可以追问为什么这样改、背后的规则，或者请老师出几道练习题。',
+    thinking: '老师正在回复…',
+    placeholder: '输入问题，Enter 发送，Shift+Enter 换行',
+    send: '发送',
+    practice: '根据这个错误出练习题',
+    practiceRequest: '请根据这个错误给我出几道练习题，先不要给答案。',
+    failed: '讲解请求失败：{reason}',
+  },
+  notebook: {
+    title: '错题本',
+    tabs: {
+      review: '复习',
+      entries: '错题',
+    },
+    empty: '还没有错题。在“问题与修正”中接受的修正会自动收进错题本。',
+    noDue: '现在没有需要复习的卡片。',
+    finished: '本轮复习完成，共 {count} 张卡片。',
+    remaining: '还剩 {count} 张',
+    kinds: {
+      fillIn: '填空：写出正确的形式',
+      correct: '改正句子：写出正确的句子',
+    },
+    youWrote: '你之前写的是：',
+    fillInPlaceholder: '填入空格的内容',
+    correctPlaceholder: '输入改正后的整句',
+    check: '核对',
+    right: '答对了',
+    wrong: '不太对',
+    answer: '答案：',
+    grades: {
+      again: '重来',
+      hard: '困难',
+      good: '良好',
+      easy: '简单',
+    },
+    entryCount: '{count} 条',
+    occurrences: '重犯 {count} 次',
+    nextReview: '下次复习 {date}',
+    loadFailed: '无法加载错题本。',
+    saveFailed: '保存错题本失败。',
+    patterns: {
+      subjectVerbAgreement: '主谓一致',
+      verbTense: '动词时态',
+      articles: '冠词',
+      prepositions: '介词',
+      plurals: '单复数',
+      wordOrder: '语序',
+      capitalization: '大小写',
+      punctuation: '标点',
+      spelling: '拼写',
+      wordChoice: '用词',
+      otherGrammar: '其他语法',
+    },
+  },
+};
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // 代理模式 (VITE_API_MODE=proxy) 下把 /api 转发给 npm run proxy 启动的本地服务器
+    proxy: {
+      '/api': 'http://127.0.0.1:8787',
+    },
+  },
 })
\ No newline at end of file